@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { sequelize, UserToken } = require('./models');
+const { USER_MODELS, hashToken, endAllSessions } = require('./authService');
+const { sendMail } = require('./mailer');
+const { passwordResetEmail, emailVerificationEmail, invitationEmail } = require('./mailer/templates');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS, 10) || 168;
+
+const accountTokenError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Link into the frontend carrying a token, e.g. https://app.example.com/reset-password?token=...&type=student
+const appLink = (page, token, type) => {
+    const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${baseUrl}/${page}?token=${encodeURIComponent(token)}&type=${type}`;
+};
+
+// Issue a new single-use token, invalidating any earlier unused token for the same purpose
+const issueToken = async (type, user, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.update(
+        { used_at: new Date() },
+        { where: { user_type: type, user_id: user.id, purpose, used_at: null } }
+    );
+    await UserToken.create({
+        user_type: type,
+        user_id: user.id,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+// Use up a token inside a transaction and apply the change it authorizes. If the change fails the
+// token stays unused, so e.g. a rejected new password can be retried with the same link.
+const consumeToken = async (token, purpose, apply) => sequelize.transaction(async (transaction) => {
+    const record = await UserToken.findOne({
+        where: { token_hash: hashToken(token), purpose },
+        transaction
+    });
+    if (!record || record.used_at) {
+        throw accountTokenError('ACCOUNT_TOKEN_INVALID', 'This link is invalid or has already been used.');
+    }
+    if (record.expires_at <= new Date()) {
+        throw accountTokenError('ACCOUNT_TOKEN_EXPIRED', 'This link has expired. Please request a new one.');
+    }
+
+    const [used] = await UserToken.update(
+        { used_at: new Date() },
+        { where: { id: record.id, used_at: null }, transaction }
+    );
+    const user = used === 0 ? null : await USER_MODELS[record.user_type].findByPk(record.user_id, { transaction });
+    if (!user) {
+        throw accountTokenError('ACCOUNT_TOKEN_INVALID', 'This link is invalid or has already been used.');
+    }
+
+    await apply(user, transaction);
+    return { type: record.user_type, user };
+});
+
+// Email a password reset link. Unknown addresses are ignored so the response never reveals which emails exist.
+const requestPasswordReset = async (type, email) => {
+    const user = await USER_MODELS[type].findOne({ where: { email } });
+    if (!user) {
+        return false;
+    }
+    const token = await issueToken(type, user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+            name: user.name,
+            link: appLink('reset-password', token, type),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        })
+    });
+    return true;
+};
+
+// Set a new password from a reset link and sign out every session
+const resetPassword = async (token, newPassword) => {
+    const { type, user } = await consumeToken(token, 'password_reset', async (account, transaction) => {
+        // Resetting the password is also how a locked account is unlocked
+        const updates = { password: newPassword, failed_login_attempts: 0, locked_until: null };
+        if (account.must_change_password) {
+            updates.must_change_password = false;
+        }
+        await account.update(updates, { transaction });
+    });
+    await endAllSessions(type, user.id);
+    return { type, user };
+};
+
+const sendEmailVerification = async (type, user) => {
+    const token = await issueToken(type, user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        ...emailVerificationEmail({
+            name: user.name,
+            link: appLink('verify-email', token, type),
+            expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+    });
+};
+
+// Email a new verification link. Unknown and already verified addresses are ignored, like password resets.
+const requestEmailVerification = async (type, email) => {
+    const user = await USER_MODELS[type].findOne({ where: { email } });
+    if (!user || user.email_verified_at) {
+        return false;
+    }
+    await sendEmailVerification(type, user);
+    return true;
+};
+
+const verifyEmail = async (token) => consumeToken(token, 'email_verification', async (user, transaction) => {
+    if (!user.email_verified_at) {
+        await user.update({ email_verified_at: new Date() }, { transaction });
+    }
+});
+
+// Email an account created by a roster import the link to choose its first password
+const sendInvitation = async (type, user, { classroomName }) => {
+    const token = await issueToken(type, user, 'invitation', INVITATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        ...invitationEmail({
+            name: user.name,
+            classroomName,
+            link: appLink('accept-invitation', token, type),
+            expiresInHours: INVITATION_TTL_HOURS
+        })
+    });
+};
+
+// Set the first password from an invitation link. Opening the emailed link also proves the address.
+const acceptInvitation = async (token, newPassword) => consumeToken(token, 'invitation', async (user, transaction) => {
+    await user.update({
+        password: newPassword,
+        must_change_password: false,
+        email_verified_at: user.email_verified_at || new Date()
+    }, { transaction });
+});
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword,
+    sendEmailVerification,
+    requestEmailVerification,
+    verifyEmail,
+    sendInvitation,
+    acceptInvitation
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Student, UserToken } = require('./models');
+const { setTransport, assertMailerConfigured } = require('./mailer');
+const { requestPasswordReset, requestEmailVerification } = require('./accountTokens');
+
+// Collect sent messages instead of mailing them
+const captureMail = (t) => {
+    const sent = [];
+    setTransport({ send: async (message) => { sent.push(message); } });
+    t.after(() => setTransport(null));
+    return sent;
+};
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('unknown addresses get no reset or verification email', async (t) => {
+    const sent = captureMail(t);
+    test.mock.method(Student, 'findOne', async () => null);
+
+    assert.equal(await requestPasswordReset('student', 'nobody@example.com'), false);
+    assert.equal(await requestEmailVerification('student', 'nobody@example.com'), false);
+    assert.equal(sent.length, 0);
+});
+
+test('a verification link is sent only to accounts that are not verified yet', async (t) => {
+    const sent = captureMail(t);
+    test.mock.method(UserToken, 'update', async () => [0]);
+    const create = test.mock.method(UserToken, 'create', async (fields) => fields);
+    const findOne = test.mock.method(Student, 'findOne', async () => ({ id: 4, name: 'Dana', email: 'dana@example.com', email_verified_at: new Date() }));
+
+    assert.equal(await requestEmailVerification('student', 'dana@example.com'), false);
+
+    findOne.mock.mockImplementation(async () => ({ id: 4, name: 'Dana', email: 'dana@example.com', email_verified_at: null }));
+    assert.equal(await requestEmailVerification('student', 'dana@example.com'), true);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /verify-email\?token=/);
+    assert.equal(create.mock.calls[0].arguments[0].purpose, 'email_verification');
+});
+
+test('production refuses to start without an SMTP server', (t) => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, SMTP_HOST: process.env.SMTP_HOST };
+    t.after(() => {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    });
+
+    process.env.NODE_ENV = 'production';
+    delete process.env.SMTP_HOST;
+    assert.throws(assertMailerConfigured, /SMTP_HOST/);
+});
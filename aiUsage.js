@@ -0,0 +1,283 @@
+const { Op, fn, col } = require('sequelize');
+const { AIUsageLog, GradingJob, AssignmentSubmission, Assignment, Classroom, Lecturer } = require('./models');
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// A non-negative number from the environment, or null (no limit / no price) when unset
+const envNumber = (name, parse = parseInt) => {
+    const value = parse(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+// A lecturer's own limit when set, otherwise the default from the environment
+const limitOr = (override, name) => override === null || override === undefined ? envNumber(name) : override;
+
+// The calendar month (UTC) named by "YYYY-MM", or the current one. Returns null for a malformed month.
+const monthRange = (month = null) => {
+    let year;
+    let monthIndex;
+    if (month) {
+        const match = MONTH_PATTERN.exec(month);
+        if (!match) {
+            return null;
+        }
+        year = Number(match[1]);
+        monthIndex = Number(match[2]) - 1;
+    } else {
+        const now = new Date();
+        year = now.getUTCFullYear();
+        monthIndex = now.getUTCMonth();
+    }
+    return {
+        month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+        start: new Date(Date.UTC(year, monthIndex, 1)),
+        end: new Date(Date.UTC(year, monthIndex + 1, 1))
+    };
+};
+
+// Decoded size of the work sent to the grader: one base64 image or an array of { data } pages
+const inputBytesOf = (work) => {
+    const images = Array.isArray(work) ? work.map(page => page.data) : [work];
+    return images.reduce((total, data) => total + (typeof data === 'string' ? Buffer.byteLength(data, 'base64') : 0), 0);
+};
+
+// Cost from AI_PRICE_PER_MILLION_INPUT_TOKENS and AI_PRICE_PER_MILLION_OUTPUT_TOKENS, or null without prices
+const estimateCost = (usage) => {
+    const inputPrice = envNumber('AI_PRICE_PER_MILLION_INPUT_TOKENS', parseFloat);
+    const outputPrice = envNumber('AI_PRICE_PER_MILLION_OUTPUT_TOKENS', parseFloat);
+    if (!usage || (inputPrice === null && outputPrice === null)) {
+        return null;
+    }
+    return round(((usage.prompt_tokens || 0) * (inputPrice || 0) + (usage.output_tokens || 0) * (outputPrice || 0)) / 1e6, 6);
+};
+
+// Log one AI call. context says who the call belongs to; a logging failure never fails the grading itself.
+const recordAIUsage = async ({ context = {}, provider = null, model = null, work, usage = null, latencyMs, error = null }) => {
+    try {
+        await AIUsageLog.create({
+            lecturer_id: context.lecturerId || null,
+            classroom_id: context.classroomId || null,
+            assignment_id: context.assignmentId || null,
+            submission_id: context.submissionId || null,
+            source: context.source || 'evaluate',
+            provider,
+            model_name: model,
+            input_bytes: inputBytesOf(work),
+            page_count: Array.isArray(work) ? work.length : null,
+            prompt_tokens: usage ? usage.prompt_tokens : null,
+            output_tokens: usage ? usage.output_tokens : null,
+            total_tokens: usage ? usage.total_tokens : null,
+            estimated_cost: estimateCost(usage),
+            latency_ms: Math.round(latencyMs),
+            status: error ? 'failed' : 'succeeded',
+            error_message: error ? error.message : null
+        });
+    } catch (logError) {
+        console.error('AI Usage Log Error:', logError);
+    }
+};
+
+// Calls, tokens and cost logged for these lecturers in [start, end), added up by the database.
+// MySQL returns the sums as strings.
+const sumUsage = async (lecturerIds, { start, end }) => {
+    const totals = await AIUsageLog.findOne({
+        where: {
+            lecturer_id: { [Op.in]: lecturerIds },
+            created_at: { [Op.gte]: start, [Op.lt]: end }
+        },
+        attributes: [
+            [fn('COUNT', col('id')), 'calls'],
+            [fn('COALESCE', fn('SUM', col('total_tokens')), 0), 'tokens'],
+            [fn('COALESCE', fn('SUM', col('estimated_cost')), 0), 'cost']
+        ],
+        raw: true
+    });
+    return {
+        calls: Number(totals.calls),
+        tokens: Number(totals.tokens),
+        cost: round(Number(totals.cost), 6)
+    };
+};
+
+// Grading jobs waiting or running in these lecturers' classrooms. Each will make an AI call,
+// so they count against the call quota before they have run.
+const countPendingJobs = async (lecturerIds) => GradingJob.count({
+    where: { status: { [Op.in]: ACTIVE_JOB_STATUSES } },
+    include: [{
+        model: AssignmentSubmission,
+        as: 'submission',
+        attributes: [],
+        required: true,
+        include: [{
+            model: Assignment,
+            as: 'assignment',
+            attributes: [],
+            required: true,
+            include: [{
+                model: Classroom,
+                as: 'classroom',
+                attributes: [],
+                required: true,
+                where: { created_by: { [Op.in]: lecturerIds } }
+            }]
+        }]
+    }]
+});
+
+const scopeStatus = async (lecturerIds, limits, range) => {
+    const [used, pendingJobs] = await Promise.all([sumUsage(lecturerIds, range), countPendingJobs(lecturerIds)]);
+    return {
+        calls_used: used.calls,
+        pending_jobs: pendingJobs,
+        tokens_used: used.tokens,
+        estimated_cost: used.cost,
+        call_limit: limits.calls,
+        token_limit: limits.tokens,
+        calls_remaining: limits.calls === null ? null : Math.max(0, limits.calls - used.calls - pendingJobs),
+        tokens_remaining: limits.tokens === null ? null : Math.max(0, limits.tokens - used.tokens)
+    };
+};
+
+const isExhausted = (status) => status.calls_remaining === 0 || status.tokens_remaining === 0;
+
+// Quota position of a lecturer this month, and of their institution when they belong to one.
+// Limits left unset are unlimited. calls_remaining is how many grading jobs may still be queued
+// (null when unlimited); exhausted is true once either scope has no calls or tokens left.
+const getQuotaStatus = async (lecturer) => {
+    const range = monthRange();
+    const lecturerLimits = {
+        calls: limitOr(lecturer.ai_monthly_call_quota, 'AI_MONTHLY_CALL_QUOTA'),
+        tokens: limitOr(lecturer.ai_monthly_token_quota, 'AI_MONTHLY_TOKEN_QUOTA')
+    };
+    const lecturerStatus = await scopeStatus([lecturer.id], lecturerLimits, range);
+
+    let institutionStatus = null;
+    if (lecturer.institution) {
+        const colleagues = await Lecturer.findAll({
+            where: { institution: lecturer.institution },
+            attributes: ['id']
+        });
+        institutionStatus = {
+            name: lecturer.institution,
+            ...await scopeStatus(colleagues.map(colleague => colleague.id), {
+                calls: envNumber('AI_INSTITUTION_MONTHLY_CALL_QUOTA'),
+                tokens: envNumber('AI_INSTITUTION_MONTHLY_TOKEN_QUOTA')
+            }, range)
+        };
+    }
+
+    const remaining = [lecturerStatus, institutionStatus]
+        .filter(status => status && status.calls_remaining !== null)
+        .map(status => status.calls_remaining);
+    const exhausted = isExhausted(lecturerStatus) || Boolean(institutionStatus && isExhausted(institutionStatus));
+
+    return {
+        month: range.month,
+        resets_at: range.end,
+        exhausted,
+        calls_remaining: exhausted ? 0 : remaining.length > 0 ? Math.min(...remaining) : null,
+        lecturer: lecturerStatus,
+        institution: institutionStatus
+    };
+};
+
+// Whether a grading job may make its AI call now. Checked right before every call, retries included. The job
+// making the call is itself one of the pending jobs, so only calls and tokens already used count here.
+const hasQuotaForCall = (status) => [status.lecturer, status.institution].every(scope => !scope || (
+    (scope.call_limit === null || scope.calls_used < scope.call_limit)
+    && (scope.token_limit === null || scope.tokens_used < scope.token_limit)
+));
+
+const quotaExceededMessage = (status) => status.institution && isExhausted(status.institution)
+    ? `Your institution has used its AI grading quota for ${status.month}. New grading jobs are blocked until the quota resets.`
+    : `You have used your AI grading quota for ${status.month}. New grading jobs are blocked until the quota resets.`;
+
+const emptyTotals = () => ({
+    calls: 0,
+    succeeded: 0,
+    failed: 0,
+    input_bytes: 0,
+    prompt_tokens: 0,
+    output_tokens: 0,
+    total_tokens: 0,
+    estimated_cost: 0,
+    latencies: []
+});
+
+const addToTotals = (totals, log) => {
+    totals.calls++;
+    totals[log.status]++;
+    totals.input_bytes += log.input_bytes || 0;
+    totals.prompt_tokens += log.prompt_tokens || 0;
+    totals.output_tokens += log.output_tokens || 0;
+    totals.total_tokens += log.total_tokens || 0;
+    totals.estimated_cost += Number(log.estimated_cost || 0);
+    totals.latencies.push(log.latency_ms);
+};
+
+const finishTotals = ({ latencies, ...totals }) => ({
+    ...totals,
+    estimated_cost: round(totals.estimated_cost, 6),
+    average_latency_ms: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null
+});
+
+const groupBy = (logs, keyOf, describe) => {
+    const groups = new Map();
+    logs.forEach(log => {
+        const key = keyOf(log);
+        if (!groups.has(key)) {
+            groups.set(key, { ...describe(log), totals: emptyTotals() });
+        }
+        addToTotals(groups.get(key).totals, log);
+    });
+    return [...groups.values()].map(({ totals, ...group }) => ({ ...group, ...finishTotals(totals) }));
+};
+
+// A lecturer's AI usage over a month: totals, and the same totals per classroom, model, source and day
+const buildUsageReport = async (lecturerId, range) => {
+    const logs = await AIUsageLog.findAll({
+        where: {
+            lecturer_id: lecturerId,
+            created_at: { [Op.gte]: range.start, [Op.lt]: range.end }
+        },
+        order: [['created_at', 'ASC']]
+    });
+    const classrooms = await Classroom.findAll({
+        where: { id: { [Op.in]: [...new Set(logs.map(log => log.classroom_id).filter(Boolean))] } },
+        attributes: ['id', 'class_name'],
+        paranoid: false
+    });
+    const classNames = new Map(classrooms.map(classroom => [classroom.id, classroom.class_name]));
+
+    const totals = emptyTotals();
+    logs.forEach(log => addToTotals(totals, log));
+
+    return {
+        month: range.month,
+        totals: finishTotals(totals),
+        by_classroom: groupBy(logs, log => log.classroom_id, log => ({
+            classroom_id: log.classroom_id,
+            class_name: classNames.get(log.classroom_id) || null
+        })),
+        by_model: groupBy(logs, log => `${log.provider}:${log.model_name}`, log => ({
+            provider: log.provider,
+            model_name: log.model_name
+        })),
+        by_source: groupBy(logs, log => log.source, log => ({ source: log.source })),
+        by_day: groupBy(logs, log => log.created_at.toISOString().slice(0, 10), log => ({
+            date: log.created_at.toISOString().slice(0, 10)
+        }))
+    };
+};
+
+module.exports = {
+    monthRange,
+    recordAIUsage,
+    getQuotaStatus,
+    hasQuotaForCall,
+    quotaExceededMessage,
+    buildUsageReport
+};
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { AIUsageLog, GradingJob, Lecturer } = require('./models');
+const { monthRange, getQuotaStatus, hasQuotaForCall, quotaExceededMessage } = require('./aiUsage');
+
+const QUOTA_ENV = [
+    'AI_MONTHLY_CALL_QUOTA',
+    'AI_MONTHLY_TOKEN_QUOTA',
+    'AI_INSTITUTION_MONTHLY_CALL_QUOTA',
+    'AI_INSTITUTION_MONTHLY_TOKEN_QUOTA'
+];
+
+// Set quota environment variables for one test and restore them afterwards
+const withEnv = (t, values) => {
+    const saved = Object.fromEntries(QUOTA_ENV.map(name => [name, process.env[name]]));
+    QUOTA_ENV.forEach(name => { delete process.env[name]; });
+    Object.assign(process.env, values);
+    t.after(() => {
+        QUOTA_ENV.forEach(name => {
+            if (saved[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = saved[name];
+            }
+        });
+    });
+};
+
+// Logged usage and pending jobs per lecturer id. Usage comes back as one row of sums, as strings like MySQL's.
+const mockUsage = ({ logs = {}, pending = {} }) => {
+    test.mock.method(AIUsageLog, 'findAll', async () => assert.fail('usage is summed by the database'));
+    test.mock.method(AIUsageLog, 'findOne', async ({ where, raw }) => {
+        assert.equal(raw, true);
+        const rows = where.lecturer_id[Op.in].flatMap(id => logs[id] || []);
+        return {
+            calls: rows.length,
+            tokens: String(rows.reduce((total, row) => total + row.total_tokens, 0)),
+            cost: String(rows.reduce((total, row) => total + (row.estimated_cost || 0), 0))
+        };
+    });
+    test.mock.method(GradingJob, 'count', async ({ include }) => include[0].include[0].include[0].where.created_by[Op.in]
+        .reduce((total, id) => total + (pending[id] || 0), 0));
+};
+
+const log = (tokens) => ({ total_tokens: tokens, estimated_cost: null });
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('monthRange parses YYYY-MM into a UTC month', () => {
+    const range = monthRange('2026-02');
+    assert.equal(range.start.toISOString(), '2026-02-01T00:00:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(monthRange('2026-13'), null);
+});
+
+test('pending jobs count against the calls left for queueing', async (t) => {
+    withEnv(t, { AI_MONTHLY_CALL_QUOTA: '5' });
+    mockUsage({ logs: { 1: [log(10), log(20)] }, pending: { 1: 2 } });
+
+    const status = await getQuotaStatus({ id: 1 });
+    assert.equal(status.lecturer.calls_used, 2);
+    assert.equal(status.lecturer.tokens_used, 30);
+    assert.equal(status.calls_remaining, 1);
+    assert.equal(status.exhausted, false);
+});
+
+test('a lecturer limit overrides the default and unset limits are unlimited', async (t) => {
+    withEnv(t, { AI_MONTHLY_CALL_QUOTA: '100' });
+    mockUsage({ logs: { 1: [log(10), log(10)] } });
+
+    const limited = await getQuotaStatus({ id: 1, ai_monthly_call_quota: 2 });
+    assert.equal(limited.exhausted, true);
+    assert.equal(limited.calls_remaining, 0);
+
+    delete process.env.AI_MONTHLY_CALL_QUOTA;
+    const unlimited = await getQuotaStatus({ id: 1 });
+    assert.equal(unlimited.calls_remaining, null);
+    assert.equal(unlimited.exhausted, false);
+});
+
+test('the token quota exhausts the lecturer too', async (t) => {
+    withEnv(t, { AI_MONTHLY_TOKEN_QUOTA: '25' });
+    mockUsage({ logs: { 1: [log(10), log(20)] } });
+
+    const status = await getQuotaStatus({ id: 1 });
+    assert.equal(status.lecturer.tokens_remaining, 0);
+    assert.equal(status.exhausted, true);
+    assert.equal(hasQuotaForCall(status), false);
+});
+
+test('colleagues at the same institution share its quota', async (t) => {
+    withEnv(t, { AI_INSTITUTION_MONTHLY_CALL_QUOTA: '3' });
+    mockUsage({ logs: { 1: [log(1)], 2: [log(1), log(1)] } });
+    test.mock.method(Lecturer, 'findAll', async () => [{ id: 1 }, { id: 2 }]);
+
+    const status = await getQuotaStatus({ id: 1, institution: 'Technion' });
+    assert.equal(status.institution.calls_used, 3);
+    assert.equal(status.exhausted, true);
+    assert.match(quotaExceededMessage(status), /institution/);
+});
+
+test('a running job may still make its call while only pending jobs fill the quota', async (t) => {
+    withEnv(t, { AI_MONTHLY_CALL_QUOTA: '3' });
+    mockUsage({ logs: { 1: [log(1), log(1)] }, pending: { 1: 1 } });
+
+    const status = await getQuotaStatus({ id: 1 });
+    assert.equal(status.exhausted, true);
+    assert.equal(hasQuotaForCall(status), true);
+
+    test.mock.restoreAll();
+    mockUsage({ logs: { 1: [log(1), log(1), log(1)] }, pending: { 1: 1 } });
+    assert.equal(hasQuotaForCall(await getQuotaStatus({ id: 1 })), false);
+});
@@ -0,0 +1,268 @@
+const { ERROR_TYPES } = require('./rubric');
+
+const HISTOGRAM_BUCKET_SIZE = 10;
+// Two explanations belong to the same cluster when this share of their words overlap
+const CLUSTER_SIMILARITY = 0.5;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'that', 'this', 'with', 'was', 'were', 'are', 'not', 'instead', 'student', 'students', 'their', 'they', 'has', 'had', 'of', 'to', 'in', 'a', 'an', 'is', 'it', 'as', 'by', 'on', 'from']);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+// English text of a bilingual field, falling back to Hebrew or a plain string
+const textOf = (value) => {
+    if (!value) {
+        return '';
+    }
+    return typeof value === 'string' ? value : value.en || value.he || '';
+};
+
+const completedBreakdown = (submission) => {
+    const evaluation = submission.ai_evaluation;
+    return evaluation && evaluation.status === 'completed' && Array.isArray(evaluation.problem_breakdown)
+        ? evaluation.problem_breakdown
+        : null;
+};
+
+// Mean, median, standard deviation and a 0-100 histogram of a list of scores
+const summarizeScores = (scores) => {
+    const histogram = [];
+    for (let from = 0; from < 100; from += HISTOGRAM_BUCKET_SIZE) {
+        const to = from + HISTOGRAM_BUCKET_SIZE === 100 ? 100 : from + HISTOGRAM_BUCKET_SIZE - 1;
+        histogram.push({ range: `${from}-${to}`, from, to, count: 0 });
+    }
+
+    if (scores.length === 0) {
+        return { count: 0, mean: null, median: null, std_dev: null, min: null, max: null, histogram };
+    }
+
+    const sorted = [...scores].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const mean = sorted.reduce((total, score) => total + score, 0) / sorted.length;
+    const variance = sorted.reduce((total, score) => total + (score - mean) ** 2, 0) / sorted.length;
+
+    sorted.forEach(score => {
+        const index = Math.min(histogram.length - 1, Math.max(0, Math.floor(score / HISTOGRAM_BUCKET_SIZE)));
+        histogram[index].count++;
+    });
+
+    return {
+        count: sorted.length,
+        mean: round(mean),
+        median: round(sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]),
+        std_dev: round(Math.sqrt(variance)),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        histogram
+    };
+};
+
+const emptyErrorCounts = () => {
+    const counts = {};
+    ERROR_TYPES.forEach(type => { counts[type] = 0; });
+    return counts;
+};
+
+// Error counts by type with each type's share of all errors
+const summarizeErrorTypes = (counts) => {
+    const total = ERROR_TYPES.reduce((sum, type) => sum + counts[type], 0);
+    const share = {};
+    ERROR_TYPES.forEach(type => { share[type] = total > 0 ? round(counts[type] / total) : null; });
+    return { total, counts, share };
+};
+
+const keywords = (text) => new Set(
+    text.toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+);
+
+const similarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return shared / (a.size + b.size - shared);
+};
+
+// Group texts that describe the same thing by word overlap. Each item is { text, value, sourceId };
+// a cluster keeps its first value as the representative and counts the distinct sources (as countKey) in it.
+const clusterTexts = (items, countKey = 'student_count') => {
+    const clusters = [];
+    items.forEach(item => {
+        const words = keywords(item.text);
+        const cluster = clusters.find(candidate => similarity(candidate.words, words) >= CLUSTER_SIMILARITY);
+        if (cluster) {
+            cluster.occurrences++;
+            cluster.sourceIds.add(item.sourceId);
+        } else {
+            clusters.push({ words, value: item.value, occurrences: 1, sourceIds: new Set([item.sourceId]) });
+        }
+    });
+    return clusters
+        .map(cluster => ({
+            text: cluster.value,
+            occurrences: cluster.occurrences,
+            [countKey]: cluster.sourceIds.size
+        }))
+        .sort((a, b) => b[countKey] - a[countKey] || b.occurrences - a.occurrences);
+};
+
+// Analytics for one assignment's submissions. Marks come from graded work; everything else from completed
+// AI evaluations. Problems are matched across submissions by their position in the breakdown.
+const buildAssignmentAnalytics = (submissions, { topErrors = 5 } = {}) => {
+    const marks = submissions
+        .filter(submission => submission.mark !== null && submission.mark !== undefined)
+        .map(submission => Number(submission.mark));
+    const evaluated = submissions.filter(completedBreakdown);
+    const aiScores = evaluated
+        .map(submission => toNumber(submission.ai_evaluation.overall_score))
+        .filter(score => score !== null);
+
+    const errorTypes = emptyErrorCounts();
+    const problems = [];
+
+    evaluated.forEach(submission => {
+        completedBreakdown(submission).forEach((problem, index) => {
+            if (!problems[index]) {
+                problems[index] = {
+                    problem: index + 1,
+                    problem_description: problem.problem_description,
+                    scores: [],
+                    maxScores: [],
+                    errorTypes: emptyErrorCounts(),
+                    conceptualErrors: [],
+                    recommendations: []
+                };
+            }
+            const entry = problems[index];
+            if (toNumber(problem.score) !== null) {
+                entry.scores.push(Number(problem.score));
+            }
+            if (toNumber(problem.max_score) !== null) {
+                entry.maxScores.push(Number(problem.max_score));
+            }
+
+            (Array.isArray(problem.errors) ? problem.errors : []).forEach(error => {
+                if (!ERROR_TYPES.includes(error.error_type)) {
+                    return;
+                }
+                errorTypes[error.error_type]++;
+                entry.errorTypes[error.error_type]++;
+                if (error.error_type === 'conceptual_error' && textOf(error.explanation)) {
+                    entry.conceptualErrors.push({ text: textOf(error.explanation), value: error.explanation, sourceId: submission.id });
+                }
+            });
+
+            if (textOf(problem.teacher_recommendation)) {
+                entry.recommendations.push({
+                    text: textOf(problem.teacher_recommendation),
+                    value: problem.teacher_recommendation,
+                    sourceId: submission.id
+                });
+            }
+        });
+    });
+
+    const average = (values) => values.length > 0 ? round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+
+    const problemSummaries = problems.filter(Boolean).map(entry => {
+        const averageScore = average(entry.scores);
+        const averageMaxScore = average(entry.maxScores);
+        return {
+            problem: entry.problem,
+            problem_description: entry.problem_description,
+            evaluated_count: entry.scores.length,
+            average_score: averageScore,
+            average_max_score: averageMaxScore,
+            average_percent: averageScore !== null && averageMaxScore ? round((averageScore / averageMaxScore) * 100) : null,
+            error_types: entry.errorTypes,
+            common_conceptual_errors: clusterTexts(entry.conceptualErrors).slice(0, topErrors)
+                .map(({ text, ...cluster }) => ({ explanation: text, ...cluster })),
+            recommendations: clusterTexts(entry.recommendations)
+                .map(({ text, ...cluster }) => ({ recommendation: text, ...cluster }))
+        };
+    });
+
+    return {
+        submission_count: submissions.length,
+        graded_count: marks.length,
+        evaluated_count: evaluated.length,
+        score_distribution: summarizeScores(marks),
+        ai_score_distribution: summarizeScores(aiScores),
+        error_types: summarizeErrorTypes(errorTypes),
+        problems: problemSummaries,
+        // Recommendations merged across problems, most widely shared first
+        recommendation_summary: problemSummaries
+            .flatMap(problem => problem.recommendations.map(recommendation => ({ problem: problem.problem, ...recommendation })))
+            .sort((a, b) => b.student_count - a.student_count)
+            .slice(0, topErrors * 2)
+    };
+};
+
+// Class-wide analytics: each assignment's analytics plus the distribution of all marks and error types
+// across the classroom, and the most widespread conceptual errors and recommendations overall.
+const buildClassroomAnalytics = (assignments, submissions, { topErrors = 5 } = {}) => {
+    const perAssignment = assignments.map(assignment => {
+        const analytics = buildAssignmentAnalytics(
+            submissions.filter(submission => submission.assignment_id === assignment.id),
+            { topErrors }
+        );
+        return {
+            assignment: {
+                id: assignment.id,
+                assignment_title: assignment.assignment_title,
+                category: assignment.category || 'homework',
+                due_date: assignment.due_date
+            },
+            ...analytics
+        };
+    });
+
+    const marks = submissions
+        .filter(submission => submission.mark !== null && submission.mark !== undefined)
+        .map(submission => Number(submission.mark));
+    const aiScores = submissions
+        .filter(completedBreakdown)
+        .map(submission => toNumber(submission.ai_evaluation.overall_score))
+        .filter(score => score !== null);
+    const errorTypes = emptyErrorCounts();
+    perAssignment.forEach(entry => {
+        ERROR_TYPES.forEach(type => { errorTypes[type] += entry.error_types.counts[type]; });
+    });
+
+    const withAssignment = (key) => perAssignment
+        .flatMap(entry => entry.problems.flatMap(problem => problem[key].map(item => ({
+            assignment_id: entry.assignment.id,
+            assignment_title: entry.assignment.assignment_title,
+            problem: problem.problem,
+            problem_description: problem.problem_description,
+            ...item
+        }))))
+        .sort((a, b) => b.student_count - a.student_count)
+        .slice(0, topErrors * 2);
+
+    return {
+        submission_count: submissions.length,
+        graded_count: marks.length,
+        evaluated_count: aiScores.length,
+        score_distribution: summarizeScores(marks),
+        ai_score_distribution: summarizeScores(aiScores),
+        error_types: summarizeErrorTypes(errorTypes),
+        common_conceptual_errors: withAssignment('common_conceptual_errors'),
+        recommendation_summary: withAssignment('recommendations'),
+        assignments: perAssignment.map(({ problems, recommendation_summary: _summary, ...entry }) => ({
+            ...entry,
+            problems: problems.map(({ recommendations: _recommendations, ...problem }) => problem)
+        }))
+    };
+};
+
+module.exports = {
+    textOf,
+    summarizeScores,
+    clusterTexts,
+    buildAssignmentAnalytics,
+    buildClassroomAnalytics
+};
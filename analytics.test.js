@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeScores, clusterTexts, buildAssignmentAnalytics, buildClassroomAnalytics } = require('./analytics');
+
+const bucket = (summary, range) => summary.histogram.find(entry => entry.range === range).count;
+
+// A graded submission with a completed AI evaluation
+const evaluated = (id, mark, problems, assignmentId = 1) => ({
+    id,
+    assignment_id: assignmentId,
+    mark,
+    ai_evaluation: { status: 'completed', overall_score: mark, problem_breakdown: problems }
+});
+const problem = (score, maxScore, errors = []) => ({
+    problem_description: 'Differentiate',
+    score,
+    max_score: maxScore,
+    errors,
+    teacher_recommendation: null
+});
+const conceptual = (explanation) => ({ error_type: 'conceptual_error', explanation });
+
+test('the median of an odd list is its middle score and of an even list the mean of the middle two', () => {
+    assert.equal(summarizeScores([90, 70, 80]).median, 80);
+    assert.equal(summarizeScores([40, 90, 60, 70]).median, 65);
+});
+
+test('mean and standard deviation are taken over the whole population', () => {
+    const summary = summarizeScores([2, 4, 4, 4, 5, 5, 7, 9]);
+    assert.equal(summary.mean, 5);
+    assert.equal(summary.std_dev, 2);
+    assert.equal(summary.min, 2);
+    assert.equal(summary.max, 9);
+});
+
+test('no scores give null statistics and an empty histogram', () => {
+    const { histogram, ...statistics } = summarizeScores([]);
+    assert.deepEqual(statistics, { count: 0, mean: null, median: null, std_dev: null, min: null, max: null });
+    assert.equal(histogram.length, 10);
+    assert.ok(histogram.every(entry => entry.count === 0));
+});
+
+test('the histogram puts 0 in the first bucket and 100 in the last', () => {
+    const summary = summarizeScores([0, 9.5, 10, 89.9, 90, 100]);
+    assert.equal(summary.histogram[0].range, '0-9');
+    assert.equal(summary.histogram[9].range, '90-100');
+    assert.equal(bucket(summary, '0-9'), 2);
+    assert.equal(bucket(summary, '10-19'), 1);
+    assert.equal(bucket(summary, '80-89'), 1);
+    assert.equal(bucket(summary, '90-100'), 2);
+});
+
+test('explanations sharing half their words form one cluster, fewer do not', () => {
+    const item = (text, sourceId) => ({ text, value: text, sourceId });
+
+    const half = clusterTexts([item('chain rule forgotten', 1), item('The chain rule misapplied', 2)]);
+    assert.equal(half.length, 1);
+    assert.deepEqual(half[0], { text: 'chain rule forgotten', occurrences: 2, student_count: 2 });
+
+    const less = clusterTexts([item('chain rule forgotten', 1), item('chain rule misapplied badly', 2)]);
+    assert.equal(less.length, 2);
+});
+
+test('a cluster counts distinct students and the most widespread comes first', () => {
+    const item = (text, sourceId) => ({ text, value: text, sourceId });
+    const clusters = clusterTexts([
+        item('sign error in the integral', 1),
+        item('confused limits with derivatives', 2),
+        item('confused limits and derivatives', 3),
+        item('sign error in integral', 1)
+    ]);
+
+    assert.deepEqual(clusters.map(cluster => [cluster.text, cluster.occurrences, cluster.student_count]), [
+        ['confused limits with derivatives', 2, 2],
+        ['sign error in the integral', 2, 1]
+    ]);
+});
+
+test('per-problem averages use the evaluated submissions only', () => {
+    const analytics = buildAssignmentAnalytics([
+        evaluated(1, 80, [problem(8, 10, [conceptual('forgot the chain rule')]), problem(2, 5)]),
+        evaluated(2, 60, [problem(5, 10, [conceptual('chain rule forgot')]), problem(4, 5)]),
+        { id: 3, assignment_id: 1, mark: null, ai_evaluation: { status: 'pending' } }
+    ]);
+
+    assert.equal(analytics.submission_count, 3);
+    assert.equal(analytics.graded_count, 2);
+    assert.equal(analytics.evaluated_count, 2);
+    assert.equal(analytics.score_distribution.mean, 70);
+
+    const [first, second] = analytics.problems;
+    assert.equal(first.average_score, 6.5);
+    assert.equal(first.average_percent, 65);
+    assert.equal(second.average_percent, 60);
+    assert.equal(first.error_types.conceptual_error, 2);
+    assert.deepEqual(first.common_conceptual_errors, [{ explanation: 'forgot the chain rule', occurrences: 2, student_count: 2 }]);
+    assert.equal(analytics.error_types.share.conceptual_error, 1);
+});
+
+test('an assignment without evaluations has empty analytics', () => {
+    const analytics = buildAssignmentAnalytics([]);
+    assert.equal(analytics.score_distribution.mean, null);
+    assert.deepEqual(analytics.problems, []);
+    assert.equal(analytics.error_types.total, 0);
+    assert.equal(analytics.error_types.share.conceptual_error, null);
+});
+
+test('classroom analytics add up error types across assignments', () => {
+    const assignments = [{ id: 1, assignment_title: 'A1' }, { id: 2, assignment_title: 'A2', category: 'quiz' }];
+    const analytics = buildClassroomAnalytics(assignments, [
+        evaluated(1, 90, [problem(9, 10, [conceptual('wrong limit definition')])], 1),
+        evaluated(2, 50, [problem(5, 10, [{ error_type: 'minor_slip', explanation: 'sign' }])], 2)
+    ]);
+
+    assert.equal(analytics.score_distribution.median, 70);
+    assert.equal(analytics.error_types.total, 2);
+    assert.equal(analytics.assignments[0].assignment.category, 'homework');
+    assert.equal(analytics.common_conceptual_errors[0].assignment_id, 1);
+});
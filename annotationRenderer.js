@@ -0,0 +1,204 @@
+const { createCanvas } = require('canvas');
+const { getStitchedLayout } = require('./pdfConverter');
+
+const ERROR_COLORS = {
+  minor_slip: '#e6a100',
+  procedural_error: '#e8590c',
+  conceptual_error: '#c92a2a'
+};
+const DEFAULT_ERROR_COLOR = '#5f3dc4';
+
+const ERROR_LABELS = {
+  minor_slip: { en: 'Minor slip', he: 'טעות קלה' },
+  procedural_error: { en: 'Procedural error', he: 'טעות בתהליך' },
+  conceptual_error: { en: 'Conceptual error', he: 'טעות מושגית' }
+};
+
+const PANEL_MIN_WIDTH = 380;
+const PANEL_PADDING = 20;
+const CALLOUT_RADIUS = 13;
+
+// Number every error across the evaluation so callouts on the page match entries in the side panel
+const collectErrors = (evaluation) => {
+  const errors = [];
+  (evaluation.problem_breakdown || []).forEach((problem, problemIndex) => {
+    (problem.errors || []).forEach(error => {
+      errors.push({ ...error, number: errors.length + 1, problemIndex });
+    });
+  });
+  return errors;
+};
+
+// Errors graded page by page carry their page and a box normalized to it
+const mapBoxToOwnPage = (box, pageNumber, layout) => {
+  const pageIndex = Math.min(Math.max(pageNumber, 1), layout.pages.length) - 1;
+  const page = layout.pages[pageIndex];
+  return {
+    pageIndex,
+    rect: {
+      x: box.x * page.width,
+      y: box.y * page.height,
+      width: box.width * page.width,
+      height: box.height * page.height
+    }
+  };
+};
+
+// Older evaluations normalized boxes to the stitched image; find the page containing the box and convert to page pixels
+const mapBoxToPage = (box, layout) => {
+  const absolute = {
+    x: box.x * layout.width,
+    y: box.y * layout.height,
+    width: box.width * layout.width,
+    height: box.height * layout.height
+  };
+  const centerY = absolute.y + absolute.height / 2;
+  let pageIndex = layout.pages.findIndex(page => centerY >= page.y && centerY < page.y + page.height);
+  if (pageIndex === -1) {
+    pageIndex = layout.pages.length - 1;
+  }
+  const page = layout.pages[pageIndex];
+
+  return {
+    pageIndex,
+    rect: {
+      x: absolute.x - page.x,
+      y: absolute.y - page.y,
+      width: absolute.width,
+      height: absolute.height
+    }
+  };
+};
+
+const wrapText = (context, text, maxWidth) => {
+  const lines = [];
+  String(text || '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+const drawCallout = (context, number, x, y, color) => {
+  context.beginPath();
+  context.arc(x, y, CALLOUT_RADIUS, 0, Math.PI * 2);
+  context.fillStyle = color;
+  context.fill();
+  context.fillStyle = 'white';
+  context.font = 'bold 14px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(String(number), x, y);
+  context.textAlign = 'left';
+  context.textBaseline = 'alphabetic';
+};
+
+// Draw wrapped text and return the y position after it; Hebrew is right-aligned
+const drawParagraph = (context, text, x, y, width, { font, color = '#212529', rtl = false }) => {
+  context.font = font;
+  context.fillStyle = color;
+  context.textAlign = rtl ? 'right' : 'left';
+  const lineHeight = parseInt(font.match(/(\d+)px/)[1], 10) * 1.35;
+  wrapText(context, text, width).forEach(line => {
+    y += lineHeight;
+    context.fillText(line, rtl ? x + width : x, y);
+  });
+  context.textAlign = 'left';
+  return y;
+};
+
+const drawPanel = (context, left, height, pageErrors, languages) => {
+  const width = context.canvas.width - left;
+  const textWidth = width - PANEL_PADDING * 2 - CALLOUT_RADIUS * 2 - 10;
+  const textLeft = left + PANEL_PADDING + CALLOUT_RADIUS * 2 + 10;
+
+  context.fillStyle = '#f8f9fa';
+  context.fillRect(left, 0, width, height);
+  context.fillStyle = '#dee2e6';
+  context.fillRect(left, 0, 2, height);
+
+  let y = drawParagraph(context, pageErrors.length > 0 ? 'Feedback / משוב' : 'No errors on this page / אין טעויות בעמוד זה', left + PANEL_PADDING, PANEL_PADDING, width - PANEL_PADDING * 2, { font: 'bold 20px sans-serif' });
+  y += 10;
+
+  pageErrors.forEach(error => {
+    const color = ERROR_COLORS[error.error_type] || DEFAULT_ERROR_COLOR;
+    const label = ERROR_LABELS[error.error_type] || { en: error.error_type, he: error.error_type };
+
+    drawCallout(context, error.number, left + PANEL_PADDING + CALLOUT_RADIUS, y + CALLOUT_RADIUS + 6, color);
+    y = drawParagraph(context, `${label.en} / ${label.he}  (-${error.deduction})`, textLeft, y, textWidth, { font: 'bold 15px sans-serif', color });
+
+    languages.forEach(language => {
+      const rtl = language === 'he';
+      const explanation = error.explanation && error.explanation[language];
+      const hint = error.hint && error.hint[language];
+      if (explanation) {
+        y = drawParagraph(context, explanation, textLeft, y + 4, textWidth, { font: '14px sans-serif', rtl });
+      }
+      if (hint) {
+        y = drawParagraph(context, `${rtl ? 'רמז' : 'Hint'}: ${hint}`, textLeft, y + 2, textWidth, { font: 'italic 13px sans-serif', color: '#495057', rtl });
+      }
+    });
+    y += 16;
+  });
+
+  return y;
+};
+
+// Produce one canvas per page: the student's page with colored, numbered error boxes next to a feedback panel.
+// languages controls which explanation/hint translations appear in the panel (both by default).
+const renderAnnotatedPages = (pageCanvases, evaluation, { languages = ['en', 'he'] } = {}) => {
+  const layout = getStitchedLayout(pageCanvases);
+
+  const errorsByPage = pageCanvases.map(() => []);
+  collectErrors(evaluation).forEach(error => {
+    if (!error.boundingBox) {
+      return;
+    }
+    const { pageIndex, rect } = Number.isInteger(error.page)
+      ? mapBoxToOwnPage(error.boundingBox, error.page, layout)
+      : mapBoxToPage(error.boundingBox, layout);
+    errorsByPage[pageIndex].push({ ...error, rect });
+  });
+
+  return pageCanvases.map((pageCanvas, pageIndex) => {
+    const pageErrors = errorsByPage[pageIndex];
+    const panelWidth = Math.max(PANEL_MIN_WIDTH, Math.round(pageCanvas.width * 0.45));
+
+    // Measure the panel first so long feedback can extend the page instead of being cut off
+    const measureCanvas = createCanvas(pageCanvas.width + panelWidth, pageCanvas.height);
+    const panelHeight = drawPanel(measureCanvas.getContext('2d'), pageCanvas.width, pageCanvas.height, pageErrors, languages) + PANEL_PADDING;
+
+    const canvas = createCanvas(pageCanvas.width + panelWidth, Math.max(pageCanvas.height, panelHeight));
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(pageCanvas, 0, 0);
+
+    pageErrors.forEach(error => {
+      const color = ERROR_COLORS[error.error_type] || DEFAULT_ERROR_COLOR;
+      const { x, y, width, height } = error.rect;
+      context.globalAlpha = 0.15;
+      context.fillStyle = color;
+      context.fillRect(x, y, width, height);
+      context.globalAlpha = 1;
+      context.strokeStyle = color;
+      context.lineWidth = 3;
+      context.strokeRect(x, y, width, height);
+      drawCallout(context, error.number, Math.max(CALLOUT_RADIUS, x), Math.max(CALLOUT_RADIUS, y), color);
+    });
+
+    drawPanel(context, pageCanvas.width, canvas.height, pageErrors, languages);
+    return canvas;
+  });
+};
+
+module.exports = { renderAnnotatedPages };
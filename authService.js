@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Lecturer, Student, RefreshToken } = require('./models');
+
+const DEVELOPMENT_JWT_SECRET = 'your-secret-key';
+// The example value from .env.example, which is public
+const PLACEHOLDER_JWT_SECRET = 'change_me_to_a_long_random_string';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 300;
+const REFRESH_TOKEN_PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const USER_MODELS = {
+    lecturer: Lecturer,
+    student: Student
+};
+
+const authError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Refuse to run in production with the development fallback secret or the published example secret
+const assertJwtSecretConfigured = () => {
+    const secret = process.env.JWT_SECRET;
+    if (process.env.NODE_ENV === 'production' && (!secret || secret === PLACEHOLDER_JWT_SECRET)) {
+        throw new Error('JWT_SECRET must be set to a long random value when NODE_ENV is production.');
+    }
+    if (!secret) {
+        console.warn('⚠️  JWT_SECRET is not set; using the development fallback secret.');
+    } else if (secret === PLACEHOLDER_JWT_SECRET) {
+        console.warn('⚠️  JWT_SECRET is still the example value from .env.example.');
+    }
+};
+
+const getJwtSecret = () => process.env.JWT_SECRET || DEVELOPMENT_JWT_SECRET;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// sid names the session (refresh token family) the access token belongs to
+const issueAccessToken = (user, type, sessionId) => jwt.sign(
+    {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        type,
+        sid: sessionId,
+        // Checked by authenticateToken so the temporary password must be replaced first
+        ...(user.must_change_password ? { must_change_password: true } : {})
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// An access token stops working as soon as its session ends (logout, logout-all, a password change or a
+// reused refresh token), not only when it expires
+const isSessionActive = async ({ sid, id, type }) => {
+    if (!sid) {
+        return false;
+    }
+    const active = await RefreshToken.findOne({
+        where: { family_id: sid, user_type: type, user_id: id, revoked_at: null },
+        attributes: ['id']
+    });
+    return Boolean(active);
+};
+
+const createRefreshToken = async (user, type, familyId, userAgent) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+        user_type: type,
+        user_id: user.id,
+        token_hash: hashToken(token),
+        family_id: familyId,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        user_agent: userAgent ? userAgent.slice(0, 255) : null
+    });
+    return { token, record };
+};
+
+const sessionResponse = (user, type, refresh) => ({
+    token: issueAccessToken(user, type, refresh.record.family_id),
+    token_expires_in: ACCESS_TOKEN_TTL,
+    refresh_token: refresh.token,
+    refresh_token_expires_at: refresh.record.expires_at
+});
+
+// Start a new session at sign in: an access token and the first refresh token of a new family
+const createSession = async (user, type, userAgent = null) => {
+    const refresh = await createRefreshToken(user, type, crypto.randomUUID(), userAgent);
+    return sessionResponse(user, type, refresh);
+};
+
+// Exchange a refresh token for a new access token and refresh token. Each refresh token works once;
+// presenting one that was already rotated means it leaked, so its whole family is revoked.
+const rotateSession = async (refreshToken, userAgent = null) => {
+    const record = await RefreshToken.findOne({ where: { token_hash: hashToken(refreshToken) } });
+    if (!record) {
+        throw authError('REFRESH_TOKEN_INVALID', 'Invalid refresh token.');
+    }
+    if (record.revoked_at) {
+        if (record.replaced_by) {
+            await revokeFamily(record.family_id);
+        }
+        throw authError('REFRESH_TOKEN_REVOKED', 'This session has ended. Please sign in again.');
+    }
+    if (record.expires_at <= new Date()) {
+        throw authError('REFRESH_TOKEN_EXPIRED', 'This session has expired. Please sign in again.');
+    }
+
+    const user = await USER_MODELS[record.user_type].findByPk(record.user_id);
+    if (!user) {
+        await revokeFamily(record.family_id);
+        throw authError('REFRESH_TOKEN_INVALID', 'Invalid refresh token.');
+    }
+
+    const refresh = await createRefreshToken(user, record.user_type, record.family_id, userAgent);
+    // Only the request that revokes the token first may use it; a concurrent rotation loses
+    const [revoked] = await RefreshToken.update(
+        { revoked_at: new Date(), replaced_by: refresh.record.id },
+        { where: { id: record.id, revoked_at: null } }
+    );
+    if (revoked === 0) {
+        await revokeFamily(record.family_id);
+        throw authError('REFRESH_TOKEN_REVOKED', 'This session has ended. Please sign in again.');
+    }
+
+    return { type: record.user_type, user, ...sessionResponse(user, record.user_type, refresh) };
+};
+
+const revokeFamily = async (familyId) => RefreshToken.update(
+    { revoked_at: new Date() },
+    { where: { family_id: familyId, revoked_at: null } }
+);
+
+// End the session a refresh token belongs to. Unknown tokens are ignored so logout always succeeds.
+const endSession = async (refreshToken) => {
+    const record = await RefreshToken.findOne({ where: { token_hash: hashToken(refreshToken) } });
+    if (record) {
+        await revokeFamily(record.family_id);
+    }
+    return Boolean(record);
+};
+
+// End every session of a user, e.g. after a password change
+const endAllSessions = async (type, userId) => RefreshToken.update(
+    { revoked_at: new Date() },
+    { where: { user_type: type, user_id: userId, revoked_at: null } }
+);
+
+// Signed URLs let a file be embedded where no Authorization header can be sent. The signature covers the
+// resource (e.g. submission:12:page:2) and the expiry, so it cannot be reused for another file or extended.
+const fileSignature = (resource, expires) => crypto
+    .createHmac('sha256', getJwtSecret())
+    .update(`file:${resource}:${expires}`)
+    .digest('base64url');
+
+const signFileAccess = (resource) => {
+    const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+    return { expires, signature: fileSignature(resource, expires) };
+};
+
+const verifyFileAccess = (resource, expires, signature) => {
+    const expiresAt = parseInt(expires, 10);
+    if (!Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(fileSignature(resource, expiresAt));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Remove refresh tokens that can no longer be used
+const pruneRefreshTokens = async () => RefreshToken.destroy({
+    where: {
+        [Op.or]: [
+            { expires_at: { [Op.lt]: new Date() } },
+            { revoked_at: { [Op.lt]: new Date(Date.now() - REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000) } }
+        ]
+    }
+});
+
+// Prune at startup and then every few hours; the timer does not keep the process alive
+const scheduleRefreshTokenPruning = () => {
+    const prune = () => pruneRefreshTokens().catch(error => console.error('Refresh Token Cleanup Error:', error));
+    prune();
+    const timer = setInterval(prune, REFRESH_TOKEN_PRUNE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    USER_MODELS,
+    hashToken,
+    assertJwtSecretConfigured,
+    verifyAccessToken,
+    isSessionActive,
+    createSession,
+    rotateSession,
+    endSession,
+    endAllSessions,
+    pruneRefreshTokens,
+    scheduleRefreshTokenPruning,
+    signFileAccess,
+    verifyFileAccess
+};
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RefreshToken, Student } = require('./models');
+const {
+    assertJwtSecretConfigured,
+    verifyAccessToken,
+    isSessionActive,
+    rotateSession,
+    signFileAccess,
+    verifyFileAccess
+} = require('./authService');
+
+test.afterEach(() => test.mock.restoreAll());
+
+const storedToken = (fields) => ({
+    id: 1,
+    user_type: 'student',
+    user_id: 9,
+    family_id: 'family-1',
+    revoked_at: null,
+    replaced_by: null,
+    expires_at: new Date(Date.now() + 60 * 1000),
+    ...fields
+});
+
+// Family ids passed to RefreshToken.update as a whole-family revocation
+const revokedFamilies = (update) => update.mock.calls
+    .map(call => call.arguments[1].where)
+    .filter(where => where.family_id)
+    .map(where => where.family_id);
+
+test('rotating a refresh token returns a new pair for the same session', async () => {
+    test.mock.method(RefreshToken, 'findOne', async () => storedToken());
+    test.mock.method(Student, 'findByPk', async () => ({ id: 9, email: 'dana@example.com', name: 'Dana' }));
+    test.mock.method(RefreshToken, 'create', async (fields) => ({ id: 2, ...fields }));
+    const update = test.mock.method(RefreshToken, 'update', async () => [1]);
+
+    const session = await rotateSession('old-token');
+    assert.equal(session.type, 'student');
+    assert.notEqual(session.refresh_token, 'old-token');
+    assert.equal(verifyAccessToken(session.token).sid, 'family-1');
+    assert.equal(update.mock.calls[0].arguments[0].replaced_by, 2);
+    assert.deepEqual(revokedFamilies(update), []);
+});
+
+test('reusing a rotated refresh token revokes its whole family', async () => {
+    test.mock.method(RefreshToken, 'findOne', async () => storedToken({ revoked_at: new Date(), replaced_by: 2 }));
+    const update = test.mock.method(RefreshToken, 'update', async () => [1]);
+
+    await assert.rejects(rotateSession('old-token'), { code: 'REFRESH_TOKEN_REVOKED' });
+    assert.deepEqual(revokedFamilies(update), ['family-1']);
+});
+
+test('a refresh token revoked by logout is refused without revoking again', async () => {
+    test.mock.method(RefreshToken, 'findOne', async () => storedToken({ revoked_at: new Date() }));
+    const update = test.mock.method(RefreshToken, 'update', async () => [1]);
+
+    await assert.rejects(rotateSession('old-token'), { code: 'REFRESH_TOKEN_REVOKED' });
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test('losing a concurrent rotation revokes the family', async () => {
+    test.mock.method(RefreshToken, 'findOne', async () => storedToken());
+    test.mock.method(Student, 'findByPk', async () => ({ id: 9, email: 'dana@example.com', name: 'Dana' }));
+    test.mock.method(RefreshToken, 'create', async (fields) => ({ id: 3, ...fields }));
+    const update = test.mock.method(RefreshToken, 'update', async (changes, { where }) => (where.id ? [0] : [1]));
+
+    await assert.rejects(rotateSession('old-token'), { code: 'REFRESH_TOKEN_REVOKED' });
+    assert.deepEqual(revokedFamilies(update), ['family-1']);
+});
+
+test('unknown and expired refresh tokens are refused', async () => {
+    test.mock.method(RefreshToken, 'findOne', async () => null);
+    await assert.rejects(rotateSession('nope'), { code: 'REFRESH_TOKEN_INVALID' });
+
+    test.mock.restoreAll();
+    test.mock.method(RefreshToken, 'findOne', async () => storedToken({ expires_at: new Date(Date.now() - 1000) }));
+    await assert.rejects(rotateSession('old-token'), { code: 'REFRESH_TOKEN_EXPIRED' });
+});
+
+test('an access token is accepted only while its session has an unrevoked refresh token', async () => {
+    const findOne = test.mock.method(RefreshToken, 'findOne', async () => ({ id: 2 }));
+    assert.equal(await isSessionActive({ sid: 'family-1', id: 9, type: 'student' }), true);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].where, {
+        family_id: 'family-1', user_type: 'student', user_id: 9, revoked_at: null
+    });
+
+    findOne.mock.mockImplementation(async () => null);
+    assert.equal(await isSessionActive({ sid: 'family-1', id: 9, type: 'student' }), false);
+    assert.equal(await isSessionActive({ id: 9, type: 'student' }), false);
+});
+
+test('production refuses a missing or example JWT secret', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const saved = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET };
+    t.after(() => {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    });
+
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SECRET;
+    assert.throws(assertJwtSecretConfigured, /JWT_SECRET/);
+    process.env.JWT_SECRET = 'change_me_to_a_long_random_string';
+    assert.throws(assertJwtSecretConfigured, /JWT_SECRET/);
+    process.env.JWT_SECRET = 'a-real-secret-value-that-nobody-knows';
+    assert.doesNotThrow(assertJwtSecretConfigured);
+});
+
+test('a signed file URL verifies for its own resource until it expires', () => {
+    const { expires, signature } = signFileAccess('submission:12:page:2');
+    assert.equal(verifyFileAccess('submission:12:page:2', String(expires), signature), true);
+
+    assert.equal(verifyFileAccess('submission:12:page:3', String(expires), signature), false);
+    assert.equal(verifyFileAccess('submission:13:page:2', String(expires), signature), false);
+    assert.equal(verifyFileAccess('submission:12:page:2', String(expires + 60), signature), false);
+});
+
+test('expired, missing and malformed signatures are refused', (t) => {
+    const { expires, signature } = signFileAccess('submission:12');
+    assert.equal(verifyFileAccess('submission:12', String(expires), undefined), false);
+    assert.equal(verifyFileAccess('submission:12', 'soon', signature), false);
+    assert.equal(verifyFileAccess('submission:12', String(expires), signature.slice(1)), false);
+    assert.equal(verifyFileAccess('submission:12', String(expires), [signature]), false);
+
+    t.mock.timers.enable({ apis: ['Date'], now: (expires + 1) * 1000 });
+    assert.equal(verifyFileAccess('submission:12', String(expires), signature), false);
+});
@@ -0,0 +1,79 @@
+const { Classroom, Assignment } = require('./models');
+
+const ARCHIVED_CLASSROOM_MESSAGE = 'Archived classrooms are read-only. Unarchive the classroom to change it.';
+
+// Find an assignment in one of the lecturer's classrooms, or null
+const findLecturerAssignment = async (lecturerId, classroomId, assignmentId) => Assignment.findOne({
+    where: {
+        id: assignmentId,
+        classroom_id: classroomId
+    },
+    include: [{
+        model: Classroom,
+        as: 'classroom',
+        attributes: ['id', 'archived_at'],
+        where: { created_by: lecturerId }
+    }]
+});
+
+// Middleware for routes that change a classroom: loads the lecturer's classroom into req.classroom
+// and refuses the change while it is archived
+const requireWritableClassroom = async (req, res, next) => {
+    try {
+        const classroom = await Classroom.findOne({
+            where: {
+                id: req.params.classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({
+                message: 'Classroom not found or you do not have permission to update it.'
+            });
+        }
+        if (classroom.archived_at) {
+            return res.status(409).json({ message: ARCHIVED_CLASSROOM_MESSAGE });
+        }
+
+        req.classroom = classroom;
+        next();
+    } catch (error) {
+        console.error('Load Classroom Error:', error);
+        res.status(500).json({
+            message: 'An error occurred while loading the classroom.'
+        });
+    }
+};
+
+// Middleware for routes that change an assignment or its settings: loads it into req.assignment
+// and refuses the change while its classroom is archived
+const requireWritableAssignment = async (req, res, next) => {
+    try {
+        const assignment = await findLecturerAssignment(req.user.id, req.params.classroomId, req.params.assignmentId);
+
+        if (!assignment) {
+            return res.status(404).json({
+                message: 'Assignment not found or you do not have permission to update it.'
+            });
+        }
+        if (assignment.classroom.archived_at) {
+            return res.status(409).json({ message: ARCHIVED_CLASSROOM_MESSAGE });
+        }
+
+        req.assignment = assignment;
+        next();
+    } catch (error) {
+        console.error('Load Assignment Error:', error);
+        res.status(500).json({
+            message: 'An error occurred while loading the assignment.'
+        });
+    }
+};
+
+module.exports = {
+    ARCHIVED_CLASSROOM_MESSAGE,
+    findLecturerAssignment,
+    requireWritableClassroom,
+    requireWritableAssignment
+};
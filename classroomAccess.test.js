@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Classroom, Assignment } = require('./models');
+const { requireWritableClassroom, requireWritableAssignment } = require('./classroomAccess');
+
+test.afterEach(() => test.mock.restoreAll());
+
+// Run a middleware once and report whether it passed the request on
+const runMiddleware = async (middleware, req) => {
+    let status = null;
+    let body = null;
+    const res = {
+        status(code) { status = code; return this; },
+        json(payload) { body = payload; return this; }
+    };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { passed, status, body };
+};
+
+const assignmentRequest = { user: { id: 7 }, params: { classroomId: '3', assignmentId: '11' } };
+
+test('an assignment of an archived classroom cannot be changed through its late policy or extensions', async () => {
+    const findOne = test.mock.method(Assignment, 'findOne', async () => ({
+        id: 11,
+        classroom: { id: 3, archived_at: new Date() }
+    }));
+
+    const result = await runMiddleware(requireWritableAssignment, { ...assignmentRequest });
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 409);
+    assert.match(result.body.message, /read-only/);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].include[0].where, { created_by: 7 });
+});
+
+test('an assignment of an active classroom is loaded for the route', async () => {
+    const assignment = { id: 11, classroom: { id: 3, archived_at: null } };
+    test.mock.method(Assignment, 'findOne', async () => assignment);
+
+    const req = { ...assignmentRequest };
+    const result = await runMiddleware(requireWritableAssignment, req);
+    assert.equal(result.passed, true);
+    assert.equal(req.assignment, assignment);
+});
+
+test('another lecturer\'s assignment is not found', async () => {
+    test.mock.method(Assignment, 'findOne', async () => null);
+
+    const result = await runMiddleware(requireWritableAssignment, { ...assignmentRequest });
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 404);
+});
+
+test('students cannot be removed from an archived classroom', async () => {
+    test.mock.method(Classroom, 'findOne', async () => ({ id: 3, archived_at: new Date() }));
+
+    const result = await runMiddleware(requireWritableClassroom, { user: { id: 7 }, params: { classroomId: '3', studentId: '5' } });
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 409);
+});
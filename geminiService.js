@@ -1,14 +1,12 @@
-const { GoogleGenAI, Type } = require("@google/genai");
+const { getGradingProvider } = require('./gradingProviders');
+const { buildRubricPromptSection, buildDeductionGuidelines } = require('./rubric');
+const { validateEvaluation } = require('./gradingValidator');
+const { recordAIUsage } = require('./aiUsage');
 
-if (!process.env.API_KEY) {
-    throw new Error("API_KEY environment variable not set in server/.env");
-}
+// Used only when an assignment has no rubric, so the grader has a curriculum to anchor problem style and max scores to
+const DEFAULT_CURRICULUM_NOTE = `Your analysis must be anchored to the curriculum and problem style found in "פתרון-מלא-35381.pdf — Math B 35381, Summer 2022 solutions, Yoel Geva".`;
 
-const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-
-const GRADING_PROMPT = `You are an expert math teacher's assistant specializing in grading handwritten math homework. Your analysis must be anchored to the curriculum and problem style found in "פתרון-מלא-35381.pdf — Math B 35381, Summer 2022 solutions, Yoel Geva".
-
-Analyze the provided image containing a student's work. Identify each distinct problem and provide a detailed breakdown. The output MUST be a single JSON object.
+const GRADING_INSTRUCTIONS = `Analyze the provided image containing a student's work. Identify each distinct problem and provide a detailed breakdown. The output MUST be a single JSON object.
 
 **CRITICAL REQUIREMENT: All text fields must be bilingual, containing both an English ('en') and Hebrew ('he') translation.**
 
@@ -29,103 +27,57 @@ Each error object in the "errors" array must contain:
 2.  "deduction": A positive integer representing the points deducted.
 3.  "explanation": A clear, constructive bilingual explanation of the mistake. **This should include a specific example of the incorrect step or concept from the student's work.** For example, "The student incorrectly calculated 5 * 8 as 35 instead of 40."
 4.  "hint": A bilingual, actionable hint for the student on how to correct this type of mistake in the future. For example, "Remember to double-check your multiplication tables for accuracy."
-5.  "boundingBox": An object with normalized coordinates ("x", "y", "width", "height") for the error's location on the image.
-
-Rubric and Deduction Guidelines:
-- "minor_slip": For arithmetic mistakes, copy errors, or sign errors. Deduction: 1-3 points.
-- "procedural_error": For incorrect application of a known procedure (e.g., errors in distributing terms, incorrect order of operations). Deduction: 4-7 points.
-- "conceptual_error": For fundamental misunderstandings of a mathematical concept (e.g., using the wrong formula, incorrect logic). These are the most severe. Deduction: 8-15 points.
-
-Ensure all bounding boxes are accurate and normalized. Every string meant for display MUST be in the bilingual {en: "...", he: "..."} format.`;
-
-const bilingualTextSchema = {
-    type: Type.OBJECT,
-    properties: {
-        en: { type: Type.STRING },
-        he: { type: Type.STRING },
-    },
-    required: ["en", "he"],
-};
+5.  "boundingBox": An object with normalized coordinates ("x", "y", "width", "height") for the error's location on the image.`;
 
-const errorAnalysisSchema = {
-    type: Type.OBJECT,
-    properties: {
-        error_type: { type: Type.STRING, enum: ["minor_slip", "procedural_error", "conceptual_error"] },
-        deduction: { type: Type.INTEGER, description: "Points deducted for the error." },
-        explanation: { ...bilingualTextSchema, description: "Bilingual explanation of the error, with specific examples from the student's work." },
-        hint: { ...bilingualTextSchema, description: "Bilingual, actionable hint for the student on how to correct the mistake." },
-        boundingBox: {
-            type: Type.OBJECT,
-            properties: {
-                x: { type: Type.NUMBER },
-                y: { type: Type.NUMBER },
-                width: { type: Type.NUMBER },
-                height: { type: Type.NUMBER },
-            },
-            required: ["x", "y", "width", "height"],
-        },
-    },
-    required: ["error_type", "deduction", "explanation", "hint", "boundingBox"],
-};
+const CLOSING_INSTRUCTIONS = `Ensure all bounding boxes are accurate and normalized. Every string meant for display MUST be in the bilingual {en: "...", he: "..."} format.`;
 
-const problemAnalysisSchema = {
-    type: Type.OBJECT,
-    properties: {
-        problem_description: { ...bilingualTextSchema, description: "Bilingual description of the problem." },
-        score: { type: Type.INTEGER },
-        max_score: { type: Type.INTEGER },
-        feedback: { ...bilingualTextSchema, description: "Bilingual overall feedback for the student." },
-        teacher_recommendation: { ...bilingualTextSchema, description: "Bilingual recommendations for the teacher." },
-        errors: {
-            type: Type.ARRAY,
-            description: "A list of errors found in this problem.",
-            items: errorAnalysisSchema,
-        },
-    },
-    required: ["problem_description", "score", "max_score", "feedback", "teacher_recommendation", "errors"],
-};
+const buildPageInstructions = (pageCount) => `The student's work is provided as ${pageCount} separate page image(s), in order, each preceded by a "Page N of ${pageCount}" label. Every error object MUST also contain "page": the 1-based number of the page where the error appears. Its "boundingBox" must be normalized to that page's image, not to the whole document.`;
+
+// Build the system instruction from the assignment's rubric and answer key, falling back to the default curriculum
+const buildSystemInstruction = ({ rubric = null, answerKey = null, pageCount = null } = {}) => {
+    const sections = [
+        `You are an expert math teacher's assistant specializing in grading handwritten math homework.${rubric ? '' : ` ${DEFAULT_CURRICULUM_NOTE}`}`,
+        GRADING_INSTRUCTIONS
+    ];
+
+    if (pageCount) {
+        sections.push(buildPageInstructions(pageCount));
+    }
+
+    if (rubric) {
+        sections.push(buildRubricPromptSection(rubric, answerKey));
+    } else if (answerKey) {
+        sections.push(`Answer Key provided by the lecturer (use it as the reference solution):\n${answerKey}`);
+    }
 
-const gradingSchema = {
-  type: Type.OBJECT,
-  properties: {
-    overall_score: {
-      type: Type.INTEGER,
-      description: "An integer overall grade from 0 to 100.",
-    },
-    problem_breakdown: {
-      type: Type.ARRAY,
-      description: "An array of detailed bilingual analyses for each problem.",
-      items: problemAnalysisSchema,
-    },
-  },
-  required: ["overall_score", "problem_breakdown"],
+    sections.push(`Rubric and Deduction Guidelines:\n${buildDeductionGuidelines(rubric)}`, CLOSING_INSTRUCTIONS);
+    return sections.join('\n\n');
 };
 
-const gradeHomework = async (imageBase64) => {
-    try {
-        const imagePart = {
-             inlineData: { data: imageBase64, mimeType: 'image/jpeg' },
-        };
-        const textPart = {
-            text: "Analyze the student's work in the provided image and provide a detailed breakdown according to the instructions. The user has provided a detailed system instruction for you to follow."
-        };
+// Grade through the configured provider (GRADING_PROVIDER) and report which provider and model produced the result.
+// The work is either one base64 JPEG (stitched pages) or an ordered array of page images from convertPdfToPages,
+// in which case every error carries the page it was found on.
+// When the assignment has a rubric, it drives the system instruction and the result is checked against it.
+// The returned evaluation is repaired where possible; warnings list every inconsistency that was found.
+// Every call is logged for usage accounting; usageContext ({ source, lecturerId, classroomId, assignmentId,
+// submissionId }) says who it belongs to.
+const gradeHomeworkWithMetadata = async (work, { rubric = null, answerKey = null, usageContext = {} } = {}) => {
+    const pages = Array.isArray(work) ? work : null;
+    const pageCount = pages ? pages.length : null;
+    let provider = null;
+    let usage = null;
+    const startedAt = Date.now();
 
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: {
-                parts: [imagePart, textPart]
-            },
-            config: {
-                systemInstruction: GRADING_PROMPT,
-                responseMimeType: "application/json",
-                responseSchema: gradingSchema,
-                temperature: 0.2,
-            }
+    try {
+        provider = getGradingProvider();
+        const response = await provider.grade({
+            imageBase64: pages ? null : work,
+            pages,
+            systemInstruction: buildSystemInstruction({ rubric, answerKey, pageCount }),
+            rubric
         });
-
-        // Clean potential markdown formatting from the response
-        const cleanedText = response.text.trim().replace(/^```json|```$/g, '').trim();
-        const parsedJson = JSON.parse(cleanedText);
+        const parsedJson = response.result;
+        usage = response.usage || null;
         
         // Basic validation before casting. The schema should handle most of this.
         if (
@@ -135,10 +87,31 @@ const gradeHomework = async (imageBase64) => {
             throw new Error('Invalid JSON structure from API. Missing or malformed top-level keys.');
         }
 
-        return parsedJson;
+        const { evaluation, warnings, flagged } = validateEvaluation(parsedJson, { rubric, pageCount });
+        const latencyMs = Date.now() - startedAt;
+        await recordAIUsage({ context: usageContext, provider: provider.name, model: provider.model, work, usage, latencyMs });
+
+        return {
+            evaluation,
+            warnings,
+            flagged,
+            provider: provider.name,
+            model: provider.model,
+            usage,
+            latency_ms: latencyMs
+        };
 
     } catch (error) {
         console.error("Error grading homework:", error);
+        await recordAIUsage({
+            context: usageContext,
+            provider: provider ? provider.name : null,
+            model: provider ? provider.model : null,
+            work,
+            usage,
+            latencyMs: Date.now() - startedAt,
+            error
+        });
         if (error instanceof Error) {
           throw new Error(`Failed to get a grade from the AI. It's possible the image is unclear or the AI service is temporarily unavailable. Details: ${error.message}`);
         }
@@ -146,4 +119,9 @@ const gradeHomework = async (imageBase64) => {
     }
 };
 
-module.exports = { gradeHomework };
\ No newline at end of file
+const gradeHomework = async (work, options) => {
+    const { evaluation } = await gradeHomeworkWithMetadata(work, options);
+    return evaluation;
+};
+
+module.exports = { gradeHomework, gradeHomeworkWithMetadata };
\ No newline at end of file
@@ -0,0 +1,220 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Column and value labels, in the same two languages as the AI feedback
+const LABELS = {
+    en: {
+        student_name: 'Student Name',
+        student_email: 'Email',
+        mark: 'Mark',
+        status: 'Status',
+        is_late: 'Late',
+        attempt_count: 'Attempts',
+        submitted_at: 'Submitted At',
+        graded_at: 'Graded At',
+        feedback: 'Feedback',
+        ai_score: 'AI Score',
+        problem_score: (number) => `Problem ${number} AI Score`,
+        problem_max_score: (number) => `Problem ${number} Max Score`,
+        problem_errors: (number) => `Problem ${number} Errors`,
+        category_average: { homework: 'Homework Average', quiz: 'Quiz Average', exam: 'Exam Average' },
+        weighted_average: 'Weighted Average',
+        yes: 'Yes',
+        no: 'No',
+        statuses: {
+            submitted: 'Submitted',
+            graded: 'Graded',
+            returned: 'Returned',
+            late: 'Late',
+            missing: 'Missing',
+            excused: 'Excused',
+            not_submitted: 'Not submitted'
+        }
+    },
+    he: {
+        student_name: 'שם התלמיד',
+        student_email: 'דוא"ל',
+        mark: 'ציון',
+        status: 'סטטוס',
+        is_late: 'איחור',
+        attempt_count: 'ניסיונות',
+        submitted_at: 'מועד הגשה',
+        graded_at: 'מועד בדיקה',
+        feedback: 'משוב',
+        ai_score: 'ציון AI',
+        problem_score: (number) => `שאלה ${number} - ציון AI`,
+        problem_max_score: (number) => `שאלה ${number} - ניקוד מרבי`,
+        problem_errors: (number) => `שאלה ${number} - מספר טעויות`,
+        category_average: { homework: 'ממוצע שיעורי בית', quiz: 'ממוצע בחנים', exam: 'ממוצע מבחנים' },
+        weighted_average: 'ממוצע משוקלל',
+        yes: 'כן',
+        no: 'לא',
+        statuses: {
+            submitted: 'הוגש',
+            graded: 'נבדק',
+            returned: 'הוחזר',
+            late: 'באיחור',
+            missing: 'חסר',
+            excused: 'פטור',
+            not_submitted: 'לא הוגש'
+        }
+    }
+};
+
+const getLabels = (language) => LABELS[language] || LABELS.en;
+
+const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+// One row per submission. With includeAi, per-problem AI scores and error counts from problem_breakdown are added.
+const buildSubmissionTable = (submissions, { language = 'en', includeAi = false } = {}) => {
+    const labels = getLabels(language);
+    const columns = [
+        { key: 'student_name', header: labels.student_name },
+        { key: 'student_email', header: labels.student_email },
+        { key: 'mark', header: labels.mark },
+        { key: 'status', header: labels.status },
+        { key: 'is_late', header: labels.is_late },
+        { key: 'attempt_count', header: labels.attempt_count },
+        { key: 'submitted_at', header: labels.submitted_at },
+        { key: 'graded_at', header: labels.graded_at },
+        { key: 'feedback', header: labels.feedback }
+    ];
+
+    const completedBreakdown = (submission) => {
+        const evaluation = submission.ai_evaluation;
+        return evaluation && evaluation.status === 'completed' ? evaluation.problem_breakdown || [] : null;
+    };
+
+    let problemCount = 0;
+    if (includeAi) {
+        problemCount = Math.max(0, ...submissions.map(submission => (completedBreakdown(submission) || []).length));
+        columns.push({ key: 'ai_score', header: labels.ai_score });
+        for (let number = 1; number <= problemCount; number++) {
+            columns.push({ key: `problem_${number}_score`, header: labels.problem_score(number) });
+            columns.push({ key: `problem_${number}_max_score`, header: labels.problem_max_score(number) });
+            columns.push({ key: `problem_${number}_errors`, header: labels.problem_errors(number) });
+        }
+    }
+
+    const rows = submissions.map(submission => {
+        const row = {
+            student_name: submission.student ? submission.student.name : null,
+            student_email: submission.student ? submission.student.email : null,
+            mark: toNumber(submission.mark),
+            status: labels.statuses[submission.status] || submission.status,
+            is_late: submission.is_late ? labels.yes : labels.no,
+            attempt_count: submission.attempt_count,
+            submitted_at: submission.submitted_at,
+            graded_at: submission.graded_at,
+            feedback: submission.feedback
+        };
+
+        if (includeAi) {
+            const breakdown = completedBreakdown(submission);
+            row.ai_score = breakdown ? toNumber(submission.ai_evaluation.overall_score) : null;
+            for (let number = 1; number <= problemCount; number++) {
+                const problem = breakdown && breakdown[number - 1];
+                row[`problem_${number}_score`] = problem ? toNumber(problem.score) : null;
+                row[`problem_${number}_max_score`] = problem ? toNumber(problem.max_score) : null;
+                row[`problem_${number}_errors`] = problem && Array.isArray(problem.errors) ? problem.errors.length : null;
+            }
+        }
+        return row;
+    });
+
+    return { columns, rows };
+};
+
+// One row per student from a built gradebook: a mark (or status) per assignment, then the averages
+const buildGradebookTable = (gradebook, { language = 'en' } = {}) => {
+    const labels = getLabels(language);
+    const columns = [
+        { key: 'student_name', header: labels.student_name },
+        { key: 'student_email', header: labels.student_email },
+        ...gradebook.assignments.map(assignment => ({ key: `assignment_${assignment.id}`, header: assignment.assignment_title })),
+        ...Object.keys(labels.category_average).map(category => ({ key: `${category}_average`, header: labels.category_average[category] })),
+        { key: 'weighted_average', header: labels.weighted_average }
+    ];
+
+    const rows = gradebook.students.map(entry => {
+        const row = {
+            student_name: entry.student.name,
+            student_email: entry.student.email
+        };
+        gradebook.assignments.forEach(assignment => {
+            const cell = entry.cells[assignment.id];
+            // Graded work shows its mark; everything else shows its status so blanks are never ambiguous
+            row[`assignment_${assignment.id}`] = cell.counts ? cell.mark : labels.statuses[cell.status] || cell.status;
+        });
+        Object.keys(labels.category_average).forEach(category => {
+            row[`${category}_average`] = entry.category_averages[category];
+        });
+        row.weighted_average = entry.weighted_average;
+        return row;
+    });
+
+    return { columns, rows };
+};
+
+const formatCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Keep spreadsheet programs from running text such as "=SUM(...)" as a formula
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV with a UTF-8 byte order mark so Excel shows Hebrew correctly
+const tableToCsv = ({ columns, rows }) => {
+    const lines = [
+        columns.map(column => formatCsvValue(column.header)).join(','),
+        ...rows.map(row => columns.map(column => formatCsvValue(row[column.key])).join(','))
+    ];
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf-8');
+};
+
+const tableToXlsx = async ({ columns, rows }, { sheetName = 'Grades', rightToLeft = false } = {}) => {
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are limited to 31 characters and cannot contain []:*?/\
+    const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Grades', {
+        views: [{ rightToLeft, state: 'frozen', ySplit: 1 }]
+    });
+    worksheet.columns = columns.map(column => ({
+        key: column.key,
+        header: column.header,
+        width: Math.min(40, Math.max(12, String(column.header).length + 2))
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    rows.forEach(row => worksheet.addRow(row));
+    columns.forEach(column => {
+        if (column.key.endsWith('_at')) {
+            worksheet.getColumn(column.key).numFmt = 'yyyy-mm-dd hh:mm';
+        }
+    });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Render a table in the requested format; returns the file contents and how to send it
+const renderExport = async (table, format, { sheetName, language = 'en' } = {}) => {
+    const buffer = format === 'xlsx'
+        ? await tableToXlsx(table, { sheetName, rightToLeft: language === 'he' })
+        : tableToCsv(table);
+    return { buffer, ...EXPORT_FORMATS[format] };
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildSubmissionTable,
+    buildGradebookTable,
+    tableToCsv,
+    tableToXlsx,
+    renderExport
+};
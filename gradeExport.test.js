@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSubmissionTable, tableToCsv } = require('./gradeExport');
+
+// CSV text without the byte order mark, one array of lines
+const csvLines = (table) => tableToCsv(table).toString('utf-8').replace(/^\uFEFF/, '').split('\r\n');
+
+const table = (values) => ({
+    columns: [{ key: 'value', header: 'Value' }],
+    rows: values.map(value => ({ value }))
+});
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+    const lines = csvLines(table(['=SUM(A1:A9)', '+1', '-2', '@cmd', '\tTAB', 'plain']));
+    assert.deepEqual(lines.slice(1, 7), ["'=SUM(A1:A9)", "'+1", "'-2", "'@cmd", "'\tTAB", 'plain']);
+});
+
+test('negative numbers are written as numbers', () => {
+    assert.equal(csvLines(table([-5]))[1], '-5');
+});
+
+test('commas, quotes and line breaks are quoted', () => {
+    const lines = csvLines(table(['a,b', 'say "hi"']));
+    assert.equal(lines[1], '"a,b"');
+    assert.equal(lines[2], '"say ""hi"""');
+
+    const multiline = tableToCsv(table(['=1\nline'])).toString('utf-8');
+    assert.match(multiline, /"'=1\nline"/);
+});
+
+test('the CSV starts with a byte order mark so Hebrew shows correctly in Excel', () => {
+    const buffer = tableToCsv(table(['שלום']));
+    assert.equal(buffer.toString('utf-8').charCodeAt(0), 0xFEFF);
+});
+
+test('student-controlled names in a submission export are escaped', () => {
+    const submissions = [{
+        student: { name: '=HYPERLINK("http://x")', email: 'a@example.com' },
+        mark: '90.00',
+        status: 'graded',
+        is_late: false,
+        attempt_count: 1,
+        submitted_at: null,
+        graded_at: null,
+        feedback: null
+    }];
+    const lines = csvLines(buildSubmissionTable(submissions));
+    assert.equal(lines[1].split(',')[0], '"\'=HYPERLINK(""http://x"")"');
+    assert.match(lines[1], /,90,Graded,No,1,/);
+});
@@ -0,0 +1,151 @@
+const ASSIGNMENT_CATEGORIES = ['homework', 'quiz', 'exam'];
+
+// Without a scheme every category weighs the same and nothing is dropped
+const DEFAULT_GRADING_SCHEME = {
+    categories: {
+        homework: { weight: 1, drop_lowest: 0 },
+        quiz: { weight: 1, drop_lowest: 0 },
+        exam: { weight: 1, drop_lowest: 0 }
+    }
+};
+
+// Validate a lecturer-supplied grading scheme and return it in normalized form, or the list of problems found
+const validateGradingScheme = (scheme) => {
+    const errors = [];
+
+    if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) {
+        return { scheme: null, errors: ['Grading scheme must be an object.'] };
+    }
+    if (!scheme.categories || typeof scheme.categories !== 'object' || Array.isArray(scheme.categories)) {
+        return { scheme: null, errors: ['Grading scheme must include a categories object.'] };
+    }
+
+    Object.keys(scheme.categories).forEach(category => {
+        if (!ASSIGNMENT_CATEGORIES.includes(category)) {
+            errors.push(`categories.${category} is not a known category. Use one of: ${ASSIGNMENT_CATEGORIES.join(', ')}.`);
+        }
+    });
+
+    const categories = {};
+    ASSIGNMENT_CATEGORIES.forEach(category => {
+        const settings = scheme.categories[category];
+        if (settings === undefined) {
+            // Categories left out of the scheme do not count towards the average
+            categories[category] = { weight: 0, drop_lowest: 0 };
+            return;
+        }
+        if (!settings || typeof settings.weight !== 'number' || !(settings.weight >= 0)) {
+            errors.push(`categories.${category}.weight must be a non-negative number.`);
+            return;
+        }
+        const dropLowest = settings.drop_lowest === undefined ? 0 : settings.drop_lowest;
+        if (!Number.isInteger(dropLowest) || dropLowest < 0) {
+            errors.push(`categories.${category}.drop_lowest must be a non-negative integer.`);
+            return;
+        }
+        categories[category] = { weight: settings.weight, drop_lowest: dropLowest };
+    });
+
+    if (errors.length === 0 && !ASSIGNMENT_CATEGORIES.some(category => categories[category].weight > 0)) {
+        errors.push('At least one category must have a weight greater than 0.');
+    }
+
+    if (errors.length > 0) {
+        return { scheme: null, errors };
+    }
+    return { scheme: { categories }, errors };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// One gradebook cell. Missing work counts as zero once the due date has passed unless the student was excused.
+const buildCell = (assignment, submission, excused, now) => {
+    if (submission) {
+        const isGraded = submission.mark !== null && (submission.status === 'graded' || submission.status === 'returned');
+        return {
+            submission_id: submission.id,
+            status: submission.status,
+            mark: submission.mark === null ? null : Number(submission.mark),
+            is_late: submission.is_late,
+            counts: isGraded
+        };
+    }
+    if (excused) {
+        return { submission_id: null, status: 'excused', mark: null, is_late: false, counts: false };
+    }
+    if (assignment.due_date && new Date(assignment.due_date) < now) {
+        return { submission_id: null, status: 'missing', mark: 0, is_late: false, counts: true };
+    }
+    return { submission_id: null, status: 'not_submitted', mark: null, is_late: false, counts: false };
+};
+
+// Average of a category's counted marks after dropping the lowest ones; at least one mark is always kept
+const categoryAverage = (marks, dropLowest) => {
+    if (marks.length === 0) {
+        return null;
+    }
+    const kept = [...marks].sort((a, b) => a - b).slice(Math.min(dropLowest, marks.length - 1));
+    return round(kept.reduce((total, mark) => total + mark, 0) / kept.length);
+};
+
+// Student x assignment matrix with per-category and weighted running averages.
+// Only graded work and missing work past its due date count towards the averages.
+const buildGradebook = ({ students, assignments, submissions, excusals, scheme, now = new Date() }) => {
+    const { categories } = scheme || DEFAULT_GRADING_SCHEME;
+    const submissionFor = new Map(submissions.map(submission => [`${submission.student_id}:${submission.assignment_id}`, submission]));
+    const excusedFor = new Set(excusals.map(excusal => `${excusal.student_id}:${excusal.assignment_id}`));
+
+    const rows = students.map(student => {
+        const cells = {};
+        const marksByCategory = {};
+        ASSIGNMENT_CATEGORIES.forEach(category => { marksByCategory[category] = []; });
+
+        assignments.forEach(assignment => {
+            const key = `${student.id}:${assignment.id}`;
+            const cell = buildCell(assignment, submissionFor.get(key), excusedFor.has(key), now);
+            cells[assignment.id] = cell;
+            if (cell.counts) {
+                marksByCategory[assignment.category || 'homework'].push(cell.mark);
+            }
+        });
+
+        const categoryAverages = {};
+        let weightedTotal = 0;
+        let weightUsed = 0;
+        ASSIGNMENT_CATEGORIES.forEach(category => {
+            const { weight, drop_lowest: dropLowest } = categories[category];
+            const average = categoryAverage(marksByCategory[category], dropLowest);
+            categoryAverages[category] = average;
+            // Weights are re-normalized over the categories that have counted work so far
+            if (average !== null && weight > 0) {
+                weightedTotal += average * weight;
+                weightUsed += weight;
+            }
+        });
+
+        return {
+            student: { id: student.id, name: student.name, email: student.email },
+            cells,
+            category_averages: categoryAverages,
+            weighted_average: weightUsed > 0 ? round(weightedTotal / weightUsed) : null
+        };
+    });
+
+    return {
+        scheme: { categories },
+        assignments: assignments.map(assignment => ({
+            id: assignment.id,
+            assignment_title: assignment.assignment_title,
+            category: assignment.category || 'homework',
+            due_date: assignment.due_date
+        })),
+        students: rows
+    };
+};
+
+module.exports = {
+    ASSIGNMENT_CATEGORIES,
+    DEFAULT_GRADING_SCHEME,
+    validateGradingScheme,
+    buildGradebook
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGradingScheme, buildGradebook } = require('./gradebook');
+
+const now = new Date('2026-05-01T00:00:00Z');
+const past = new Date('2026-04-01T00:00:00Z');
+const future = new Date('2026-06-01T00:00:00Z');
+
+const student = { id: 1, name: 'Dana', email: 'dana@example.com' };
+const assignment = (id, category, dueDate = past) => ({ id, assignment_title: `A${id}`, category, due_date: dueDate });
+const graded = (assignmentId, mark, status = 'graded') => ({ id: assignmentId * 10, student_id: 1, assignment_id: assignmentId, status, mark, is_late: false });
+
+const rowFor = ({ assignments, submissions = [], excusals = [], scheme = null }) =>
+    buildGradebook({ students: [student], assignments, submissions, excusals, scheme, now }).students[0];
+
+test('drop_lowest leaves out the lowest marks but always keeps one', () => {
+    const { scheme } = validateGradingScheme({ categories: { homework: { weight: 1, drop_lowest: 1 } } });
+    const assignments = [assignment(1, 'homework'), assignment(2, 'homework'), assignment(3, 'homework')];
+
+    const row = rowFor({ assignments, submissions: [graded(1, 40), graded(2, 80), graded(3, 90)], scheme });
+    assert.equal(row.category_averages.homework, 85);
+
+    const { scheme: dropAll } = validateGradingScheme({ categories: { homework: { weight: 1, drop_lowest: 5 } } });
+    const single = rowFor({ assignments: [assignment(1, 'homework')], submissions: [graded(1, 40)], scheme: dropAll });
+    assert.equal(single.category_averages.homework, 40);
+});
+
+test('the weighted average is re-normalized over categories with counted work', () => {
+    const { scheme } = validateGradingScheme({
+        categories: { homework: { weight: 1 }, quiz: { weight: 1 }, exam: { weight: 2 } }
+    });
+    const assignments = [assignment(1, 'homework'), assignment(2, 'exam'), assignment(3, 'quiz', future)];
+
+    const row = rowFor({ assignments, submissions: [graded(1, 60), graded(2, 90)], scheme });
+    assert.equal(row.category_averages.quiz, null);
+    assert.equal(row.weighted_average, 80);
+});
+
+test('categories left out of the scheme do not count', () => {
+    const { scheme } = validateGradingScheme({ categories: { exam: { weight: 1 } } });
+    const row = rowFor({
+        assignments: [assignment(1, 'homework'), assignment(2, 'exam')],
+        submissions: [graded(1, 10), graded(2, 70)],
+        scheme
+    });
+    assert.equal(row.weighted_average, 70);
+});
+
+test('missing work past its due date counts as zero unless the student is excused', () => {
+    const assignments = [assignment(1, 'homework'), assignment(2, 'homework')];
+
+    const missing = rowFor({ assignments, submissions: [graded(1, 80)] });
+    assert.equal(missing.cells[2].status, 'missing');
+    assert.equal(missing.category_averages.homework, 40);
+
+    const excused = rowFor({ assignments, submissions: [graded(1, 80)], excusals: [{ student_id: 1, assignment_id: 2 }] });
+    assert.equal(excused.cells[2].status, 'excused');
+    assert.equal(excused.category_averages.homework, 80);
+});
+
+test('ungraded submissions and work not yet due do not count', () => {
+    const row = rowFor({
+        assignments: [assignment(1, 'homework'), assignment(2, 'homework', future)],
+        submissions: [{ ...graded(1, null), status: 'submitted' }]
+    });
+    assert.equal(row.cells[1].counts, false);
+    assert.equal(row.cells[2].status, 'not_submitted');
+    assert.equal(row.weighted_average, null);
+});
+
+test('validateGradingScheme reports unknown categories and bad settings', () => {
+    const { scheme, errors } = validateGradingScheme({
+        categories: { lab: { weight: 1 }, quiz: { weight: -1 }, exam: { weight: 1, drop_lowest: 1.5 } }
+    });
+    assert.equal(scheme, null);
+    assert.equal(errors.length, 3);
+
+    assert.deepEqual(validateGradingScheme({ categories: { quiz: { weight: 0 } } }).errors, [
+        'At least one category must have a weight greater than 0.'
+    ]);
+});
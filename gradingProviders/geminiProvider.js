@@ -0,0 +1,144 @@
+const { GoogleGenAI, Type } = require("@google/genai");
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+const bilingualTextSchema = {
+    type: Type.OBJECT,
+    properties: {
+        en: { type: Type.STRING },
+        he: { type: Type.STRING },
+    },
+    required: ["en", "he"],
+};
+
+const errorAnalysisSchema = {
+    type: Type.OBJECT,
+    properties: {
+        error_type: { type: Type.STRING, enum: ["minor_slip", "procedural_error", "conceptual_error"] },
+        deduction: { type: Type.INTEGER, description: "Points deducted for the error." },
+        explanation: { ...bilingualTextSchema, description: "Bilingual explanation of the error, with specific examples from the student's work." },
+        hint: { ...bilingualTextSchema, description: "Bilingual, actionable hint for the student on how to correct the mistake." },
+        boundingBox: {
+            type: Type.OBJECT,
+            properties: {
+                x: { type: Type.NUMBER },
+                y: { type: Type.NUMBER },
+                width: { type: Type.NUMBER },
+                height: { type: Type.NUMBER },
+            },
+            required: ["x", "y", "width", "height"],
+        },
+    },
+    required: ["error_type", "deduction", "explanation", "hint", "boundingBox"],
+};
+
+// In page mode every error also records the 1-based page it was found on
+const pagedErrorAnalysisSchema = {
+    ...errorAnalysisSchema,
+    properties: {
+        ...errorAnalysisSchema.properties,
+        page: { type: Type.INTEGER, description: "1-based number of the page where the error appears." },
+    },
+    required: [...errorAnalysisSchema.required, "page"],
+};
+
+const buildProblemAnalysisSchema = (errorSchema) => ({
+    type: Type.OBJECT,
+    properties: {
+        problem_description: { ...bilingualTextSchema, description: "Bilingual description of the problem." },
+        score: { type: Type.INTEGER },
+        max_score: { type: Type.INTEGER },
+        feedback: { ...bilingualTextSchema, description: "Bilingual overall feedback for the student." },
+        teacher_recommendation: { ...bilingualTextSchema, description: "Bilingual recommendations for the teacher." },
+        errors: {
+            type: Type.ARRAY,
+            description: "A list of errors found in this problem.",
+            items: errorSchema,
+        },
+    },
+    required: ["problem_description", "score", "max_score", "feedback", "teacher_recommendation", "errors"],
+});
+
+const buildGradingSchema = (errorSchema) => ({
+  type: Type.OBJECT,
+  properties: {
+    overall_score: {
+      type: Type.INTEGER,
+      description: "An integer overall grade from 0 to 100.",
+    },
+    problem_breakdown: {
+      type: Type.ARRAY,
+      description: "An array of detailed bilingual analyses for each problem.",
+      items: buildProblemAnalysisSchema(errorSchema),
+    },
+  },
+  required: ["overall_score", "problem_breakdown"],
+});
+
+const gradingSchema = buildGradingSchema(errorAnalysisSchema);
+const pagedGradingSchema = buildGradingSchema(pagedErrorAnalysisSchema);
+
+// The client is created on first use so the server can start without an API key
+let ai = null;
+const getClient = () => {
+    if (!process.env.API_KEY) {
+        throw new Error("API_KEY environment variable not set in server/.env");
+    }
+    if (!ai) {
+        ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
+    }
+    return ai;
+};
+
+// Pages are sent as separate labelled image parts so the model can report where each error is
+const buildPageParts = (pages) => pages.flatMap(page => [
+    { text: `Page ${page.page} of ${pages.length}` },
+    { inlineData: { data: page.data, mimeType: 'image/jpeg' } },
+]);
+
+// Token counts from the response metadata; thinking tokens are billed as output
+const usageOf = (response) => {
+    const metadata = response.usageMetadata;
+    if (!metadata) {
+        return null;
+    }
+    return {
+        prompt_tokens: metadata.promptTokenCount || 0,
+        output_tokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+        total_tokens: metadata.totalTokenCount || 0
+    };
+};
+
+const grade = async ({ imageBase64, pages = null, systemInstruction }) => {
+    const imageParts = pages
+        ? buildPageParts(pages)
+        : [{ inlineData: { data: imageBase64, mimeType: 'image/jpeg' } }];
+    const textPart = {
+        text: pages
+            ? "Analyze the student's work in the provided page images and provide a detailed breakdown according to the instructions. The user has provided a detailed system instruction for you to follow."
+            : "Analyze the student's work in the provided image and provide a detailed breakdown according to the instructions. The user has provided a detailed system instruction for you to follow."
+    };
+
+    const response = await getClient().models.generateContent({
+        model: GEMINI_MODEL,
+        contents: {
+            parts: [...imageParts, textPart]
+        },
+        config: {
+            systemInstruction,
+            responseMimeType: "application/json",
+            responseSchema: pages ? pagedGradingSchema : gradingSchema,
+            temperature: 0.2,
+        }
+    });
+
+    // Clean potential markdown formatting from the response
+    const cleanedText = response.text.trim().replace(/^```json|```$/g, '').trim();
+    return { result: JSON.parse(cleanedText), usage: usageOf(response) };
+};
+
+module.exports = {
+    name: 'gemini',
+    model: GEMINI_MODEL,
+    grade
+};
@@ -0,0 +1,22 @@
+const providers = {
+    gemini: () => require('./geminiProvider'),
+    mock: () => require('./mockProvider')
+};
+
+// Additional providers implement { name, model, grade({ imageBase64, pages, systemInstruction, rubric }) },
+// where pages (when set) replaces imageBase64 with an ordered array of { page, width, height, data } images.
+// grade resolves to { result, usage }: the parsed evaluation and { prompt_tokens, output_tokens, total_tokens }
+// (usage is null when the provider does not report it).
+const registerGradingProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+const getGradingProvider = (name = process.env.GRADING_PROVIDER || 'gemini') => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown grading provider "${name}". Available providers: ${Object.keys(providers).join(', ')}.`);
+    }
+    return factory();
+};
+
+module.exports = { getGradingProvider, registerGradingProvider };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+let fixtures = null;
+const loadFixtures = () => {
+    if (!fixtures) {
+        fixtures = fs.readdirSync(FIXTURES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8')));
+    }
+    return fixtures;
+};
+
+// Reuse the fixture's problems for the rubric's problems so the result matches the assignment's structure
+const fitToRubric = (fixture, rubric) => {
+    const problemBreakdown = rubric.problems.map((rubricProblem, index) => {
+        const source = fixture.problem_breakdown[index % fixture.problem_breakdown.length];
+        const deductions = source.errors.reduce((total, error) => total + error.deduction, 0);
+        return {
+            ...source,
+            problem_description: { en: rubricProblem.description, he: rubricProblem.description },
+            max_score: rubricProblem.max_points,
+            score: Math.max(0, rubricProblem.max_points - deductions)
+        };
+    });
+
+    const earned = problemBreakdown.reduce((total, problem) => total + problem.score, 0);
+    const possible = problemBreakdown.reduce((total, problem) => total + problem.max_score, 0);
+    return {
+        overall_score: Math.round((earned / possible) * 100),
+        problem_breakdown: problemBreakdown
+    };
+};
+
+// Spread the errors over the pages in order so page-aware callers get a page for every error
+const assignPages = (result, pageCount) => {
+    let errorIndex = 0;
+    result.problem_breakdown.forEach(problem => {
+        problem.errors.forEach(error => {
+            error.page = (errorIndex % pageCount) + 1;
+            errorIndex += 1;
+        });
+    });
+    return result;
+};
+
+// Offline grader: the same image always gets the same fixture, so results are reproducible without network
+const grade = async ({ imageBase64, pages = null, rubric = null }) => {
+    const available = loadFixtures();
+    const hash = crypto.createHash('sha256');
+    if (pages) {
+        pages.forEach(page => hash.update(page.data));
+    } else {
+        hash.update(imageBase64 || '');
+    }
+    const digest = hash.digest();
+    // Work on a copy so callers can freely modify the result
+    const fixture = JSON.parse(JSON.stringify(available[digest.readUInt32BE(0) % available.length]));
+
+    const result = rubric ? fitToRubric(fixture, rubric) : fixture;
+    // No model runs, so no tokens are used
+    return {
+        result: pages ? assignPages(result, pages.length) : result,
+        usage: { prompt_tokens: 0, output_tokens: 0, total_tokens: 0 }
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    model: 'mock-grader',
+    grade
+};
@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const { GradingJob, AssignmentSubmission } = require('./models');
+const { evaluateSubmission } = require('./gradingService');
+
+// Set GRADING_WORKERS=0 on instances that should only enqueue jobs
+const WORKER_COUNT = process.env.GRADING_WORKERS !== undefined ? parseInt(process.env.GRADING_WORKERS, 10) : 2;
+const MAX_ATTEMPTS = parseInt(process.env.GRADING_MAX_ATTEMPTS, 10) || 3;
+const POLL_INTERVAL_MS = parseInt(process.env.GRADING_POLL_INTERVAL_MS, 10) || 5000;
+const BACKOFF_BASE_MS = parseInt(process.env.GRADING_BACKOFF_BASE_MS, 10) || 30000;
+// A running job older than this is assumed to belong to a crashed process and is put back in the queue
+const JOB_TIMEOUT_MS = parseInt(process.env.GRADING_JOB_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+let workersRunning = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queue a grading job for the submission's current attempt. A job still waiting in the queue is reused
+// (and moved to the current attempt); a running job is reused only when it grades the current attempt.
+// A job running for an older attempt is left to finish and cancel itself, and a new job is queued.
+const enqueueGradingJob = async (submissionId, { requestedBy = null } = {}) => {
+    const submission = await AssignmentSubmission.findByPk(submissionId, { attributes: ['id', 'attempt_count'] });
+    const attemptNumber = submission ? submission.attempt_count : null;
+
+    const activeJobs = await GradingJob.findAll({
+        where: {
+            submission_id: submissionId,
+            status: { [Op.in]: ACTIVE_STATUSES }
+        }
+    });
+    const queuedJob = activeJobs.find(job => job.status === 'queued');
+    if (queuedJob) {
+        if (queuedJob.attempt_number !== attemptNumber) {
+            await queuedJob.update({ attempt_number: attemptNumber });
+        }
+        return queuedJob;
+    }
+    const runningJob = activeJobs.find(job => job.status === 'running' && job.attempt_number === attemptNumber);
+    if (runningJob) {
+        return runningJob;
+    }
+
+    return await GradingJob.create({
+        submission_id: submissionId,
+        attempt_number: attemptNumber,
+        requested_by: requestedBy,
+        max_attempts: MAX_ATTEMPTS,
+        run_at: new Date()
+    });
+};
+
+// Pick the next due job. The conditional update guarantees only one worker (or server instance) claims it.
+const claimNextJob = async () => {
+    const candidate = await GradingJob.findOne({
+        where: {
+            status: 'queued',
+            run_at: { [Op.lte]: new Date() }
+        },
+        order: [['run_at', 'ASC'], ['id', 'ASC']]
+    });
+    if (!candidate) {
+        return null;
+    }
+
+    const [claimed] = await GradingJob.update({
+        status: 'running',
+        stage: 'starting',
+        progress: 0,
+        attempts: candidate.attempts + 1,
+        started_at: new Date(),
+        finished_at: null
+    }, {
+        where: { id: candidate.id, status: 'queued' }
+    });
+    if (!claimed) {
+        // Another worker got there first, try the next one
+        return claimNextJob();
+    }
+
+    return await candidate.reload();
+};
+
+// Record how a running job ended. The update applies only while the job is still running, so a job
+// cancelled in the meantime (its submission was deleted) stays cancelled. Returns whether it applied.
+const settleRunningJob = async (job, changes) => {
+    const [updated] = await GradingJob.update(changes, {
+        where: { id: job.id, status: 'running' }
+    });
+    if (updated) {
+        job.set(changes);
+    }
+    return updated > 0;
+};
+
+// Put a failed attempt back in the queue with exponential backoff, or fail it for good
+const handleJobFailure = async (job, errorMessage) => {
+    if (job.attempts < job.max_attempts) {
+        const delay = BACKOFF_BASE_MS * Math.pow(2, job.attempts - 1);
+        await settleRunningJob(job, {
+            status: 'queued',
+            stage: null,
+            progress: 0,
+            last_error: errorMessage,
+            run_at: new Date(Date.now() + delay)
+        });
+    } else {
+        await settleRunningJob(job, {
+            status: 'failed',
+            last_error: errorMessage,
+            finished_at: new Date()
+        });
+    }
+};
+
+const runJob = async (job) => {
+    try {
+        await evaluateSubmission(job.submission_id, {
+            attemptNumber: job.attempt_number,
+            onProgress: (stage, progress) => job.update({ stage, progress })
+        });
+        await settleRunningJob(job, {
+            status: 'succeeded',
+            stage: 'done',
+            progress: 100,
+            last_error: null,
+            finished_at: new Date()
+        });
+    } catch (error) {
+        // The student submitted again or the submission was deleted while this job ran; its result no longer counts
+        if (error.code === 'ATTEMPT_SUPERSEDED' || error.code === 'SUBMISSION_DELETED') {
+            await settleRunningJob(job, {
+                status: 'cancelled',
+                last_error: error.message,
+                finished_at: new Date()
+            });
+            return;
+        }
+        // Retrying cannot help until the quota resets; grading the submission again queues a new job
+        if (error.code === 'AI_QUOTA_EXCEEDED') {
+            await settleRunningJob(job, {
+                status: 'quota_exceeded',
+                last_error: error.message,
+                finished_at: new Date()
+            });
+            return;
+        }
+        console.error(`Grading Job Error (job ${job.id}, attempt ${job.attempts}/${job.max_attempts}):`, error);
+        await handleJobFailure(job, error.message);
+    }
+};
+
+// Recover jobs left in the running state by a process that stopped mid-job
+const requeueStaleJobs = async () => {
+    const staleJobs = await GradingJob.findAll({
+        where: {
+            status: 'running',
+            started_at: { [Op.lt]: new Date(Date.now() - JOB_TIMEOUT_MS) }
+        }
+    });
+    for (const job of staleJobs) {
+        await handleJobFailure(job, 'Job timed out or the server stopped while it was running.');
+    }
+    return staleJobs.length;
+};
+
+const workerLoop = async (workerId) => {
+    while (workersRunning) {
+        try {
+            const job = await claimNextJob();
+            if (job) {
+                await runJob(job);
+                continue;
+            }
+            if (workerId === 0) {
+                await requeueStaleJobs();
+            }
+        } catch (error) {
+            console.error(`Grading worker ${workerId} error:`, error);
+        }
+        await sleep(POLL_INTERVAL_MS);
+    }
+};
+
+const startGradingWorkers = async () => {
+    if (workersRunning || WORKER_COUNT < 1) {
+        return;
+    }
+    workersRunning = true;
+
+    // Jobs interrupted by a restart count as a failed attempt once they time out
+    const requeued = await requeueStaleJobs();
+    if (requeued) {
+        console.log(`♻️  Recovered ${requeued} interrupted grading job(s).`);
+    }
+
+    for (let i = 0; i < WORKER_COUNT; i++) {
+        workerLoop(i);
+    }
+    console.log(`🧮 Started ${WORKER_COUNT} grading worker(s).`);
+};
+
+const stopGradingWorkers = () => {
+    workersRunning = false;
+};
+
+const formatGradingJob = (job) => ({
+    id: job.id,
+    submission_id: job.submission_id,
+    attempt_number: job.attempt_number,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    run_at: job.run_at,
+    last_error: job.last_error,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    requested_by: job.requested_by,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+});
+
+module.exports = {
+    enqueueGradingJob,
+    handleJobFailure,
+    runJob,
+    startGradingWorkers,
+    stopGradingWorkers,
+    formatGradingJob
+};
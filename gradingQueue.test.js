@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GradingJob, AssignmentSubmission, AIEvaluation, AIUsageLog, Lecturer } = require('./models');
+const { enqueueGradingJob, handleJobFailure, runJob } = require('./gradingQueue');
+
+// A job record whose update() and set() just apply the changes
+const fakeJob = (fields) => ({
+    ...fields,
+    set(changes) {
+        Object.assign(this, changes);
+    },
+    async update(changes) {
+        Object.assign(this, changes);
+        return this;
+    }
+});
+
+// Stored job rows by id; GradingJob.update changes a row only when its where clause matches, like the database
+const mockStoredJobs = (...rows) => test.mock.method(GradingJob, 'update', async (changes, { where }) => {
+    const row = rows.find(candidate => candidate.id === where.id && (!where.status || candidate.status === where.status));
+    if (!row) {
+        return [0];
+    }
+    Object.assign(row, changes);
+    return [1];
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('enqueueGradingJob reuses the job already waiting for the submission', async () => {
+    const existing = fakeJob({ id: 7, submission_id: 3, status: 'queued', attempt_number: 1 });
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 1 }));
+    test.mock.method(GradingJob, 'findAll', async () => [existing]);
+    const create = test.mock.method(GradingJob, 'create', async () => assert.fail('no new job expected'));
+
+    assert.equal(await enqueueGradingJob(3), existing);
+    assert.equal(create.mock.callCount(), 0);
+});
+
+test('a waiting job is moved to the current attempt', async () => {
+    const existing = fakeJob({ id: 7, submission_id: 3, status: 'queued', attempt_number: 1 });
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 2 }));
+    test.mock.method(GradingJob, 'findAll', async () => [existing]);
+
+    assert.equal(await enqueueGradingJob(3), existing);
+    assert.equal(existing.attempt_number, 2);
+});
+
+test('a running job is reused only for the same attempt', async () => {
+    const running = fakeJob({ id: 7, submission_id: 3, status: 'running', attempt_number: 1 });
+    test.mock.method(GradingJob, 'findAll', async () => [running]);
+    const create = test.mock.method(GradingJob, 'create', async (fields) => fakeJob({ id: 8, ...fields }));
+
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 1 }));
+    assert.equal(await enqueueGradingJob(3), running);
+
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 2 }));
+    const job = await enqueueGradingJob(3);
+    assert.equal(job.id, 8);
+    assert.equal(job.attempt_number, 2);
+    assert.equal(create.mock.callCount(), 1);
+});
+
+test('enqueueGradingJob creates a job when none is waiting', async () => {
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 1 }));
+    test.mock.method(GradingJob, 'findAll', async () => []);
+    const create = test.mock.method(GradingJob, 'create', async (fields) => fakeJob({ id: 8, ...fields }));
+
+    const job = await enqueueGradingJob(3, { requestedBy: 2 });
+    assert.equal(job.id, 8);
+    assert.equal(create.mock.calls[0].arguments[0].submission_id, 3);
+    assert.equal(create.mock.calls[0].arguments[0].requested_by, 2);
+    assert.equal(create.mock.calls[0].arguments[0].attempt_number, 1);
+});
+
+test('a job for an attempt that has been replaced is cancelled, not retried', async () => {
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({ id: 3, attempt_count: 2, assignment_file: 'submissions/b.pdf' }));
+    const job = fakeJob({ id: 7, submission_id: 3, attempt_number: 1, attempts: 1, max_attempts: 3, status: 'running' });
+    mockStoredJobs({ id: 7, status: 'running' });
+    await runJob(job);
+
+    assert.equal(job.status, 'cancelled');
+    assert.match(job.last_error, /newer attempt/);
+});
+
+test('a job for a submission deleted while it waited is cancelled, not retried', async () => {
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => null);
+    const job = fakeJob({ id: 8, submission_id: 4, attempt_number: 1, attempts: 1, max_attempts: 3, status: 'running' });
+    mockStoredJobs({ id: 8, status: 'running' });
+    await runJob(job);
+
+    assert.equal(job.status, 'cancelled');
+    assert.match(job.last_error, /deleted/);
+});
+
+test('a job whose lecturer has used up the AI quota stops without calling the grader or retrying', async () => {
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => ({
+        id: 3,
+        attempt_count: 1,
+        assignment_file: 'submissions/b.pdf',
+        assignment: { id: 1, classroom_id: 2, classroom: { id: 2, created_by: 9 } }
+    }));
+    test.mock.method(AIEvaluation, 'findOrCreate', async () => [{ id: 5 }]);
+    const evaluationUpdate = test.mock.method(AIEvaluation, 'update', async () => [1]);
+    test.mock.method(Lecturer, 'findByPk', async () => ({ id: 9, ai_monthly_call_quota: 1 }));
+    test.mock.method(AIUsageLog, 'findOne', async () => ({ calls: 1, tokens: '10', cost: '0' }));
+    test.mock.method(GradingJob, 'count', async () => 1);
+
+    const job = fakeJob({ id: 9, submission_id: 3, attempt_number: 1, attempts: 1, max_attempts: 3, status: 'running' });
+    mockStoredJobs({ id: 9, status: 'running' });
+    await runJob(job);
+
+    assert.equal(job.status, 'quota_exceeded');
+    assert.match(job.last_error, /quota/);
+    const lastUpdate = evaluationUpdate.mock.calls[evaluationUpdate.mock.callCount() - 1].arguments[0];
+    assert.equal(lastUpdate.status, 'quota_exceeded');
+});
+
+test('handleJobFailure requeues with exponential backoff while attempts remain', async () => {
+    const before = Date.now();
+    const first = fakeJob({ id: 1, attempts: 1, max_attempts: 3, status: 'running' });
+    const second = fakeJob({ id: 2, attempts: 2, max_attempts: 3, status: 'running' });
+    mockStoredJobs({ id: 1, status: 'running' }, { id: 2, status: 'running' });
+    await handleJobFailure(first, 'timeout');
+    await handleJobFailure(second, 'timeout');
+
+    assert.equal(first.status, 'queued');
+    assert.equal(first.last_error, 'timeout');
+    const firstDelay = first.run_at.getTime() - before;
+    const secondDelay = second.run_at.getTime() - before;
+    assert.ok(firstDelay > 0);
+    assert.ok(secondDelay >= 2 * firstDelay - 50, 'each retry waits about twice as long');
+});
+
+test('handleJobFailure fails the job for good after the last attempt', async () => {
+    const job = fakeJob({ id: 1, attempts: 3, max_attempts: 3, status: 'running' });
+    mockStoredJobs({ id: 1, status: 'running' });
+    await handleJobFailure(job, 'provider down');
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.last_error, 'provider down');
+    assert.ok(job.finished_at instanceof Date);
+});
+
+test('a job cancelled while it ran stays cancelled when it finishes', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    // The submission is deleted mid-run: its job row is cancelled while the worker still holds it as running
+    const stored = { id: 10, status: 'cancelled' };
+    mockStoredJobs(stored);
+    test.mock.method(AssignmentSubmission, 'findByPk', async () => { throw new Error('connection lost'); });
+
+    const job = fakeJob({ id: 10, submission_id: 3, attempt_number: 1, attempts: 1, max_attempts: 3, status: 'running' });
+    await runJob(job);
+
+    assert.equal(stored.status, 'cancelled');
+    assert.equal(job.status, 'running');
+
+    const finished = fakeJob({ id: 10, attempts: 3, max_attempts: 3, status: 'running' });
+    await handleJobFailure(finished, 'provider down');
+    assert.equal(stored.status, 'cancelled');
+});
@@ -0,0 +1,207 @@
+const { gradeHomeworkWithMetadata } = require('./geminiService');
+const { convertPdfToImage, convertPdfToPages, renderPdfPages, stitchPageCanvases, pageCanvasesToImages } = require('./pdfConverter');
+const { normalizeImages } = require('./imageNormalizer');
+const { Op } = require('sequelize');
+const { AssignmentSubmission, Assignment, Classroom, AIEvaluation, Lecturer } = require('./models');
+const { recordVersionEvaluation } = require('./submissionVersions');
+const { readSubmissionFile } = require('./submissionFiles');
+const { getQuotaStatus, hasQuotaForCall, quotaExceededMessage } = require('./aiUsage');
+
+// "pages" sends each PDF page as its own image so errors carry a page index; "stitched" sends one tall image
+const IMAGE_MODE = process.env.GRADING_IMAGE_MODE === 'stitched' ? 'stitched' : 'pages';
+
+// Page canvases for a stored submission, whether it was uploaded as a PDF or kept as photo pages
+const loadSubmissionPages = async (submission) => {
+    if (submission.file_type === 'images') {
+        const buffers = await Promise.all(submission.page_files.map(readSubmissionFile));
+        return await normalizeImages(buffers);
+    }
+    return await renderPdfPages(await readSubmissionFile(submission.assignment_file));
+};
+
+// The work sent to the grader: page images in pages mode, otherwise one stitched image
+const prepareGradingWork = async (submission) => {
+    if (submission.file_type === 'images') {
+        const pageCanvases = await loadSubmissionPages(submission);
+        return IMAGE_MODE === 'pages' ? pageCanvasesToImages(pageCanvases) : stitchPageCanvases(pageCanvases);
+    }
+
+    const pdfBuffer = await readSubmissionFile(submission.assignment_file);
+    return IMAGE_MODE === 'pages'
+        ? await convertPdfToPages(pdfBuffer)
+        : await convertPdfToImage(pdfBuffer);
+};
+
+const supersededError = (attemptNumber) => {
+    const error = new Error(`Attempt ${attemptNumber} was replaced by a newer attempt before it was graded.`);
+    error.code = 'ATTEMPT_SUPERSEDED';
+    return error;
+};
+
+const deletedError = (submissionId) => {
+    const error = new Error(`Submission ${submissionId} was deleted before it was graded.`);
+    error.code = 'SUBMISSION_DELETED';
+    return error;
+};
+
+const quotaExceededError = (quota) => {
+    const error = new Error(quotaExceededMessage(quota));
+    error.code = 'AI_QUOTA_EXCEEDED';
+    return error;
+};
+
+// Refuse the AI call when the classroom owner's monthly quota is used up
+const assertQuotaForCall = async (lecturerId) => {
+    const lecturer = lecturerId ? await Lecturer.findByPk(lecturerId) : null;
+    if (!lecturer) {
+        return;
+    }
+    const quota = await getQuotaStatus(lecturer);
+    if (!hasQuotaForCall(quota)) {
+        throw quotaExceededError(quota);
+    }
+};
+
+// Results of jobs failing with these codes are discarded without touching the evaluation
+const DISCARDED_RESULT_CODES = ['ATTEMPT_SUPERSEDED', 'SUBMISSION_DELETED'];
+
+// Cleared AI result fields of an evaluation waiting for an attempt to be graded
+const PENDING_EVALUATION = {
+    status: 'pending',
+    overall_score: null,
+    problem_breakdown: null,
+    warnings: null,
+    flagged: false,
+    page_count: null,
+    model_name: null,
+    error_message: null,
+    evaluated_at: null,
+    review_status: 'unreviewed',
+    reviewed_by: null,
+    reviewed_at: null
+};
+
+// A new attempt replaces the AI result of the previous one. The evaluation waits for the new attempt,
+// and jobs still grading an older attempt can no longer write to it. fields overrides the pending state,
+// e.g. when the attempt cannot be queued because the AI quota is used up.
+const resetEvaluationForAttempt = async (submission, fields = {}) => {
+    const values = { ...PENDING_EVALUATION, attempt_number: submission.attempt_count, ...fields };
+    const [evaluation, created] = await AIEvaluation.findOrCreate({
+        where: { submission_id: submission.id },
+        defaults: values
+    });
+    if (!created) {
+        await AIEvaluation.update(values, { where: { id: evaluation.id } });
+    }
+};
+
+// Run the AI grader on a stored submission and persist the result as its AIEvaluation.
+// attemptNumber is the attempt the job was queued for (the current one when not given); if the student
+// submits again before the result is saved, the result is discarded with an ATTEMPT_SUPERSEDED error,
+// and if the submission is deleted meanwhile, with a SUBMISSION_DELETED error.
+// onProgress(stage, percent) is called as the work moves through conversion, grading and saving.
+const evaluateSubmission = async (submissionId, { attemptNumber = null, onProgress = async () => {} } = {}) => {
+    const submission = await AssignmentSubmission.findByPk(submissionId, {
+        include: [{
+            model: Assignment,
+            as: 'assignment',
+            attributes: ['id', 'classroom_id', 'rubric', 'answer_key'],
+            include: [{
+                model: Classroom,
+                as: 'classroom',
+                attributes: ['id', 'created_by'],
+                paranoid: false
+            }]
+        }]
+    });
+    if (!submission) {
+        throw deletedError(submissionId);
+    }
+    if (!submission.assignment_file) {
+        throw new Error('Submission has no stored file to evaluate.');
+    }
+    const attempt = attemptNumber || submission.attempt_count;
+    if (attempt < submission.attempt_count) {
+        throw supersededError(attempt);
+    }
+
+    const [evaluation] = await AIEvaluation.findOrCreate({
+        where: { submission_id: submission.id },
+        defaults: { status: 'pending', attempt_number: attempt }
+    });
+    // Only the evaluation of this attempt is written to; a newer attempt owns it once it has been reset
+    const ownEvaluation = {
+        id: evaluation.id,
+        [Op.or]: [{ attempt_number: null }, { attempt_number: { [Op.lte]: attempt } }]
+    };
+    await AIEvaluation.update({ status: 'pending', error_message: null, attempt_number: attempt }, { where: ownEvaluation });
+
+    try {
+        const lecturerId = submission.assignment.classroom ? submission.assignment.classroom.created_by : null;
+        await assertQuotaForCall(lecturerId);
+
+        await onProgress('converting', 10);
+        const work = await prepareGradingWork(submission);
+
+        await onProgress('grading', 40);
+        const { evaluation: result, warnings, flagged, model } = await gradeHomeworkWithMetadata(work, {
+            rubric: submission.assignment.rubric,
+            answerKey: submission.assignment.answer_key,
+            // AI usage is charged to the lecturer who owns the classroom
+            usageContext: {
+                source: 'grading_job',
+                lecturerId,
+                classroomId: submission.assignment.classroom_id,
+                assignmentId: submission.assignment.id,
+                submissionId: submission.id
+            }
+        });
+
+        await onProgress('saving', 90);
+        const current = await AssignmentSubmission.findByPk(submission.id, { attributes: ['id', 'attempt_count'] });
+        if (!current) {
+            throw deletedError(submission.id);
+        }
+        if (current.attempt_count !== attempt) {
+            throw supersededError(attempt);
+        }
+
+        // A fresh evaluation replaces any earlier one, so previous review decisions no longer apply
+        const [saved] = await AIEvaluation.update({
+            status: 'completed',
+            overall_score: result.overall_score,
+            problem_breakdown: result.problem_breakdown,
+            warnings,
+            flagged,
+            page_count: Array.isArray(work) ? work.length : null,
+            model_name: model,
+            evaluated_at: new Date(),
+            review_status: 'unreviewed',
+            reviewed_by: null,
+            reviewed_at: null
+        }, {
+            where: { id: evaluation.id, attempt_number: attempt }
+        });
+        if (!saved) {
+            throw supersededError(attempt);
+        }
+    } catch (error) {
+        if (!DISCARDED_RESULT_CODES.includes(error.code)) {
+            await AIEvaluation.update({
+                status: error.code === 'AI_QUOTA_EXCEEDED' ? 'quota_exceeded' : 'failed',
+                error_message: error.message
+            }, {
+                where: ownEvaluation
+            });
+        }
+        throw error;
+    }
+
+    // Keep the result with the attempt it graded so later resubmissions do not lose it
+    await evaluation.reload();
+    await recordVersionEvaluation(submission, evaluation);
+
+    return evaluation;
+};
+
+module.exports = { evaluateSubmission, resetEvaluationForAttempt, loadSubmissionPages };
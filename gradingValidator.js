@@ -0,0 +1,205 @@
+const { ERROR_TYPES, getDeductionRanges } = require('./rubric');
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const BOX_KEYS = ['x', 'y', 'width', 'height'];
+
+// Keep a bounding box inside the normalized [0,1] image space
+const repairBoundingBox = (box, path, addWarning, repair) => {
+    if (!box || !BOX_KEYS.every(key => isNumber(box[key]))) {
+        addWarning('invalid_bounding_box', path, 'Bounding box is missing or has non-numeric coordinates.', false);
+        return box;
+    }
+
+    const x = clamp(box.x, 0, 1);
+    const y = clamp(box.y, 0, 1);
+    const repaired = {
+        ...box,
+        x,
+        y,
+        width: clamp(box.width, 0, 1 - x),
+        height: clamp(box.height, 0, 1 - y)
+    };
+
+    if (!BOX_KEYS.some(key => repaired[key] !== box[key])) {
+        return box;
+    }
+    if (!repair) {
+        addWarning('bounding_box_out_of_range', path, 'Bounding box is outside [0,1].', false);
+        return box;
+    }
+    addWarning('bounding_box_out_of_range', path, 'Bounding box was outside [0,1] and has been clamped.', true);
+    return repaired;
+};
+
+// Check an AI grading result for internal consistency. Fixable problems are repaired in the returned copy;
+// anything that cannot be repaired marks the evaluation as flagged for lecturer review.
+// pageCount is set when the work was graded page by page, and every error must then name a valid page.
+// With repair: false (a lecturer's own edit) nothing is changed and every problem is only reported.
+const validateEvaluation = (evaluation, { rubric = null, pageCount = null, repair = true } = {}) => {
+    const warnings = [];
+    let flagged = false;
+    const addWarning = (code, path, message, repairable) => {
+        const repaired = repair && repairable;
+        warnings.push({ code, path, message, repaired });
+        if (!repaired) {
+            flagged = true;
+        }
+    };
+
+    const result = JSON.parse(JSON.stringify(evaluation));
+    const ranges = getDeductionRanges(rubric);
+
+    if (rubric && result.problem_breakdown.length !== rubric.problems.length) {
+        throw new Error(`Expected ${rubric.problems.length} problems from the rubric but the grader returned ${result.problem_breakdown.length}.`);
+    }
+
+    result.problem_breakdown.forEach((problem, problemIndex) => {
+        const problemPath = `problem_breakdown[${problemIndex}]`;
+
+        if (!isObject(problem)) {
+            addWarning('invalid_problem', problemPath, 'Problem is not an object.', false);
+            return;
+        }
+        if (rubric && problem.max_score !== rubric.problems[problemIndex].max_points) {
+            addWarning('max_score_mismatch', `${problemPath}.max_score`, `max_score ${problem.max_score} does not match the rubric's ${rubric.problems[problemIndex].max_points} points.`, true);
+            if (repair) {
+                problem.max_score = rubric.problems[problemIndex].max_points;
+            }
+        }
+        if (!isNumber(problem.max_score) || problem.max_score <= 0) {
+            addWarning('invalid_max_score', `${problemPath}.max_score`, 'max_score must be a positive number.', false);
+            return;
+        }
+
+        if (!Array.isArray(problem.errors)) {
+            addWarning('invalid_errors', `${problemPath}.errors`, 'errors must be an array; treated as empty.', true);
+            problem.errors = [];
+        }
+
+        let totalDeduction = 0;
+        problem.errors.forEach((error, errorIndex) => {
+            const errorPath = `${problemPath}.errors[${errorIndex}]`;
+
+            if (!isObject(error)) {
+                addWarning('invalid_error', errorPath, 'Error is not an object.', false);
+                return;
+            }
+            if (!ERROR_TYPES.includes(error.error_type)) {
+                addWarning('unknown_error_type', `${errorPath}.error_type`, `Unknown error type "${error.error_type}".`, false);
+            } else if (!isNumber(error.deduction)) {
+                addWarning('invalid_deduction', `${errorPath}.deduction`, 'Deduction is not a number.', false);
+            } else {
+                const { min, max } = ranges[error.error_type];
+                const allowed = clamp(Math.round(error.deduction), min, max);
+                if (allowed !== error.deduction && repair) {
+                    addWarning('deduction_out_of_range', `${errorPath}.deduction`, `Deduction ${error.deduction} is outside the ${min}-${max} range for ${error.error_type}; set to ${allowed}.`, true);
+                    error.deduction = allowed;
+                } else if (allowed !== error.deduction) {
+                    addWarning('deduction_out_of_range', `${errorPath}.deduction`, `Deduction ${error.deduction} is outside the ${min}-${max} range for ${error.error_type}.`, false);
+                }
+            }
+
+            if (isNumber(error.deduction)) {
+                totalDeduction += error.deduction;
+            }
+            if (pageCount) {
+                if (error.page === undefined && pageCount === 1 && repair) {
+                    addWarning('missing_page', `${errorPath}.page`, 'Error had no page; set to the only page.', true);
+                    error.page = 1;
+                } else if (!Number.isInteger(error.page) || error.page < 1 || error.page > pageCount) {
+                    addWarning('invalid_page', `${errorPath}.page`, `Page ${error.page} is not between 1 and ${pageCount}.`, false);
+                }
+            }
+            error.boundingBox = repairBoundingBox(error.boundingBox, `${errorPath}.boundingBox`, addWarning, repair);
+        });
+
+        const expectedScore = Math.max(0, problem.max_score - totalDeduction);
+        if (problem.score !== expectedScore) {
+            addWarning('score_mismatch', `${problemPath}.score`, `Score ${problem.score} does not equal max_score minus deductions (${expectedScore}).`, true);
+            if (repair) {
+                problem.score = expectedScore;
+            }
+        }
+    });
+
+    const problems = result.problem_breakdown.filter(isObject);
+    const earned = problems.reduce((total, problem) => total + (isNumber(problem.score) ? problem.score : 0), 0);
+    const possible = problems.reduce((total, problem) => total + (isNumber(problem.max_score) ? problem.max_score : 0), 0);
+    const expectedOverall = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+    if (result.overall_score !== expectedOverall) {
+        addWarning('overall_score_mismatch', 'overall_score', `overall_score ${result.overall_score} does not match the problem scores scaled to 100 (${expectedOverall}).`, true);
+        if (repair) {
+            result.overall_score = expectedOverall;
+        }
+    }
+
+    return { evaluation: result, warnings, flagged };
+};
+
+// Check the structure of an evaluation edited by a lecturer. Returns field-level errors ({ field, message });
+// values are never changed, so scores and deductions are checked for consistency separately, as warnings.
+const validateEvaluationEdit = (evaluation, { rubric = null, pageCount = null } = {}) => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (!isObject(evaluation)) {
+        return [{ field: 'ai_evaluation', message: 'ai_evaluation must be an object.' }];
+    }
+    if (!isNumber(evaluation.overall_score) || evaluation.overall_score < 0 || evaluation.overall_score > 100) {
+        addError('ai_evaluation.overall_score', 'overall_score must be a number between 0 and 100.');
+    }
+    if (!Array.isArray(evaluation.problem_breakdown) || evaluation.problem_breakdown.length === 0) {
+        addError('ai_evaluation.problem_breakdown', 'problem_breakdown must be a non-empty array.');
+        return errors;
+    }
+    if (rubric && evaluation.problem_breakdown.length !== rubric.problems.length) {
+        addError('ai_evaluation.problem_breakdown', `The rubric has ${rubric.problems.length} problems but ${evaluation.problem_breakdown.length} were given.`);
+    }
+
+    evaluation.problem_breakdown.forEach((problem, problemIndex) => {
+        const problemPath = `ai_evaluation.problem_breakdown[${problemIndex}]`;
+        if (!isObject(problem)) {
+            addError(problemPath, 'Each problem must be an object.');
+            return;
+        }
+        if (!isNumber(problem.max_score) || problem.max_score <= 0) {
+            addError(`${problemPath}.max_score`, 'max_score must be a positive number.');
+        }
+        if (!isNumber(problem.score) || problem.score < 0) {
+            addError(`${problemPath}.score`, 'score must be a number of at least 0.');
+        }
+        if (!Array.isArray(problem.errors)) {
+            addError(`${problemPath}.errors`, 'errors must be an array.');
+            return;
+        }
+
+        problem.errors.forEach((error, errorIndex) => {
+            const errorPath = `${problemPath}.errors[${errorIndex}]`;
+            if (!isObject(error)) {
+                addError(errorPath, 'Each error must be an object.');
+                return;
+            }
+            if (!ERROR_TYPES.includes(error.error_type)) {
+                addError(`${errorPath}.error_type`, `error_type must be one of: ${ERROR_TYPES.join(', ')}.`);
+            }
+            if (!isNumber(error.deduction) || error.deduction < 0) {
+                addError(`${errorPath}.deduction`, 'deduction must be a number of at least 0.');
+            }
+            if (pageCount && error.page !== undefined && (!Number.isInteger(error.page) || error.page < 1 || error.page > pageCount)) {
+                addError(`${errorPath}.page`, `page must be a whole number between 1 and ${pageCount}.`);
+            }
+            if (error.boundingBox !== undefined && !(isObject(error.boundingBox) && BOX_KEYS.every(key => isNumber(error.boundingBox[key])))) {
+                addError(`${errorPath}.boundingBox`, 'boundingBox must have numeric x, y, width and height.');
+            }
+        });
+    });
+
+    return errors;
+};
+
+module.exports = { validateEvaluation, validateEvaluationEdit };
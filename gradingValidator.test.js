@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvaluation, validateEvaluationEdit } = require('./gradingValidator');
+
+const box = { x: 0.1, y: 0.1, width: 0.2, height: 0.1 };
+
+const evaluation = (overrides = {}) => ({
+    overall_score: 80,
+    problem_breakdown: [{
+        problem_description: { en: 'Question 1', he: 'שאלה 1' },
+        score: 8,
+        max_score: 10,
+        errors: [{ error_type: 'minor_slip', deduction: 2, boundingBox: box }]
+    }],
+    ...overrides
+});
+
+test('a consistent evaluation passes unchanged', () => {
+    const result = validateEvaluation(evaluation());
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.flagged, false);
+    assert.deepEqual(result.evaluation, evaluation());
+});
+
+test('out-of-range deductions are clamped and scores recomputed', () => {
+    const input = evaluation();
+    input.problem_breakdown[0].errors[0].deduction = 5;
+    const { evaluation: repaired, warnings, flagged } = validateEvaluation(input);
+
+    assert.equal(repaired.problem_breakdown[0].errors[0].deduction, 3);
+    assert.equal(repaired.problem_breakdown[0].score, 7);
+    assert.equal(repaired.overall_score, 70);
+    assert.deepEqual(warnings.map(warning => warning.code), ['deduction_out_of_range', 'score_mismatch', 'overall_score_mismatch']);
+    assert.ok(warnings.every(warning => warning.repaired));
+    assert.equal(flagged, false);
+    assert.equal(input.problem_breakdown[0].errors[0].deduction, 5, 'the input is not modified');
+});
+
+test('bounding boxes are clamped into [0,1]', () => {
+    const input = evaluation();
+    input.problem_breakdown[0].errors[0].boundingBox = { x: 0.75, y: -0.2, width: 0.5, height: 0.1 };
+    const { evaluation: repaired, warnings } = validateEvaluation(input);
+
+    assert.deepEqual(repaired.problem_breakdown[0].errors[0].boundingBox, { x: 0.75, y: 0, width: 0.25, height: 0.1 });
+    assert.equal(warnings[0].code, 'bounding_box_out_of_range');
+});
+
+test('unknown error types and invalid pages flag the evaluation', () => {
+    const input = evaluation();
+    input.problem_breakdown[0].errors[0].error_type = 'typo';
+    input.problem_breakdown[0].errors[0].page = 3;
+    const { warnings, flagged } = validateEvaluation(input, { pageCount: 2 });
+
+    assert.ok(warnings.some(warning => warning.code === 'unknown_error_type' && !warning.repaired));
+    assert.ok(warnings.some(warning => warning.code === 'invalid_page'));
+    assert.equal(flagged, true);
+});
+
+test('max scores follow the rubric and a wrong problem count is rejected', () => {
+    const rubric = { problems: [{ max_points: 20 }] };
+    const { evaluation: repaired, warnings } = validateEvaluation(evaluation(), { rubric });
+    assert.equal(repaired.problem_breakdown[0].max_score, 20);
+    assert.equal(repaired.problem_breakdown[0].score, 18);
+    assert.equal(warnings[0].code, 'max_score_mismatch');
+
+    assert.throws(() => validateEvaluation(evaluation(), { rubric: { problems: [{ max_points: 10 }, { max_points: 10 }] } }), /Expected 2 problems/);
+});
+
+test('null problems and errors are flagged instead of throwing', () => {
+    const input = evaluation();
+    input.problem_breakdown.push(null);
+    input.problem_breakdown[0].errors.push(null);
+    const { warnings, flagged } = validateEvaluation(input);
+
+    assert.ok(warnings.some(warning => warning.code === 'invalid_problem'));
+    assert.ok(warnings.some(warning => warning.code === 'invalid_error'));
+    assert.equal(flagged, true);
+});
+
+test('with repair: false values are kept and problems only reported', () => {
+    const input = evaluation({ overall_score: 95 });
+    input.problem_breakdown[0].errors[0].deduction = 5;
+    const { evaluation: kept, warnings } = validateEvaluation(input, { repair: false });
+
+    assert.deepEqual(kept, input);
+    assert.ok(warnings.length > 0);
+    assert.ok(warnings.every(warning => !warning.repaired));
+});
+
+test('validateEvaluationEdit accepts a well-formed edit', () => {
+    assert.deepEqual(validateEvaluationEdit(evaluation()), []);
+});
+
+test('validateEvaluationEdit reports each structural problem by field', () => {
+    const input = evaluation({ overall_score: 'high' });
+    input.problem_breakdown.push(null);
+    input.problem_breakdown[0].errors.push({ error_type: 'typo', deduction: -1 });
+
+    assert.deepEqual(validateEvaluationEdit(input).map(error => error.field), [
+        'ai_evaluation.overall_score',
+        'ai_evaluation.problem_breakdown[0].errors[1].error_type',
+        'ai_evaluation.problem_breakdown[0].errors[1].deduction',
+        'ai_evaluation.problem_breakdown[1]'
+    ]);
+    assert.deepEqual(validateEvaluationEdit(null), [{ field: 'ai_evaluation', message: 'ai_evaluation must be an object.' }]);
+    assert.equal(validateEvaluationEdit(evaluation(), { rubric: { problems: [{}, {}] } })[0].field, 'ai_evaluation.problem_breakdown');
+});
@@ -0,0 +1,104 @@
+const { createCanvas, loadImage } = require('canvas');
+
+// Longest side of a normalized photo, roughly an A4 page at the default PDF render DPI
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1600;
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// Read the EXIF orientation (1-8) from a JPEG buffer; anything without one is treated as upright (1)
+const readExifOrientation = (buffer) => {
+  try {
+    if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xFFD8) {
+      return 1;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+      const marker = buffer.readUInt16BE(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+        // Not a marker, or start of image data: no EXIF segment before it
+        return 1;
+      }
+      const segmentLength = buffer.readUInt16BE(offset + 2);
+
+      if (marker === 0xFFE1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+        const tiffStart = offset + 10;
+        const littleEndian = buffer.toString('ascii', tiffStart, tiffStart + 2) === 'II';
+        const readUInt16 = (position) => littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position);
+        const readUInt32 = (position) => littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position);
+
+        const ifdStart = tiffStart + readUInt32(tiffStart + 4);
+        const entryCount = readUInt16(ifdStart);
+        for (let i = 0; i < entryCount; i++) {
+          const entry = ifdStart + 2 + i * 12;
+          if (readUInt16(entry) === EXIF_ORIENTATION_TAG) {
+            const orientation = readUInt16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+
+      offset += 2 + segmentLength;
+    }
+  } catch (error) {
+    // Truncated or malformed EXIF data, fall back to the image as stored
+  }
+  return 1;
+};
+
+// Canvas transforms that turn a stored image upright for each EXIF orientation
+const applyOrientation = (context, orientation, width, height) => {
+  switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, width, height); break;
+    case 4: context.transform(1, 0, 0, -1, 0, height); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, height, 0); break;
+    case 7: context.transform(0, -1, -1, 0, height, width); break;
+    case 8: context.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+};
+
+// Decode a JPEG or PNG photo into an upright page canvas, scaled down so its longest side fits MAX_DIMENSION
+const normalizeImage = async (buffer, { maxDimension = MAX_DIMENSION } = {}) => {
+  let image;
+  try {
+    image = await loadImage(buffer);
+  } catch (error) {
+    console.error("Error processing image on server:", error);
+    const invalid = new Error("Could not process the image file. It might be invalid or corrupted.");
+    invalid.code = 'IMAGE_INVALID';
+    throw invalid;
+  }
+
+  const orientation = readExifOrientation(buffer);
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+
+  // Orientations 5-8 rotate by 90 degrees, so the page is as wide as the stored image is tall
+  const swapsSides = orientation >= 5;
+  const canvas = createCanvas(swapsSides ? height : width, swapsSides ? width : height);
+  const context = canvas.getContext('2d');
+
+  // Photos with transparency (PNG) get a white page background
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  applyOrientation(context, orientation, width, height);
+  context.drawImage(image, 0, 0, width, height);
+
+  return canvas;
+};
+
+const normalizeImages = async (buffers, options) => {
+  const canvases = [];
+  for (const buffer of buffers) {
+    canvases.push(await normalizeImage(buffer, options));
+  }
+  return canvases;
+};
+
+module.exports = { normalizeImage, normalizeImages, readExifOrientation };
@@ -0,0 +1,98 @@
+const LATE_POLICIES = ['accept', 'hard_cutoff', 'penalty'];
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Validate late policy fields from a request body; only the fields present are returned
+const parseLatePolicySettings = (body) => {
+    const settings = {};
+
+    if (body.late_policy !== undefined) {
+        if (!LATE_POLICIES.includes(body.late_policy)) {
+            return { error: `late_policy must be one of: ${LATE_POLICIES.join(', ')}.` };
+        }
+        settings.late_policy = body.late_policy;
+    }
+    if (body.grace_period_minutes !== undefined) {
+        const minutes = Number(body.grace_period_minutes);
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            return { error: 'grace_period_minutes must be a non-negative integer.' };
+        }
+        settings.grace_period_minutes = minutes;
+    }
+    if (body.late_penalty_percent !== undefined) {
+        const percent = Number(body.late_penalty_percent);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+            return { error: 'late_penalty_percent must be a number between 0 and 100.' };
+        }
+        settings.late_penalty_percent = percent;
+    }
+    if (body.max_late_days !== undefined) {
+        const days = body.max_late_days === null || body.max_late_days === '' ? null : Number(body.max_late_days);
+        if (days !== null && (!Number.isInteger(days) || days < 0)) {
+            return { error: 'max_late_days must be a non-negative integer, or null for no limit.' };
+        }
+        settings.max_late_days = days;
+    }
+
+    return { settings };
+};
+
+// Decide whether a submission made at submittedAt is late and what it costs under the assignment's policy.
+// An extension replaces the due date for that student. Late days are whole days after the due date, counted
+// only once the grace period has passed.
+const assessLateness = (assignment, submittedAt, extension = null) => {
+    const dueDate = extension ? extension.extended_due_date : assignment.due_date;
+    const onTime = {
+        allowed: true,
+        is_late: false,
+        late_days: 0,
+        late_penalty: 0,
+        due_date: dueDate || null
+    };
+    if (!dueDate) {
+        return onTime;
+    }
+
+    const lateMs = new Date(submittedAt).getTime() - new Date(dueDate).getTime();
+    if (lateMs <= (assignment.grace_period_minutes || 0) * MS_PER_MINUTE) {
+        return onTime;
+    }
+
+    const lateDays = Math.ceil(lateMs / MS_PER_DAY);
+    const policy = assignment.late_policy || 'accept';
+    const result = {
+        allowed: true,
+        is_late: true,
+        late_days: lateDays,
+        late_penalty: 0,
+        due_date: dueDate
+    };
+
+    if (policy === 'hard_cutoff') {
+        return { ...result, allowed: false, reason: 'The deadline for this assignment has passed.' };
+    }
+    if (assignment.max_late_days !== null && assignment.max_late_days !== undefined && lateDays > assignment.max_late_days) {
+        return { ...result, allowed: false, reason: `Late submissions are accepted for up to ${assignment.max_late_days} day(s) after the deadline.` };
+    }
+    if (policy === 'penalty') {
+        result.late_penalty = Math.min(100, lateDays * Number(assignment.late_penalty_percent || 0));
+    }
+    return result;
+};
+
+// A mark after the late penalty (a percentage of the mark) is taken off
+const applyLatePenalty = (mark, latePenalty) => {
+    if (mark === null || mark === undefined) {
+        return null;
+    }
+    const penalty = Number(latePenalty || 0);
+    return Math.round(Number(mark) * (100 - penalty)) / 100;
+};
+
+module.exports = {
+    LATE_POLICIES,
+    parseLatePolicySettings,
+    assessLateness,
+    applyLatePenalty
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLatePolicySettings, assessLateness, applyLatePenalty } = require('./latePolicy');
+
+const due = new Date('2026-03-01T12:00:00Z');
+const after = (minutes) => new Date(due.getTime() + minutes * 60 * 1000);
+const DAY = 24 * 60;
+
+const assignment = (overrides = {}) => ({
+    due_date: due,
+    late_policy: 'penalty',
+    grace_period_minutes: 0,
+    late_penalty_percent: 10,
+    max_late_days: null,
+    ...overrides
+});
+
+test('submissions before the deadline or within the grace period are on time', () => {
+    assert.equal(assessLateness(assignment(), after(-5)).is_late, false);
+    assert.equal(assessLateness(assignment({ grace_period_minutes: 15 }), after(15)).is_late, false);
+    assert.equal(assessLateness(assignment({ due_date: null }), after(DAY)).is_late, false);
+});
+
+test('each started day late adds the penalty percentage, up to 100', () => {
+    const oneMinute = assessLateness(assignment(), after(1));
+    assert.equal(oneMinute.late_days, 1);
+    assert.equal(oneMinute.late_penalty, 10);
+
+    const threeDays = assessLateness(assignment(), after(2 * DAY + 1));
+    assert.equal(threeDays.late_days, 3);
+    assert.equal(threeDays.late_penalty, 30);
+
+    assert.equal(assessLateness(assignment({ late_penalty_percent: 40 }), after(5 * DAY)).late_penalty, 100);
+});
+
+test('accept records lateness without a penalty', () => {
+    const result = assessLateness(assignment({ late_policy: 'accept' }), after(DAY + 1));
+    assert.equal(result.is_late, true);
+    assert.equal(result.late_days, 2);
+    assert.equal(result.late_penalty, 0);
+});
+
+test('hard_cutoff and max_late_days refuse late submissions', () => {
+    assert.equal(assessLateness(assignment({ late_policy: 'hard_cutoff' }), after(1)).allowed, false);
+
+    const limited = assignment({ max_late_days: 2 });
+    assert.equal(assessLateness(limited, after(2 * DAY)).allowed, true);
+    assert.equal(assessLateness(limited, after(2 * DAY + 1)).allowed, false);
+});
+
+test('an extension replaces the due date', () => {
+    const extension = { extended_due_date: after(DAY) };
+    assert.equal(assessLateness(assignment(), after(DAY - 1), extension).is_late, false);
+    assert.equal(assessLateness(assignment(), after(DAY + 1), extension).late_days, 1);
+});
+
+test('applyLatePenalty takes the percentage off the mark', () => {
+    assert.equal(applyLatePenalty(85, 20), 68);
+    assert.equal(applyLatePenalty('90.50', '0'), 90.5);
+    assert.equal(applyLatePenalty(null, 20), null);
+});
+
+test('parseLatePolicySettings rejects invalid values and keeps only given fields', () => {
+    assert.deepEqual(parseLatePolicySettings({ late_policy: 'penalty', max_late_days: '' }), {
+        settings: { late_policy: 'penalty', max_late_days: null }
+    });
+    assert.match(parseLatePolicySettings({ late_policy: 'never' }).error, /late_policy/);
+    assert.match(parseLatePolicySettings({ late_penalty_percent: 150 }).error, /late_penalty_percent/);
+    assert.match(parseLatePolicySettings({ grace_period_minutes: -1 }).error, /grace_period_minutes/);
+});
@@ -0,0 +1,10 @@
+// Prints each message to the console instead of sending it
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return {};
+    }
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message as a JSON file instead of sending it, for development and tests
+const createFileTransport = () => {
+    const outboxDir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+            const filePath = path.join(outboxDir, fileName);
+            await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+            return { filePath };
+        }
+    };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,55 @@
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+// MAIL_TRANSPORT picks the transport; without it, SMTP is used when SMTP_HOST is set and the console otherwise
+const createTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return TRANSPORTS[name]();
+};
+
+// Refuse to run in production without a real mail server: reset and verification links would only be logged
+const assertMailerConfigured = () => {
+    if (process.env.NODE_ENV === 'production' && !process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set when NODE_ENV is production.');
+    }
+    getTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+};
+
+// Replace the transport, e.g. with an in-memory one in tests
+const setTransport = (replacement) => {
+    transport = replacement;
+};
+
+const sendMail = async ({ to, subject, text, html }) => getTransport().send({
+    from: process.env.MAIL_FROM || 'AI Math Grader <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+});
+
+module.exports = {
+    assertMailerConfigured,
+    sendMail,
+    setTransport,
+    getTransport
+};
@@ -0,0 +1,52 @@
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const buildMessage = ({ name, intro, link, linkLabel, outro }) => ({
+    text: `Hello ${name},\n\n${intro}\n\n${link}\n\n${outro}`,
+    html: `<p>Hello ${escapeHtml(name)},</p>`
+        + `<p>${escapeHtml(intro)}</p>`
+        + `<p><a href="${escapeHtml(link)}">${escapeHtml(linkLabel)}</a></p>`
+        + `<p>${escapeHtml(outro)}</p>`
+});
+
+const passwordResetEmail = ({ name, link, expiresInMinutes }) => ({
+    subject: 'Reset your AI Math Grader password',
+    ...buildMessage({
+        name,
+        intro: 'We received a request to reset your password. Use the link below to choose a new one.',
+        link,
+        linkLabel: 'Reset password',
+        outro: `The link expires in ${expiresInMinutes} minutes and can be used once. If you did not ask for this, you can ignore this email.`
+    })
+});
+
+const emailVerificationEmail = ({ name, link, expiresInHours }) => ({
+    subject: 'Verify your AI Math Grader email address',
+    ...buildMessage({
+        name,
+        intro: 'Please confirm that this is your email address.',
+        link,
+        linkLabel: 'Verify email',
+        outro: `The link expires in ${expiresInHours} hours.`
+    })
+});
+
+const invitationEmail = ({ name, classroomName, link, expiresInHours }) => ({
+    subject: `You have been added to ${classroomName} on AI Math Grader`,
+    ...buildMessage({
+        name,
+        intro: `Your lecturer added you to the classroom ${classroomName}. Use the link below to choose a password and activate your account.`,
+        link,
+        linkLabel: 'Activate account',
+        outro: `The link expires in ${expiresInHours} hours and can be used once.`
+    })
+});
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+    invitationEmail
+};
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { sequelize, AssignmentSubmission, SubmissionVersion } = require('./models');
+const { STORAGE_DRIVERS, createStorage } = require('./storage');
+const { storageKeyOf, contentTypeOf } = require('./submissionFiles');
+
+const USAGE = `Usage: node migrateStorage.js --from <${STORAGE_DRIVERS.join('|')}> --to <${STORAGE_DRIVERS.join('|')}> [--dry-run] [--delete-source]`;
+
+const parseArgs = (args) => {
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : args[index + 1];
+  };
+  return {
+    from: valueOf('--from'),
+    to: valueOf('--to'),
+    dryRun: args.includes('--dry-run'),
+    deleteSource: args.includes('--delete-source')
+  };
+};
+
+// Stored paths of a submission or attempt, keyed by column
+const storedPathsOf = (record) => ({
+  assignment_file: record.assignment_file || null,
+  page_files: Array.isArray(record.page_files) ? record.page_files : null,
+  annotated_file: record.annotated_file || null
+});
+
+// Rewrite paths saved while files lived in public/ to plain storage keys
+const normalizedUpdates = (record) => {
+  const paths = storedPathsOf(record);
+  const updates = {};
+  if (paths.assignment_file && paths.assignment_file !== storageKeyOf(paths.assignment_file)) {
+    updates.assignment_file = storageKeyOf(paths.assignment_file);
+  }
+  if (paths.page_files && paths.page_files.some(file => file !== storageKeyOf(file))) {
+    updates.page_files = paths.page_files.map(storageKeyOf);
+  }
+  if (paths.annotated_file && paths.annotated_file !== storageKeyOf(paths.annotated_file)) {
+    updates.annotated_file = storageKeyOf(paths.annotated_file);
+  }
+  return updates;
+};
+
+// Copy every file referenced by submissions and their attempts (deleted ones included) from one storage
+// driver to another. Files already present in the target are skipped, so the command can be re-run.
+async function migrateStorage({ from, to, dryRun = false, deleteSource = false }) {
+  const source = createStorage(from);
+  const target = createStorage(to);
+
+  const records = [
+    ...await AssignmentSubmission.findAll({ paranoid: false }),
+    ...await SubmissionVersion.findAll()
+  ];
+
+  const keys = new Set();
+  records.forEach(record => {
+    const paths = storedPathsOf(record);
+    [paths.assignment_file, ...(paths.page_files || []), paths.annotated_file]
+      .filter(Boolean)
+      .forEach(storedPath => keys.add(storageKeyOf(storedPath)));
+  });
+
+  const result = { files: keys.size, copied: 0, skipped: 0, missing: 0, deleted: 0, records_updated: 0 };
+  const copiedKeys = [];
+
+  for (const key of keys) {
+    if (await target.exists(key)) {
+      result.skipped++;
+      copiedKeys.push(key);
+      continue;
+    }
+    let contents;
+    try {
+      contents = await source.get(key);
+    } catch (error) {
+      if (error.code !== 'FILE_NOT_FOUND') {
+        throw error;
+      }
+      console.warn(`⚠️  Missing in ${from} storage: ${key}`);
+      result.missing++;
+      continue;
+    }
+    if (!dryRun) {
+      await target.put(key, contents, { contentType: contentTypeOf(key) });
+    }
+    result.copied++;
+    copiedKeys.push(key);
+  }
+
+  for (const record of records) {
+    const updates = normalizedUpdates(record);
+    if (Object.keys(updates).length > 0) {
+      if (!dryRun) {
+        // The file itself is unchanged, so this bypasses the hook that keeps attempts immutable
+        await record.update(updates, { hooks: false });
+      }
+      result.records_updated++;
+    }
+  }
+
+  // Only files that are safely in the target are removed from the source
+  if (deleteSource && !dryRun) {
+    for (const key of copiedKeys) {
+      await source.remove(key);
+      result.deleted++;
+    }
+  }
+
+  return result;
+}
+
+async function runStorageMigration() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!STORAGE_DRIVERS.includes(options.from) || !STORAGE_DRIVERS.includes(options.to) || options.from === options.to) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await sequelize.authenticate();
+    console.log(`🚚 Moving submission files from ${options.from} to ${options.to} storage${options.dryRun ? ' (dry run)' : ''}...`);
+
+    const result = await migrateStorage(options);
+
+    console.log(`✅ ${result.files} file(s): ${result.copied} copied, ${result.skipped} already present, ${result.missing} missing.`);
+    console.log(`📝 ${result.records_updated} record(s) with legacy paths updated.`);
+    if (options.deleteSource) {
+      console.log(`🗑️  ${result.deleted} file(s) deleted from ${options.from} storage.`);
+    }
+    await sequelize.close();
+    process.exit(result.missing > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runStorageMigration();
+}
+
+module.exports = { migrateStorage };
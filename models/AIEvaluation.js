@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AIEvaluation = sequelize.define('AIEvaluation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  submission_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'assignment_submissions',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed', 'quota_exceeded'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempt_number: {
+    type: DataTypes.INTEGER, // Submission attempt the evaluation belongs to; results for older attempts are discarded
+    allowNull: true
+  },
+  overall_score: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  problem_breakdown: {
+    type: DataTypes.JSON, // Per-problem scores, errors and bounding boxes as returned by the grader
+    allowNull: true
+  },
+  warnings: {
+    type: DataTypes.JSON, // Inconsistencies found (and repaired where possible) by the server-side validator
+    allowNull: true
+  },
+  flagged: {
+    type: DataTypes.BOOLEAN, // True when the validator found problems it could not repair
+    allowNull: false,
+    defaultValue: false
+  },
+  page_count: {
+    type: DataTypes.INTEGER, // Set when pages were graded separately; errors then carry a 1-based page number
+    allowNull: true
+  },
+  model_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  evaluated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  review_status: {
+    type: DataTypes.ENUM('unreviewed', 'accepted', 'edited'),
+    allowNull: false,
+    defaultValue: 'unreviewed'
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'ai_evaluations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = AIEvaluation;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per call to the AI grader, kept for cost accounting and monthly quotas
+const AIUsageLog = sequelize.define('AIUsageLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  lecturer_id: {
+    type: DataTypes.INTEGER, // Owner of the classroom the work belongs to; null for the test endpoints
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  },
+  classroom_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  assignment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  submission_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.ENUM('grading_job', 'evaluate', 'test_evaluation'),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  model_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  input_bytes: {
+    type: DataTypes.INTEGER, // Decoded size of the images sent to the model
+    allowNull: false,
+    defaultValue: 0
+  },
+  page_count: {
+    type: DataTypes.INTEGER, // Null when the work was sent as one stitched image
+    allowNull: true
+  },
+  prompt_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  output_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  total_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  estimated_cost: {
+    type: DataTypes.DECIMAL(12, 6), // From the AI_PRICE_* settings; null when no prices are configured
+    allowNull: true
+  },
+  latency_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('succeeded', 'failed'),
+    allowNull: false
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'ai_usage_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    { fields: ['lecturer_id', 'created_at'] },
+    { fields: ['classroom_id'] }
+  ]
+});
+
+module.exports = AIUsageLog;
@@ -42,12 +42,76 @@ const Assignment = sequelize.define('Assignment', {
       model: 'classrooms',
       key: 'id'
     }
+  },
+  category: {
+    type: DataTypes.ENUM('homework', 'quiz', 'exam'), // Gradebook category, weighted by the classroom's grading scheme
+    allowNull: false,
+    defaultValue: 'homework'
+  },
+  topic: {
+    type: DataTypes.STRING(100), // Subject-matter label used to track student progress per topic
+    allowNull: true
+  },
+  answer_key: {
+    type: DataTypes.TEXT, // Reference solution given to the AI grader
+    allowNull: true
+  },
+  rubric: {
+    type: DataTypes.JSON, // Problems, max points, expected answers, allowed methods and deduction ranges
+    allowNull: true
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER, // null allows unlimited resubmissions
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  counting_policy: {
+    type: DataTypes.ENUM('latest', 'highest'), // Which graded attempt sets the submission's mark
+    allowNull: false,
+    defaultValue: 'latest'
+  },
+  late_policy: {
+    type: DataTypes.ENUM('accept', 'hard_cutoff', 'penalty'), // accept marks late work without a penalty
+    allowNull: false,
+    defaultValue: 'accept'
+  },
+  grace_period_minutes: {
+    type: DataTypes.INTEGER, // Submissions this soon after the due date still count as on time
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  late_penalty_percent: {
+    type: DataTypes.DECIMAL(5, 2), // Percentage of the mark taken off per late day under the penalty policy
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  max_late_days: {
+    type: DataTypes.INTEGER, // Late submissions are refused after this many days; null for no limit
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  deletion_batch: {
+    type: DataTypes.STRING(36), // Shared by everything soft deleted together, so a restore brings back only that
+    allowNull: true
   }
 }, {
   tableName: 'assignments',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  paranoid: true,
+  deletedAt: 'deleted_at'
 });
 
 module.exports = Assignment;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AssignmentExcusal = sequelize.define('AssignmentExcusal', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  assignment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assignments',
+      key: 'id'
+    }
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  excused_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'assignment_excusals',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['assignment_id', 'student_id'] }
+  ]
+});
+
+module.exports = AssignmentExcusal;
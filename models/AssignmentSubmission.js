@@ -15,6 +15,43 @@ const AssignmentSubmission = sequelize.define('AssignmentSubmission', {
     type: DataTypes.STRING, // Store original file name
     allowNull: true
   },
+  file_type: {
+    type: DataTypes.ENUM('pdf', 'images'), // 'images' when photo pages were kept instead of assembled into a PDF
+    allowNull: false,
+    defaultValue: 'pdf'
+  },
+  page_files: {
+    type: DataTypes.JSON, // Ordered page image paths for 'images' submissions
+    allowNull: true
+  },
+  attempt_count: {
+    type: DataTypes.INTEGER, // Number of attempts submitted; the current attempt is the last one
+    allowNull: false,
+    defaultValue: 1
+  },
+  counted_attempt: {
+    type: DataTypes.INTEGER, // Attempt whose mark is used, per the assignment's counting policy
+    allowNull: true
+  },
+  is_late: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  late_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  late_penalty: {
+    type: DataTypes.DECIMAL(5, 2), // Percentage taken off the mark for lateness
+    allowNull: false,
+    defaultValue: 0
+  },
+  annotated_file: {
+    type: DataTypes.STRING, // Annotated feedback PDF given to the student when the submission is returned
+    allowNull: true
+  },
   file_data: {
     type: DataTypes.TEXT('long'), // For storing base64 data if needed
     allowNull: true
@@ -63,12 +100,18 @@ const AssignmentSubmission = sequelize.define('AssignmentSubmission', {
       model: 'lecturers',
       key: 'id'
     }
+  },
+  deletion_batch: {
+    type: DataTypes.STRING(36), // Shared by everything soft deleted together, so a restore brings back only that
+    allowNull: true
   }
 }, {
   tableName: 'assignment_submissions',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  paranoid: true,
+  deletedAt: 'deleted_at',
   hooks: {
     beforeUpdate: (submission) => {
       if (submission.changed('mark') && submission.mark !== null) {
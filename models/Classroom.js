@@ -34,12 +34,30 @@ const Classroom = sequelize.define('Classroom', {
       model: 'lecturers',
       key: 'id'
     }
+  },
+  grading_scheme: {
+    type: DataTypes.JSON, // Category weights and drop-lowest rules used by the gradebook
+    allowNull: true
+  },
+  at_risk_threshold: {
+    type: DataTypes.DECIMAL(5, 2), // Students whose average falls below this are flagged at risk; null uses the default
+    allowNull: true
+  },
+  archived_at: {
+    type: DataTypes.DATE, // Set for past semesters; archived classrooms are read-only and hidden by default
+    allowNull: true
+  },
+  deletion_batch: {
+    type: DataTypes.STRING(36), // Shared by everything soft deleted together, so a restore brings back only that
+    allowNull: true
   }
 }, {
   tableName: 'classrooms',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  paranoid: true,
+  deletedAt: 'deleted_at'
 });
 
 module.exports = Classroom;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DeadlineExtension = sequelize.define('DeadlineExtension', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  assignment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assignments',
+      key: 'id'
+    }
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  extended_due_date: {
+    type: DataTypes.DATE, // Replaces the assignment's due date for this student
+    allowNull: false,
+    validate: {
+      isDate: true
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  granted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'deadline_extensions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['assignment_id', 'student_id'] }
+  ]
+});
+
+module.exports = DeadlineExtension;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradingJob = sequelize.define('GradingJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  submission_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assignment_submissions',
+      key: 'id'
+    }
+  },
+  attempt_number: {
+    type: DataTypes.INTEGER, // Submission attempt to grade; a newer attempt cancels the job
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'succeeded', 'failed', 'cancelled', 'quota_exceeded'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  stage: {
+    type: DataTypes.STRING, // Current step of a running job, e.g. converting, grading, saving
+    allowNull: true
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3
+  },
+  run_at: {
+    type: DataTypes.DATE, // Earliest time a worker may pick the job up (used for retry backoff)
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'grading_jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['status', 'run_at'] },
+    { fields: ['submission_id'] }
+  ]
+});
+
+module.exports = GradingJob;
@@ -48,6 +48,37 @@ const Lecturer = sequelize.define('Lecturer', {
     validate: {
       len: [6, 100]
     }
+  },
+  email_verified_at: {
+    type: DataTypes.DATE, // Set once the lecturer follows the verification link sent at signup
+    allowNull: true
+  },
+  failed_login_attempts: {
+    type: DataTypes.INTEGER, // Failed sign ins since the last successful one
+    allowNull: false,
+    defaultValue: 0
+  },
+  locked_until: {
+    type: DataTypes.DATE, // Sign in is refused until then after repeated failures
+    allowNull: true
+  },
+  institution: {
+    type: DataTypes.STRING, // Lecturers of the same institution share its AI quota
+    allowNull: true
+  },
+  ai_monthly_call_quota: {
+    type: DataTypes.INTEGER, // Overrides AI_MONTHLY_CALL_QUOTA for this lecturer
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  ai_monthly_token_quota: {
+    type: DataTypes.INTEGER, // Overrides AI_MONTHLY_TOKEN_QUOTA for this lecturer
+    allowNull: true,
+    validate: {
+      min: 0
+    }
   }
 }, {
   tableName: 'lecturers',
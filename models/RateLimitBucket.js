@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Request counters for the database rate limit store, one row per limiter and client key
+const RateLimitBucket = sequelize.define('RateLimitBucket', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  reset_at: {
+    type: DataTypes.DATE, // End of the current window; the count starts over after it
+    allowNull: false
+  }
+}, {
+  tableName: 'rate_limit_buckets',
+  timestamps: false
+});
+
+module.exports = RateLimitBucket;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_type: {
+    type: DataTypes.ENUM('lecturer', 'student'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER, // Lecturer or student id, depending on user_type
+    allowNull: false
+  },
+  token_hash: {
+    type: DataTypes.STRING(64), // SHA-256 of the token; the token itself is never stored
+    allowNull: false,
+    unique: true
+  },
+  family_id: {
+    type: DataTypes.STRING(36), // Shared by every token rotated from the same sign-in
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replaced_by: {
+    type: DataTypes.INTEGER, // The token issued when this one was rotated
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['user_type', 'user_id'] },
+    { fields: ['family_id'] }
+  ]
+});
+
+module.exports = RefreshToken;
@@ -30,6 +30,30 @@ const Student = sequelize.define('Student', {
     validate: {
       len: [6, 100]
     }
+  },
+  student_number: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    unique: true
+  },
+  // Set for accounts created from a roster import until the student picks their own password
+  must_change_password: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  email_verified_at: {
+    type: DataTypes.DATE, // Set once the student follows the verification link sent at signup
+    allowNull: true
+  },
+  failed_login_attempts: {
+    type: DataTypes.INTEGER, // Failed sign ins since the last successful one
+    allowNull: false,
+    defaultValue: 0
+  },
+  locked_until: {
+    type: DataTypes.DATE, // Sign in is refused until then after repeated failures
+    allowNull: true
   }
 }, {
   tableName: 'students',
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Fields that describe what the student handed in; they never change once an attempt is recorded
+const SUBMITTED_FIELDS = ['submission_id', 'attempt_number', 'assignment_file', 'file_name', 'file_type', 'page_files', 'submitted_at'];
+
+const SubmissionVersion = sequelize.define('SubmissionVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  submission_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assignment_submissions',
+      key: 'id'
+    }
+  },
+  attempt_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  assignment_file: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  file_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  file_type: {
+    type: DataTypes.ENUM('pdf', 'images'),
+    allowNull: false,
+    defaultValue: 'pdf'
+  },
+  page_files: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  submitted_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  is_late: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  late_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  late_penalty: {
+    type: DataTypes.DECIMAL(5, 2), // Percentage taken off the mark for lateness
+    allowNull: false,
+    defaultValue: 0
+  },
+  ai_evaluation: {
+    type: DataTypes.JSON, // Snapshot of the completed AI evaluation for this attempt
+    allowNull: true
+  },
+  ai_score: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  mark: {
+    type: DataTypes.DECIMAL(5, 2), // Mark given to this attempt before any late penalty
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  feedback: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  graded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  graded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'lecturers',
+      key: 'id'
+    }
+  },
+  returned_evaluation: {
+    type: DataTypes.JSON, // Snapshot of the AI evaluation the annotated feedback was rendered from when returned
+    allowNull: true
+  },
+  returned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'submission_versions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['submission_id', 'attempt_number'] }
+  ],
+  hooks: {
+    beforeUpdate: (version) => {
+      const changed = SUBMITTED_FIELDS.filter(field => version.changed(field));
+      if (changed.length > 0) {
+        throw new Error(`Submitted files of an attempt cannot be changed (${changed.join(', ')}).`);
+      }
+    }
+  }
+});
+
+module.exports = SubmissionVersion;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Single-use tokens sent by email for password resets and email verification
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_type: {
+    type: DataTypes.ENUM('lecturer', 'student'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER, // Lecturer or student id, depending on user_type
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification', 'invitation'),
+    allowNull: false
+  },
+  token_hash: {
+    type: DataTypes.STRING(64), // SHA-256 of the token; the token itself is only in the email
+    allowNull: false,
+    unique: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['user_type', 'user_id', 'purpose'] }
+  ]
+});
+
+module.exports = UserToken;
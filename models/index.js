@@ -6,6 +6,15 @@ const Student = require('./Student');
 const Classroom = require('./Classroom');
 const Assignment = require('./Assignment');
 const AssignmentSubmission = require('./AssignmentSubmission');
+const AIEvaluation = require('./AIEvaluation');
+const GradingJob = require('./GradingJob');
+const SubmissionVersion = require('./SubmissionVersion');
+const DeadlineExtension = require('./DeadlineExtension');
+const AssignmentExcusal = require('./AssignmentExcusal');
+const RefreshToken = require('./RefreshToken');
+const UserToken = require('./UserToken');
+const RateLimitBucket = require('./RateLimitBucket');
+const AIUsageLog = require('./AIUsageLog');
 
 // Define associations
 
@@ -74,6 +83,102 @@ AssignmentSubmission.belongsTo(Lecturer, {
   as: 'grader'
 });
 
+AssignmentSubmission.hasOne(AIEvaluation, {
+  foreignKey: 'submission_id',
+  as: 'ai_evaluation'
+});
+
+// AIEvaluation associations
+AIEvaluation.belongsTo(AssignmentSubmission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+
+AIEvaluation.belongsTo(Lecturer, {
+  foreignKey: 'reviewed_by',
+  as: 'reviewer'
+});
+
+// GradingJob associations
+AssignmentSubmission.hasMany(GradingJob, {
+  foreignKey: 'submission_id',
+  as: 'grading_jobs'
+});
+
+GradingJob.belongsTo(AssignmentSubmission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+
+GradingJob.belongsTo(Lecturer, {
+  foreignKey: 'requested_by',
+  as: 'requester'
+});
+
+// SubmissionVersion associations
+AssignmentSubmission.hasMany(SubmissionVersion, {
+  foreignKey: 'submission_id',
+  as: 'versions'
+});
+
+SubmissionVersion.belongsTo(AssignmentSubmission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+
+SubmissionVersion.belongsTo(Lecturer, {
+  foreignKey: 'graded_by',
+  as: 'grader'
+});
+
+// DeadlineExtension associations
+Assignment.hasMany(DeadlineExtension, {
+  foreignKey: 'assignment_id',
+  as: 'extensions'
+});
+
+DeadlineExtension.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+DeadlineExtension.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+DeadlineExtension.belongsTo(Lecturer, {
+  foreignKey: 'granted_by',
+  as: 'granter'
+});
+
+// AssignmentExcusal associations
+Assignment.hasMany(AssignmentExcusal, {
+  foreignKey: 'assignment_id',
+  as: 'excusals'
+});
+
+AssignmentExcusal.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+AssignmentExcusal.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+// AIUsageLog associations
+Lecturer.hasMany(AIUsageLog, {
+  foreignKey: 'lecturer_id',
+  as: 'ai_usage_logs'
+});
+
+AIUsageLog.belongsTo(Lecturer, {
+  foreignKey: 'lecturer_id',
+  as: 'lecturer'
+});
+
 // Many-to-many association for students and classrooms
 const StudentClassroom = sequelize.define('StudentClassroom', {
   student_id: {
@@ -120,5 +225,14 @@ module.exports = {
   Classroom,
   Assignment,
   AssignmentSubmission,
+  AIEvaluation,
+  GradingJob,
+  SubmissionVersion,
+  DeadlineExtension,
+  AssignmentExcusal,
+  RefreshToken,
+  UserToken,
+  RateLimitBucket,
+  AIUsageLog,
   StudentClassroom
 };
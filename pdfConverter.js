@@ -1,68 +1,173 @@
 const { getDocument } = require('pdfjs-dist/legacy/build/pdf.js');
 const { createCanvas } = require('canvas');
 
-const convertPdfToImage = (buffer) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Load the PDF from the buffer
-      const pdf = await getDocument({ data: buffer }).promise;
-      const numPages = pdf.numPages;
-
-      if (numPages === 0) {
-        return reject(new Error("PDF file is empty."));
-      }
-
-      const pageCanvases = [];
-      let totalHeight = 0;
-      let maxWidth = 0;
-      const scale = 1.5; // Use a consistent scale
-
-      for (let i = 1; i <= numPages; i++) {
-        const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale });
-        
-        const canvas = createCanvas(viewport.width, viewport.height);
-        const context = canvas.getContext('2d');
-        
-        await page.render({ canvasContext: context, viewport: viewport }).promise;
-        
-        pageCanvases.push(canvas);
-        totalHeight += canvas.height;
-        if (canvas.width > maxWidth) {
-          maxWidth = canvas.width;
-        }
-      }
-      
-      if (numPages === 1) {
-          // If only one page, no need to stitch
-          resolve(pageCanvases[0].toDataURL('image/jpeg', 0.9).split(',')[1]);
-          return;
-      }
-
-      // Create the final canvas to stitch all pages together
-      const finalCanvas = createCanvas(maxWidth, totalHeight);
-      const finalContext = finalCanvas.getContext('2d');
-
-      // Fill with a white background in case pages have different widths
-      finalContext.fillStyle = 'white';
-      finalContext.fillRect(0, 0, finalCanvas.width, finalCanvas.height);
-
-      let currentY = 0;
-      for (const pageCanvas of pageCanvases) {
-        // Center the page horizontally if it's narrower than the max width
-        const xOffset = (maxWidth - pageCanvas.width) / 2;
-        finalContext.drawImage(pageCanvas, xOffset, currentY);
-        currentY += pageCanvas.height;
-      }
-
-      // Return base64 encoded image of the final stitched canvas
-      resolve(finalCanvas.toDataURL('image/jpeg', 0.9).split(',')[1]);
-
-    } catch (error) {
-      console.error("Error processing PDF on server:", error);
-      reject(new Error("Could not process the PDF file. It might be invalid or corrupted."));
+const RENDER_SCALE = 1.5; // Use a consistent scale
+const PDF_POINTS_PER_INCH = 72;
+
+// Defaults for per-page conversion, overridable per call
+const PAGE_DPI = parseInt(process.env.PDF_RENDER_DPI, 10) || RENDER_SCALE * PDF_POINTS_PER_INCH;
+const PAGE_JPEG_QUALITY = parseFloat(process.env.PDF_JPEG_QUALITY) || 0.9;
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES, 10) || 20;
+// Largest page side accepted, in PDF points (72 per inch); the default allows up to A2
+const MAX_PAGE_DIMENSION = parseInt(process.env.PDF_MAX_PAGE_DIMENSION, 10) || 1684;
+// Largest canvas a single page may be rendered to, in pixels, whatever the requested DPI
+const MAX_RENDER_PIXELS = parseInt(process.env.PDF_MAX_RENDER_PIXELS, 10) || 25000000;
+
+// Errors with a code describe a problem with the PDF itself, as opposed to a failure of the server
+const PDF_ERROR_CODES = ['PDF_INVALID', 'PDF_EMPTY', 'PDF_ENCRYPTED', 'PDF_PAGE_LIMIT', 'PDF_PAGE_TOO_LARGE'];
+
+const pdfError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const loadPdf = async (buffer) => {
+  try {
+    return await getDocument({ data: buffer }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw pdfError('PDF_ENCRYPTED', 'The PDF is password protected. Upload a copy without a password.');
+    }
+    throw pdfError('PDF_INVALID', 'Could not read the PDF file. It might be invalid or corrupted.');
+  }
+};
+
+// Render every page of a PDF to its own canvas
+const renderPdfPages = async (buffer, { scale = RENDER_SCALE, maxPages = null } = {}) => {
+  // Load the PDF from the buffer
+  const pdf = await loadPdf(buffer);
+  const numPages = pdf.numPages;
+
+  if (numPages === 0) {
+    throw pdfError('PDF_EMPTY', 'The PDF file has no pages.');
+  }
+  if (maxPages && numPages > maxPages) {
+    throw pdfError('PDF_PAGE_LIMIT', `PDF has ${numPages} pages; the maximum is ${maxPages}.`);
+  }
+
+  const pageCanvases = [];
+  for (let i = 1; i <= numPages; i++) {
+    const page = await pdf.getPage(i);
+    const viewport = page.getViewport({ scale });
+    if (viewport.width * viewport.height > MAX_RENDER_PIXELS) {
+      throw pdfError('PDF_PAGE_TOO_LARGE', `Page ${i} is too large to render at this resolution.`);
     }
+
+    const canvas = createCanvas(viewport.width, viewport.height);
+    const context = canvas.getContext('2d');
+
+    await page.render({ canvasContext: context, viewport: viewport }).promise;
+
+    pageCanvases.push(canvas);
+  }
+
+  return pageCanvases;
+};
+
+// Where each page sits in the stitched image: pages are stacked vertically and centered horizontally
+const getStitchedLayout = (pageCanvases) => {
+  const width = Math.max(...pageCanvases.map(canvas => canvas.width));
+  let currentY = 0;
+  const pages = pageCanvases.map(canvas => {
+    const placement = {
+      x: (width - canvas.width) / 2,
+      y: currentY,
+      width: canvas.width,
+      height: canvas.height
+    };
+    currentY += canvas.height;
+    return placement;
   });
+
+  return { width, height: currentY, pages };
 };
 
-module.exports = { convertPdfToImage };
\ No newline at end of file
+// Stack page canvases into one base64 JPEG, as the grader expects in stitched mode
+const stitchPageCanvases = (pageCanvases) => {
+  if (pageCanvases.length === 1) {
+    // If only one page, no need to stitch
+    return pageCanvases[0].toDataURL('image/jpeg', 0.9).split(',')[1];
+  }
+
+  // Create the final canvas to stitch all pages together
+  const layout = getStitchedLayout(pageCanvases);
+  const finalCanvas = createCanvas(layout.width, layout.height);
+  const finalContext = finalCanvas.getContext('2d');
+
+  // Fill with a white background in case pages have different widths
+  finalContext.fillStyle = 'white';
+  finalContext.fillRect(0, 0, finalCanvas.width, finalCanvas.height);
+
+  pageCanvases.forEach((pageCanvas, index) => {
+    const placement = layout.pages[index];
+    finalContext.drawImage(pageCanvas, placement.x, placement.y);
+  });
+
+  // Return base64 encoded image of the final stitched canvas
+  return finalCanvas.toDataURL('image/jpeg', 0.9).split(',')[1];
+};
+
+// Ordered per-page JPEG images with their pixel dimensions, the format used for page-by-page grading
+const pageCanvasesToImages = (pageCanvases, { quality = PAGE_JPEG_QUALITY } = {}) => pageCanvases.map((canvas, index) => ({
+  page: index + 1,
+  width: canvas.width,
+  height: canvas.height,
+  data: canvas.toDataURL('image/jpeg', quality).split(',')[1]
+}));
+
+// Combine page canvases into a single PDF document, one PDF page per canvas
+const pageCanvasesToPdf = (pageCanvases) => {
+  const pdfCanvas = createCanvas(pageCanvases[0].width, pageCanvases[0].height, 'pdf');
+  const context = pdfCanvas.getContext('2d');
+  pageCanvases.forEach((pageCanvas, index) => {
+    if (index > 0) {
+      context.addPage(pageCanvas.width, pageCanvas.height);
+    }
+    context.drawImage(pageCanvas, 0, 0);
+  });
+  return pdfCanvas.toBuffer('application/pdf');
+};
+
+// Problems with the PDF keep their code; anything else becomes a generic processing error
+const toConversionError = (error) => {
+  console.error("Error processing PDF on server:", error);
+  if (PDF_ERROR_CODES.includes(error.code)) {
+    return error;
+  }
+  return new Error("Could not process the PDF file. It might be invalid or corrupted.");
+};
+
+const convertPdfToImage = async (buffer, { maxPages = MAX_PAGES } = {}) => {
+  try {
+    const pageCanvases = await renderPdfPages(buffer, { maxPages });
+    return stitchPageCanvases(pageCanvases);
+  } catch (error) {
+    throw toConversionError(error);
+  }
+};
+
+// Convert a PDF into an ordered array of per-page JPEG images with their pixel dimensions
+const convertPdfToPages = async (buffer, { dpi = PAGE_DPI, quality = PAGE_JPEG_QUALITY, maxPages = MAX_PAGES } = {}) => {
+  let pageCanvases;
+  try {
+    pageCanvases = await renderPdfPages(buffer, { scale: dpi / PDF_POINTS_PER_INCH, maxPages });
+  } catch (error) {
+    throw toConversionError(error);
+  }
+
+  return pageCanvasesToImages(pageCanvases, { quality });
+};
+
+module.exports = {
+  PDF_LIMITS: { maxPages: MAX_PAGES, maxPageDimension: MAX_PAGE_DIMENSION, maxDpi: PAGE_DPI },
+  PDF_ERROR_CODES,
+  pdfError,
+  convertPdfToImage,
+  convertPdfToPages,
+  renderPdfPages,
+  getStitchedLayout,
+  stitchPageCanvases,
+  pageCanvasesToImages,
+  pageCanvasesToPdf
+};
@@ -0,0 +1,193 @@
+const { ERROR_TYPES } = require('./rubric');
+const { buildGradebook } = require('./gradebook');
+const { textOf, clusterTexts } = require('./analytics');
+
+const DEFAULT_AT_RISK_THRESHOLD = 60;
+// Number of most recent counted marks the recent average is taken over
+const RECENT_WINDOW = 3;
+// Marks changing by less than this many points per assignment count as steady
+const TREND_TOLERANCE = 2;
+// Error counts changing by less than this many errors per assignment count as steady
+const ERROR_TREND_TOLERANCE = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => values.length > 0 ? round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+
+// Least-squares slope of marks over their order, in points per assignment
+const slopeOf = (marks) => {
+    if (marks.length < 2) {
+        return null;
+    }
+    const meanX = (marks.length - 1) / 2;
+    const meanY = marks.reduce((total, mark) => total + mark, 0) / marks.length;
+    let numerator = 0;
+    let denominator = 0;
+    marks.forEach((mark, index) => {
+        numerator += (index - meanX) * (mark - meanY);
+        denominator += (index - meanX) ** 2;
+    });
+    return round(numerator / denominator);
+};
+
+const directionOf = (slope, tolerance = TREND_TOLERANCE) => {
+    if (slope === null) {
+        return null;
+    }
+    if (slope > tolerance) {
+        return 'improving';
+    }
+    return slope < -tolerance ? 'declining' : 'steady';
+};
+
+const summarizeMarks = (marks) => {
+    const slope = slopeOf(marks);
+    return {
+        count: marks.length,
+        average: average(marks),
+        recent_average: average(marks.slice(-RECENT_WINDOW)),
+        first_mark: marks.length > 0 ? marks[0] : null,
+        latest_mark: marks.length > 0 ? marks[marks.length - 1] : null,
+        slope,
+        direction: directionOf(slope)
+    };
+};
+
+const threshold = (classroom) => classroom.at_risk_threshold === null || classroom.at_risk_threshold === undefined
+    ? DEFAULT_AT_RISK_THRESHOLD
+    : Number(classroom.at_risk_threshold);
+
+// One student's progress in a classroom. Marks, missing work and excusals follow the gradebook, so
+// the averages here match it. Assignments are taken in due date order; topics without a topic set
+// fall back to the assignment's category.
+const buildStudentProgress = ({ classroom, student, assignments, submissions, excusals }) => {
+    const gradebook = buildGradebook({
+        students: [student],
+        assignments,
+        submissions,
+        excusals,
+        scheme: classroom.grading_scheme
+    });
+    const row = gradebook.students[0];
+    const submissionFor = new Map(submissions.map(submission => [submission.assignment_id, submission]));
+
+    const timeline = assignments.map(assignment => {
+        const cell = row.cells[assignment.id];
+        const submission = submissionFor.get(assignment.id);
+        const evaluation = submission && submission.ai_evaluation && submission.ai_evaluation.status === 'completed'
+            ? submission.ai_evaluation
+            : null;
+        const errors = {};
+        ERROR_TYPES.forEach(type => { errors[type] = 0; });
+        (evaluation && Array.isArray(evaluation.problem_breakdown) ? evaluation.problem_breakdown : []).forEach(problem => {
+            (Array.isArray(problem.errors) ? problem.errors : []).forEach(error => {
+                if (ERROR_TYPES.includes(error.error_type)) {
+                    errors[error.error_type]++;
+                }
+            });
+        });
+
+        return {
+            assignment_id: assignment.id,
+            assignment_title: assignment.assignment_title,
+            category: assignment.category || 'homework',
+            topic: assignment.topic || assignment.category || 'homework',
+            due_date: assignment.due_date,
+            submitted_at: submission ? submission.submitted_at : null,
+            status: cell.status,
+            mark: cell.mark,
+            counts: cell.counts,
+            is_late: cell.is_late,
+            ai_score: evaluation && evaluation.overall_score !== null ? Number(evaluation.overall_score) : null,
+            errors: evaluation ? errors : null
+        };
+    });
+
+    const counted = timeline.filter(entry => entry.counts);
+    const evaluated = timeline.filter(entry => entry.errors);
+
+    const topics = [];
+    counted.forEach(entry => {
+        let topic = topics.find(candidate => candidate.topic === entry.topic);
+        if (!topic) {
+            topic = { topic: entry.topic, marks: [] };
+            topics.push(topic);
+        }
+        topic.marks.push(entry.mark);
+    });
+
+    // Conceptual mistakes that look alike across different assignments
+    const conceptualErrors = [];
+    submissions.forEach(submission => {
+        const evaluation = submission.ai_evaluation;
+        if (!evaluation || evaluation.status !== 'completed' || !Array.isArray(evaluation.problem_breakdown)) {
+            return;
+        }
+        evaluation.problem_breakdown.forEach(problem => {
+            (Array.isArray(problem.errors) ? problem.errors : []).forEach(error => {
+                if (error.error_type === 'conceptual_error' && textOf(error.explanation)) {
+                    conceptualErrors.push({ text: textOf(error.explanation), value: error.explanation, sourceId: submission.assignment_id });
+                }
+            });
+        });
+    });
+
+    const recurringErrors = {};
+    ERROR_TYPES.forEach(type => {
+        const affected = evaluated.filter(entry => entry.errors[type] > 0);
+        recurringErrors[type] = {
+            total: evaluated.reduce((total, entry) => total + entry.errors[type], 0),
+            assignments_affected: affected.length,
+            evaluated_assignments: evaluated.length,
+            recurring: affected.length >= 2,
+            // Fewer errors of this type over time is an improvement
+            trend: directionOf(slopeOf(evaluated.map(entry => -entry.errors[type])), ERROR_TREND_TOLERANCE)
+        };
+    });
+
+    const marks = summarizeMarks(counted.map(entry => entry.mark));
+    const atRiskThreshold = threshold(classroom);
+    const reasons = [];
+    if (row.weighted_average !== null && row.weighted_average < atRiskThreshold) {
+        reasons.push('weighted_average_below_threshold');
+    }
+    if (marks.recent_average !== null && marks.recent_average < atRiskThreshold) {
+        reasons.push('recent_average_below_threshold');
+    }
+
+    return {
+        student: row.student,
+        timeline,
+        marks,
+        weighted_average: row.weighted_average,
+        category_averages: row.category_averages,
+        topics: topics.map(topic => ({ topic: topic.topic, ...summarizeMarks(topic.marks) })),
+        recurring_errors: {
+            by_type: recurringErrors,
+            conceptual: clusterTexts(conceptualErrors, 'assignment_count')
+                .filter(cluster => cluster.assignment_count >= 2)
+                .map(({ text, ...cluster }) => ({ explanation: text, ...cluster }))
+        },
+        at_risk: {
+            flagged: reasons.length > 0,
+            threshold: atRiskThreshold,
+            reasons
+        }
+    };
+};
+
+// Short form of a student's progress for the classroom overview
+const summarizeProgress = (progress) => ({
+    student: progress.student,
+    weighted_average: progress.weighted_average,
+    recent_average: progress.marks.recent_average,
+    direction: progress.marks.direction,
+    recurring_error_types: ERROR_TYPES.filter(type => progress.recurring_errors.by_type[type].recurring),
+    at_risk: progress.at_risk
+});
+
+module.exports = {
+    DEFAULT_AT_RISK_THRESHOLD,
+    buildStudentProgress,
+    summarizeProgress
+};
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_AT_RISK_THRESHOLD, buildStudentProgress, summarizeProgress } = require('./progress');
+
+const student = { id: 1, name: 'Dana', email: 'dana@example.com' };
+const classroom = (fields = {}) => ({ id: 1, grading_scheme: null, at_risk_threshold: null, ...fields });
+
+// Assignments due on consecutive past days, in order
+const assignment = (id, topic = null) => ({
+    id,
+    assignment_title: `A${id}`,
+    category: 'homework',
+    topic,
+    due_date: new Date(Date.UTC(2026, 0, id))
+});
+const graded = (assignmentId, mark, errors = []) => ({
+    id: assignmentId * 10,
+    student_id: 1,
+    assignment_id: assignmentId,
+    status: 'graded',
+    mark,
+    is_late: false,
+    ai_evaluation: { status: 'completed', overall_score: mark, problem_breakdown: [{ errors }] }
+});
+
+// Progress over assignments graded with the given marks, one assignment per mark
+const progressFor = (marks, { topics = [], fields = {} } = {}) => buildStudentProgress({
+    classroom: classroom(fields),
+    student,
+    assignments: marks.map((mark, index) => assignment(index + 1, topics[index])),
+    submissions: marks.map((mark, index) => graded(index + 1, mark)),
+    excusals: []
+});
+
+test('a single mark has no trend', () => {
+    const { marks } = progressFor([75]);
+    assert.equal(marks.count, 1);
+    assert.equal(marks.slope, null);
+    assert.equal(marks.direction, null);
+    assert.equal(marks.recent_average, 75);
+});
+
+test('equal marks are a flat, steady trend', () => {
+    const { marks } = progressFor([70, 70, 70, 70]);
+    assert.equal(marks.slope, 0);
+    assert.equal(marks.direction, 'steady');
+});
+
+test('the trend is the least-squares slope in points per assignment', () => {
+    const { marks } = progressFor([50, 65, 60, 80]);
+    assert.equal(marks.slope, 8.5);
+    assert.equal(marks.direction, 'improving');
+    assert.equal(marks.recent_average, 68.33);
+
+    assert.equal(progressFor([80, 79, 78]).marks.direction, 'steady');
+    assert.equal(progressFor([90, 80, 70]).marks.direction, 'declining');
+});
+
+test('each topic has its own improvement or regression', () => {
+    const { topics } = progressFor([50, 90, 70, 70], { topics: ['limits', 'derivatives', 'limits', 'derivatives'] });
+    assert.deepEqual(topics.map(topic => [topic.topic, topic.first_mark, topic.latest_mark, topic.direction]), [
+        ['limits', 50, 70, 'improving'],
+        ['derivatives', 90, 70, 'declining']
+    ]);
+});
+
+test('an average exactly at the threshold is not at risk', () => {
+    const atThreshold = progressFor([DEFAULT_AT_RISK_THRESHOLD, DEFAULT_AT_RISK_THRESHOLD]);
+    assert.equal(atThreshold.weighted_average, DEFAULT_AT_RISK_THRESHOLD);
+    assert.deepEqual(atThreshold.at_risk, { flagged: false, threshold: DEFAULT_AT_RISK_THRESHOLD, reasons: [] });
+
+    const below = progressFor([59.99]);
+    assert.deepEqual(below.at_risk.reasons, ['weighted_average_below_threshold', 'recent_average_below_threshold']);
+});
+
+test('a classroom threshold replaces the default, and a falling recent average alone flags the student', () => {
+    const progress = progressFor([95, 95, 95, 60, 60, 60], { fields: { at_risk_threshold: 70 } });
+    assert.equal(progress.at_risk.threshold, 70);
+    assert.equal(progress.weighted_average, 77.5);
+    assert.deepEqual(progress.at_risk.reasons, ['recent_average_below_threshold']);
+    assert.equal(summarizeProgress(progress).at_risk.flagged, true);
+});
+
+test('an error type found in two assignments is recurring', () => {
+    const conceptual = { error_type: 'conceptual_error', explanation: 'confused the derivative with the integral' };
+    const progress = buildStudentProgress({
+        classroom: classroom(),
+        student,
+        assignments: [assignment(1), assignment(2), assignment(3)],
+        submissions: [graded(1, 70, [conceptual]), graded(2, 75, [conceptual]), graded(3, 80, [{ error_type: 'minor_slip' }])],
+        excusals: []
+    });
+
+    const { by_type: byType, conceptual: clusters } = progress.recurring_errors;
+    assert.equal(byType.conceptual_error.assignments_affected, 2);
+    assert.equal(byType.conceptual_error.recurring, true);
+    assert.equal(byType.minor_slip.recurring, false);
+    assert.equal(clusters[0].assignment_count, 2);
+    assert.deepEqual(summarizeProgress(progress).recurring_error_types, ['conceptual_error']);
+});
@@ -0,0 +1,183 @@
+const { Op } = require('sequelize');
+const { sequelize, RateLimitBucket } = require('./models');
+
+const MINUTE_MS = 60 * 1000;
+const DATABASE_CLEANUP_INTERVAL_MS = 10 * MINUTE_MS;
+
+// Counters kept in process memory. Fast, but each server process counts on its own.
+const createMemoryStore = () => {
+    const buckets = new Map();
+
+    // Drop finished windows now and then so the map does not grow without bound
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if (bucket.resetAt <= now) {
+                buckets.delete(key);
+            }
+        });
+    }, MINUTE_MS);
+    cleanup.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= now) {
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count++;
+            return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+        },
+        reset: async (key) => {
+            buckets.delete(key);
+        }
+    };
+};
+
+// Counters kept in the rate_limit_buckets table, shared by every server process
+const createDatabaseStore = () => {
+    const databaseStore = {
+        name: 'database',
+        increment: async (key, windowMs) => sequelize.transaction(async (transaction) => {
+            const now = new Date();
+            const [bucket] = await RateLimitBucket.findOrCreate({
+                where: { key },
+                defaults: { count: 0, reset_at: new Date(now.getTime() + windowMs) },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (bucket.reset_at <= now) {
+                bucket.count = 0;
+                bucket.reset_at = new Date(now.getTime() + windowMs);
+            }
+            bucket.count++;
+            await bucket.save({ transaction });
+            return { count: bucket.count, resetAt: bucket.reset_at };
+        }),
+        reset: async (key) => {
+            await RateLimitBucket.destroy({ where: { key } });
+        },
+        // Rows of finished windows are never read again
+        prune: async () => RateLimitBucket.destroy({ where: { reset_at: { [Op.lte]: new Date() } } })
+    };
+
+    const cleanup = setInterval(() => {
+        databaseStore.prune().catch(error => console.error('Rate Limit Cleanup Error:', error));
+    }, DATABASE_CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+
+    return databaseStore;
+};
+
+const STORES = {
+    memory: createMemoryStore,
+    database: createDatabaseStore
+};
+
+let store = null;
+
+// RATE_LIMIT_STORE picks the store: memory (default) or database
+const getStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!STORES[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}.`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+};
+
+// Replace the store, e.g. with a fresh memory store in tests
+const setStore = (replacement) => {
+    store = replacement;
+};
+
+// Every throttled response looks the same: 429, a Retry-After header in seconds and a message
+const sendTooManyRequests = (res, seconds, message) => {
+    res.setHeader('Retry-After', String(seconds));
+    return res.status(429).json({
+        message,
+        retry_after: seconds
+    });
+};
+
+const retryAfterSeconds = (resetAt) => Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+
+// Middleware allowing `max` requests per `windowMinutes` for each key. keyGenerator returns the client key
+// (e.g. the IP address or the account email); requests without a key are not counted by this limiter.
+// If the store fails the request is let through, so an outage does not lock everyone out.
+const rateLimit = ({ name, max, windowMinutes, keyGenerator = (req) => req.ip, message }) => async (req, res, next) => {
+    const clientKey = keyGenerator(req);
+    if (!clientKey) {
+        return next();
+    }
+
+    let result;
+    try {
+        result = await getStore().increment(`${name}:${clientKey}`, windowMinutes * MINUTE_MS);
+    } catch (error) {
+        console.error('Rate Limit Store Error:', error);
+        return next();
+    }
+
+    res.setHeader('RateLimit-Limit', String(max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.setHeader('RateLimit-Reset', String(retryAfterSeconds(result.resetAt)));
+
+    if (result.count > max) {
+        return sendTooManyRequests(res, retryAfterSeconds(result.resetAt), message || 'Too many requests. Please try again later.');
+    }
+    next();
+};
+
+const envNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const LOCKOUT_THRESHOLD = envNumber('LOCKOUT_THRESHOLD', 5);
+const LOCKOUT_BASE_MINUTES = envNumber('LOCKOUT_BASE_MINUTES', 1);
+const LOCKOUT_MAX_MINUTES = envNumber('LOCKOUT_MAX_MINUTES', 24 * 60);
+
+// Seconds until a locked account can sign in again, or 0 when it is not locked
+const lockoutRemaining = (user) => (
+    user.locked_until && new Date(user.locked_until) > new Date() ? retryAfterSeconds(user.locked_until) : 0
+);
+
+// Count a failed sign in. From the threshold on, every further failure locks the account for twice as long
+// as the previous lock. Returns the lock length in seconds, or 0 when the account is not locked.
+// The count is incremented in the database, so concurrent failures are all counted.
+const recordFailedLogin = async (user) => {
+    await user.increment('failed_login_attempts');
+    await user.reload({ attributes: ['id', 'failed_login_attempts', 'locked_until'] });
+    const attempts = user.failed_login_attempts;
+    if (attempts < LOCKOUT_THRESHOLD) {
+        return 0;
+    }
+    const minutes = Math.min(LOCKOUT_MAX_MINUTES, LOCKOUT_BASE_MINUTES * 2 ** (attempts - LOCKOUT_THRESHOLD));
+    const lockedUntil = new Date(Date.now() + minutes * MINUTE_MS);
+    await user.update({ locked_until: lockedUntil });
+    return retryAfterSeconds(lockedUntil);
+};
+
+// Clear failed sign ins and any lock, after a successful sign in, a password reset or a manual unlock
+const clearFailedLogins = async (user, options = {}) => {
+    if (user.failed_login_attempts || user.locked_until) {
+        await user.update({ failed_login_attempts: 0, locked_until: null }, options);
+    }
+};
+
+module.exports = {
+    createMemoryStore,
+    createDatabaseStore,
+    setStore,
+    rateLimit,
+    sendTooManyRequests,
+    lockoutRemaining,
+    recordFailedLogin,
+    clearFailedLogins
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { RateLimitBucket } = require('./models');
+const {
+    createMemoryStore,
+    createDatabaseStore,
+    setStore,
+    rateLimit,
+    lockoutRemaining,
+    recordFailedLogin,
+    clearFailedLogins
+} = require('./rateLimiter');
+
+test.afterEach(() => test.mock.restoreAll());
+
+// A user record whose increment() and update() behave like the database would
+const fakeUser = (fields = {}) => ({
+    id: 1,
+    failed_login_attempts: 0,
+    locked_until: null,
+    ...fields,
+    async increment(field) { this[field]++; },
+    async reload() { return this; },
+    async update(changes) { Object.assign(this, changes); }
+});
+
+test('the account locks at the threshold and each further failure doubles the lock', async () => {
+    const user = fakeUser({ failed_login_attempts: 3 });
+    assert.equal(await recordFailedLogin(user), 0);
+    assert.equal(lockoutRemaining(user), 0);
+
+    assert.equal(await recordFailedLogin(user), 60);
+    assert.ok(lockoutRemaining(user) > 0);
+
+    assert.equal(await recordFailedLogin(user), 120);
+    assert.equal(user.failed_login_attempts, 6);
+});
+
+test('failures are counted with an atomic increment, not a read-modify-write', async () => {
+    const user = fakeUser({ failed_login_attempts: 0 });
+    const increment = test.mock.method(user, 'increment');
+    // Another request failed in the meantime: the reload sees its count too
+    test.mock.method(user, 'reload', async function () { this.failed_login_attempts = 5; return this; });
+
+    assert.equal(await recordFailedLogin(user), 60);
+    assert.deepEqual(increment.mock.calls[0].arguments, ['failed_login_attempts']);
+});
+
+test('clearFailedLogins unlocks the account', async () => {
+    const user = fakeUser({ failed_login_attempts: 7, locked_until: new Date(Date.now() + 60 * 1000) });
+    await clearFailedLogins(user);
+    assert.equal(user.failed_login_attempts, 0);
+    assert.equal(lockoutRemaining(user), 0);
+});
+
+// Run a limiter middleware once and report whether it let the request through
+const runLimiter = async (limiter, req) => {
+    const headers = {};
+    let status = null;
+    const res = {
+        setHeader: (name, value) => { headers[name] = value; },
+        status(code) { status = code; return this; },
+        json() { return this; }
+    };
+    let passed = false;
+    await limiter(req, res, () => { passed = true; });
+    return { passed, status, headers };
+};
+
+test('requests over the limit get a 429 with Retry-After', async (t) => {
+    setStore(createMemoryStore());
+    t.after(() => setStore(null));
+    const limiter = rateLimit({ name: 'test', max: 2, windowMinutes: 1 });
+
+    assert.equal((await runLimiter(limiter, { ip: '10.0.0.1' })).passed, true);
+    assert.equal((await runLimiter(limiter, { ip: '10.0.0.1' })).passed, true);
+    const blocked = await runLimiter(limiter, { ip: '10.0.0.1' });
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers['Retry-After']) > 0);
+
+    assert.equal((await runLimiter(limiter, { ip: '10.0.0.2' })).passed, true);
+});
+
+test('the database store deletes buckets whose window has ended', async () => {
+    const destroy = test.mock.method(RateLimitBucket, 'destroy', async () => 3);
+    assert.equal(await createDatabaseStore().prune(), 3);
+    assert.ok(destroy.mock.calls[0].arguments[0].where.reset_at[Op.lte] instanceof Date);
+});
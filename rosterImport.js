@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { sequelize, Student, StudentClassroom } = require('./models');
+const { sendInvitation } = require('./accountTokens');
+
+const MAX_ROSTER_ROWS = 1000;
+
+// Header names accepted for each roster column
+const COLUMN_ALIASES = {
+    name: ['name', 'full name', 'student name'],
+    email: ['email', 'e-mail', 'email address'],
+    student_number: ['student number', 'student_number', 'student id', 'student_id', 'id number']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Split CSV text into rows of fields. Handles quoted fields, doubled quotes and CRLF line endings.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Parse a roster CSV into { line, name, email, student_number } entries. The header row is optional;
+// without one the columns are read as name, email, student number.
+const parseRoster = (text) => {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''))
+        .map((fields, index) => ({ line: index + 1, fields: fields.map(field => field.trim()) }))
+        .filter(({ fields }) => fields.some(field => field !== ''));
+    if (rows.length === 0) {
+        return { error: 'The roster is empty.' };
+    }
+
+    const header = rows[0].fields.map(field => field.toLowerCase());
+    const columnIndex = {};
+    Object.keys(COLUMN_ALIASES).forEach(column => {
+        columnIndex[column] = header.findIndex(field => COLUMN_ALIASES[column].includes(field));
+    });
+
+    let dataRows = rows;
+    if (columnIndex.name !== -1 || columnIndex.email !== -1) {
+        if (columnIndex.name === -1 || columnIndex.email === -1) {
+            return { error: 'The roster header must include both a name and an email column.' };
+        }
+        dataRows = rows.slice(1);
+    } else {
+        columnIndex.name = 0;
+        columnIndex.email = 1;
+        columnIndex.student_number = 2;
+    }
+
+    if (dataRows.length === 0) {
+        return { error: 'The roster has no student rows.' };
+    }
+    if (dataRows.length > MAX_ROSTER_ROWS) {
+        return { error: `A roster can have at most ${MAX_ROSTER_ROWS} rows.` };
+    }
+
+    return {
+        entries: dataRows.map(({ line, fields }) => ({
+            line,
+            name: fields[columnIndex.name] || '',
+            email: (fields[columnIndex.email] || '').toLowerCase(),
+            student_number: columnIndex.student_number === -1 ? '' : fields[columnIndex.student_number] || ''
+        }))
+    };
+};
+
+// Placeholder password for a new account until the student accepts the invitation and picks their own
+const generateUnusablePassword = () => crypto.randomBytes(24).toString('base64').replace(/[+/]/g, 'x');
+
+const validateEntry = (entry) => {
+    if (!entry.email) {
+        return 'Email is required.';
+    }
+    if (!EMAIL_PATTERN.test(entry.email)) {
+        return 'Email is not valid.';
+    }
+    if (entry.name.length < 2 || entry.name.length > 100) {
+        return 'Name must be between 2 and 100 characters.';
+    }
+    if (entry.student_number.length > 50) {
+        return 'Student number must be at most 50 characters.';
+    }
+    return null;
+};
+
+// Create or find the entry's student and enroll them, inside one transaction per row. Existing accounts
+// are enrolled as they are: the roster never changes an account it did not create.
+const importEntry = async (classroomId, entry) => sequelize.transaction(async (transaction) => {
+    let student = await Student.findOne({ where: { email: entry.email }, transaction });
+    let invite = null;
+    if (!student) {
+        if (entry.student_number && await Student.findOne({ where: { student_number: entry.student_number }, transaction })) {
+            return { status: 'invalid', reason: 'The student number is already in use.' };
+        }
+        student = await Student.create({
+            name: entry.name,
+            email: entry.email,
+            password: generateUnusablePassword(),
+            student_number: entry.student_number || null,
+            must_change_password: true
+        }, { transaction });
+        invite = student;
+    }
+
+    const enrolled = await StudentClassroom.findOne({
+        where: { student_id: student.id, classroom_id: classroomId },
+        transaction
+    });
+    if (enrolled) {
+        return { status: 'duplicate', student_id: student.id, reason: 'The student is already enrolled in this classroom.' };
+    }
+    await StudentClassroom.create({ student_id: student.id, classroom_id: classroomId }, { transaction });
+
+    return { status: invite ? 'created' : 'enrolled', student_id: student.id, invite };
+});
+
+// Import parsed roster entries into a classroom and report what happened to each row: created (new account,
+// enrolled), enrolled (existing account), duplicate, or invalid. New accounts are emailed an invitation to
+// choose their password.
+const importRoster = async (classroom, entries) => {
+    const seenEmails = new Set();
+    const results = [];
+    const invitations = [];
+
+    for (const entry of entries) {
+        const base = { line: entry.line, name: entry.name, email: entry.email, student_number: entry.student_number || null };
+        const problem = validateEntry(entry);
+        if (problem) {
+            results.push({ ...base, status: 'invalid', reason: problem });
+            continue;
+        }
+        if (seenEmails.has(entry.email)) {
+            results.push({ ...base, status: 'duplicate', reason: 'This email appears earlier in the roster.' });
+            continue;
+        }
+        seenEmails.add(entry.email);
+
+        try {
+            const { invite, ...result } = await importEntry(classroom.id, entry);
+            if (invite) {
+                invitations.push(invite);
+            }
+            results.push({ ...base, ...result });
+        } catch (error) {
+            if (error.name === 'SequelizeValidationError') {
+                results.push({ ...base, status: 'invalid', reason: error.errors.map(err => err.message).join(' ') });
+            } else if (error.name === 'SequelizeUniqueConstraintError') {
+                // Another request created the same account or enrollment in the meantime
+                results.push({ ...base, status: 'duplicate', reason: 'The student was created or enrolled by another request.' });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    // Sent once every row is committed. A failed email is only logged: the student can still choose a
+    // password through the forgot password link.
+    for (const student of invitations) {
+        try {
+            await sendInvitation('student', student, { classroomName: classroom.class_name });
+        } catch (error) {
+            console.error(`Roster Invitation Error (student ${student.id}):`, error);
+        }
+    }
+
+    const summary = { total: results.length, created: 0, enrolled: 0, duplicate: 0, invalid: 0 };
+    results.forEach(result => { summary[result.status]++; });
+    return { summary, rows: results };
+};
+
+module.exports = {
+    MAX_ROSTER_ROWS,
+    parseRoster,
+    importRoster
+};
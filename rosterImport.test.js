@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, Student, StudentClassroom, UserToken } = require('./models');
+const { setTransport } = require('./mailer');
+const { parseRoster, importRoster, MAX_ROSTER_ROWS } = require('./rosterImport');
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('a roster with a header is read by column name', () => {
+    const { entries } = parseRoster('\uFEFFStudent ID,Email,Full Name\r\n123,Dana@Example.com,"Levi, Dana"\r\n');
+    assert.deepEqual(entries, [{ line: 2, name: 'Levi, Dana', email: 'dana@example.com', student_number: '123' }]);
+});
+
+test('without a header the columns are name, email and student number', () => {
+    const { entries } = parseRoster('Dana Levi,dana@example.com\n\nNoa Cohen,noa@example.com,77\n');
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].student_number, '');
+    assert.deepEqual(entries[1], { line: 3, name: 'Noa Cohen', email: 'noa@example.com', student_number: '77' });
+});
+
+test('quoted fields keep doubled quotes and line breaks', () => {
+    const { entries } = parseRoster('name,email\n"Dana ""D""\nLevi",dana@example.com\n');
+    assert.equal(entries[0].name, 'Dana "D"\nLevi');
+});
+
+test('rosters that cannot be imported are rejected', () => {
+    assert.match(parseRoster(' \n').error, /empty/);
+    assert.match(parseRoster('name,student id\nDana,1\n').error, /name and an email/);
+    assert.match(parseRoster('name,email\n').error, /no student rows/);
+    assert.match(parseRoster('a,b@example.com\n'.repeat(MAX_ROSTER_ROWS + 1)).error, /at most/);
+});
+
+// Run importRoster against in-memory students; returns the report and the emails sent
+const runImport = async (entries, { existing = [], enrolled = [] } = {}) => {
+    const students = [...existing];
+    const sent = [];
+    setTransport({ send: async (message) => { sent.push(message); } });
+    test.mock.method(sequelize, 'transaction', async (work) => work(null));
+    test.mock.method(Student, 'findOne', async ({ where }) => students.find(student =>
+        Object.keys(where).every(key => student[key] === where[key])) || null);
+    test.mock.method(Student, 'create', async (fields) => {
+        const student = { id: 100 + students.length, update: async () => assert.fail('created accounts are not updated'), ...fields };
+        students.push(student);
+        return student;
+    });
+    test.mock.method(StudentClassroom, 'findOne', async ({ where }) => (enrolled.includes(where.student_id) ? {} : null));
+    test.mock.method(StudentClassroom, 'create', async () => ({}));
+    test.mock.method(UserToken, 'update', async () => [0]);
+    test.mock.method(UserToken, 'create', async () => ({}));
+
+    const report = await importRoster({ id: 1, class_name: 'Calculus' }, entries);
+    setTransport(null);
+    return { report, sent, students };
+};
+
+const entry = (line, name, email, studentNumber = '') => ({ line, name, email, student_number: studentNumber });
+
+test('new students are reported as created and invited, existing ones as enrolled', async () => {
+    const existingStudent = {
+        id: 1,
+        name: 'Dana Levi',
+        email: 'dana@example.com',
+        student_number: '111',
+        update: async () => assert.fail('existing accounts are not changed')
+    };
+    const { report, sent, students } = await runImport([
+        entry(1, 'Dana Levi', 'dana@example.com', '999'),
+        entry(2, 'Noa Cohen', 'noa@example.com', '222')
+    ], { existing: [existingStudent] });
+
+    assert.deepEqual(report.summary, { total: 2, created: 1, enrolled: 1, duplicate: 0, invalid: 0 });
+    assert.deepEqual(report.rows.map(row => row.status), ['enrolled', 'created']);
+    assert.deepEqual(report.rows.map(row => Object.keys(row).sort()), [
+        ['email', 'line', 'name', 'status', 'student_id', 'student_number'],
+        ['email', 'line', 'name', 'status', 'student_id', 'student_number']
+    ]);
+    assert.equal(existingStudent.student_number, '111');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'noa@example.com');
+    assert.match(sent[0].text, /accept-invitation\?token=/);
+    assert.equal(students[1].must_change_password, true);
+});
+
+test('duplicates and taken student numbers are reported per row', async () => {
+    const { report, sent } = await runImport([
+        entry(1, 'Dana Levi', 'dana@example.com'),
+        entry(2, 'Dana Again', 'dana@example.com'),
+        entry(3, 'Noa Cohen', 'noa@example.com', '111'),
+        entry(4, 'X', 'not-an-email')
+    ], { existing: [{ id: 1, email: 'dana@example.com', student_number: '111' }], enrolled: [1] });
+
+    assert.deepEqual(report.rows.map(row => row.status), ['duplicate', 'duplicate', 'invalid', 'invalid']);
+    assert.match(report.rows[2].reason, /already in use/);
+    assert.equal(sent.length, 0);
+});
+
+test('a failed invitation email does not fail the import', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    test.mock.method(sequelize, 'transaction', async (work) => work(null));
+    test.mock.method(Student, 'findOne', async () => null);
+    test.mock.method(Student, 'create', async (fields) => ({ id: 5, ...fields }));
+    test.mock.method(StudentClassroom, 'findOne', async () => null);
+    test.mock.method(StudentClassroom, 'create', async () => ({}));
+    test.mock.method(UserToken, 'update', async () => [0]);
+    test.mock.method(UserToken, 'create', async () => ({}));
+    setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+    const report = await importRoster({ id: 1, class_name: 'Calculus' }, [entry(1, 'Noa Cohen', 'noa@example.com')]);
+    setTransport(null);
+    assert.equal(report.summary.created, 1);
+});
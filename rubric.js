@@ -0,0 +1,130 @@
+const ERROR_TYPES = ['minor_slip', 'procedural_error', 'conceptual_error'];
+
+const ERROR_TYPE_DESCRIPTIONS = {
+    minor_slip: 'For arithmetic mistakes, copy errors, or sign errors.',
+    procedural_error: 'For incorrect application of a known procedure (e.g., errors in distributing terms, incorrect order of operations).',
+    conceptual_error: 'For fundamental misunderstandings of a mathematical concept (e.g., using the wrong formula, incorrect logic). These are the most severe.'
+};
+
+const DEFAULT_DEDUCTION_RANGES = {
+    minor_slip: { min: 1, max: 3 },
+    procedural_error: { min: 4, max: 7 },
+    conceptual_error: { min: 8, max: 15 }
+};
+
+const MAX_RUBRIC_PROBLEMS = 50;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Validate a lecturer-supplied rubric and return it in normalized form, or the list of problems found
+const validateRubric = (rubric) => {
+    const errors = [];
+
+    if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+        return { rubric: null, errors: ['Rubric must be an object.'] };
+    }
+    if (!Array.isArray(rubric.problems) || rubric.problems.length === 0) {
+        return { rubric: null, errors: ['Rubric must include a non-empty problems array.'] };
+    }
+    if (rubric.problems.length > MAX_RUBRIC_PROBLEMS) {
+        return { rubric: null, errors: [`Rubric cannot have more than ${MAX_RUBRIC_PROBLEMS} problems.`] };
+    }
+
+    const problems = rubric.problems.map((problem, index) => {
+        const label = `problems[${index}]`;
+        if (!problem || typeof problem !== 'object') {
+            errors.push(`${label} must be an object.`);
+            return null;
+        }
+        if (!isNonEmptyString(problem.description)) {
+            errors.push(`${label}.description is required.`);
+        }
+        if (typeof problem.max_points !== 'number' || !(problem.max_points > 0)) {
+            errors.push(`${label}.max_points must be a positive number.`);
+        }
+        if (problem.expected_answer !== undefined && problem.expected_answer !== null && typeof problem.expected_answer !== 'string') {
+            errors.push(`${label}.expected_answer must be a string.`);
+        }
+        if (problem.allowed_methods !== undefined && (!Array.isArray(problem.allowed_methods) || !problem.allowed_methods.every(isNonEmptyString))) {
+            errors.push(`${label}.allowed_methods must be an array of strings.`);
+        }
+
+        return {
+            number: problem.number !== undefined ? String(problem.number) : String(index + 1),
+            description: problem.description,
+            max_points: problem.max_points,
+            expected_answer: problem.expected_answer || null,
+            allowed_methods: problem.allowed_methods || []
+        };
+    });
+
+    const deductionRanges = {};
+    const suppliedRanges = rubric.deduction_ranges || {};
+    Object.keys(suppliedRanges).forEach(errorType => {
+        if (!ERROR_TYPES.includes(errorType)) {
+            errors.push(`deduction_ranges.${errorType} is not a known error type. Use one of: ${ERROR_TYPES.join(', ')}.`);
+        }
+    });
+    ERROR_TYPES.forEach(errorType => {
+        const range = suppliedRanges[errorType];
+        if (range === undefined) {
+            deductionRanges[errorType] = { ...DEFAULT_DEDUCTION_RANGES[errorType] };
+            return;
+        }
+        if (!range || !Number.isInteger(range.min) || !Number.isInteger(range.max) || range.min < 0 || range.min > range.max) {
+            errors.push(`deduction_ranges.${errorType} must have integer min and max with 0 <= min <= max.`);
+            return;
+        }
+        deductionRanges[errorType] = { min: range.min, max: range.max };
+    });
+
+    if (errors.length > 0) {
+        return { rubric: null, errors };
+    }
+
+    return {
+        rubric: { problems, deduction_ranges: deductionRanges },
+        errors
+    };
+};
+
+const getDeductionRanges = (rubric) => (rubric && rubric.deduction_ranges) || DEFAULT_DEDUCTION_RANGES;
+
+// Prompt section describing the problems the grader must report on, in order
+const buildRubricPromptSection = (rubric, answerKey) => {
+    const lines = [
+        `Assignment Rubric (the "problem_breakdown" array MUST contain exactly ${rubric.problems.length} entries, one per problem below and in this order; "max_score" MUST equal the listed max points):`
+    ];
+    rubric.problems.forEach(problem => {
+        lines.push(`- Problem ${problem.number}: ${problem.description} (max points: ${problem.max_points})`);
+        if (problem.expected_answer) {
+            lines.push(`  Expected final answer: ${problem.expected_answer}`);
+        }
+        if (problem.allowed_methods.length > 0) {
+            lines.push(`  Allowed methods: ${problem.allowed_methods.join('; ')}. A correct solution using any of these methods earns full credit.`);
+        }
+    });
+
+    if (answerKey) {
+        lines.push('', 'Answer Key provided by the lecturer (use it as the reference solution):', answerKey);
+    }
+
+    return lines.join('\n');
+};
+
+const buildDeductionGuidelines = (rubric) => {
+    const ranges = getDeductionRanges(rubric);
+    return ERROR_TYPES.map(errorType => {
+        const { min, max } = ranges[errorType];
+        return `- "${errorType}": ${ERROR_TYPE_DESCRIPTIONS[errorType]} Deduction: ${min}-${max} points.`;
+    }).join('\n');
+};
+
+module.exports = {
+    ERROR_TYPES,
+    DEFAULT_DEDUCTION_RANGES,
+    validateRubric,
+    getDeductionRanges,
+    buildRubricPromptSection,
+    buildDeductionGuidelines
+};
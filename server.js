@@ -1,89 +1,208 @@
 require('dotenv').config();
 const express = require('express');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
-const { gradeHomework } = require('./geminiService');
-const { convertPdfToImage } = require('./pdfConverter');
-const { Lecturer, Classroom, Assignment, Student, AssignmentSubmission } = require('./models');
+const { Op } = require('sequelize');
+const { gradeHomeworkWithMetadata } = require('./geminiService');
+const { PDF_LIMITS, convertPdfToImage, convertPdfToPages, pageCanvasesToPdf } = require('./pdfConverter');
+const { normalizeImages } = require('./imageNormalizer');
+const { enqueueGradingJob, startGradingWorkers, formatGradingJob } = require('./gradingQueue');
+const { resetEvaluationForAttempt, loadSubmissionPages } = require('./gradingService');
+const { getStorage } = require('./storage');
+const { contentTypeOf, saveSubmissionFile, readSubmissionFile, deleteSubmissionFile, moveLegacySubmissionFiles } = require('./submissionFiles');
+const { renderAnnotatedPages } = require('./annotationRenderer');
+const { validateRubric } = require('./rubric');
+const { validateEvaluation, validateEvaluationEdit } = require('./gradingValidator');
+const { COUNTING_POLICIES, recordAttempt, getCurrentVersion, recordVersionGrade, recordVersionReturn, getReturnedVersion, submissionStatus, newAttemptUpdates, getFinalMark, getCountedMark, diffVersions } = require('./submissionVersions');
+const { parseLatePolicySettings, assessLateness } = require('./latePolicy');
+const { ASSIGNMENT_CATEGORIES, DEFAULT_GRADING_SCHEME, validateGradingScheme, buildGradebook } = require('./gradebook');
+const { EXPORT_FORMATS, buildGradebookTable, buildSubmissionTable, renderExport } = require('./gradeExport');
+const { parseRoster, importRoster } = require('./rosterImport');
+const { buildAssignmentAnalytics, buildClassroomAnalytics } = require('./analytics');
+const { DEFAULT_AT_RISK_THRESHOLD, buildStudentProgress, summarizeProgress } = require('./progress');
+const { USER_MODELS, assertJwtSecretConfigured, verifyAccessToken, isSessionActive, createSession, rotateSession, endSession, endAllSessions, scheduleRefreshTokenPruning, signFileAccess, verifyFileAccess } = require('./authService');
+const { requestPasswordReset, resetPassword, sendEmailVerification, requestEmailVerification, verifyEmail, acceptInvitation } = require('./accountTokens');
+const { assertMailerConfigured } = require('./mailer');
+const { rateLimit, sendTooManyRequests, lockoutRemaining, recordFailedLogin, clearFailedLogins } = require('./rateLimiter');
+const { monthRange, getQuotaStatus, quotaExceededMessage, buildUsageReport } = require('./aiUsage');
+const { MAX_UPLOAD_BYTES, UPLOAD_ERROR_STATUS, uploadError, isUploadError, fromMulterError, inspectUpload } = require('./uploadValidator');
+const { Lecturer, Classroom, Assignment, Student, AssignmentSubmission, AIEvaluation, GradingJob, SubmissionVersion, DeadlineExtension, AssignmentExcusal } = require('./models');
+const { findLecturerAssignment, requireWritableClassroom, requireWritableAssignment } = require('./classroomAccess');
+const DatabaseHelpers = require('./utils/databaseHelpers');
 const { initializeDatabase } = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const DB_PATH = path.join(__dirname, 'db.json');
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see the client's address instead of the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    let trustProxy = TRUST_PROXY;
+    if (/^\d+$/.test(TRUST_PROXY)) {
+        trustProxy = Number(TRUST_PROXY);
+    } else if (TRUST_PROXY === 'true') {
+        trustProxy = true;
+    }
+    app.set('trust proxy', trustProxy);
+}
 
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increase limit for base64 images
 
-// Serve static files from public directory
-app.use('/public', express.static(path.join(__dirname, 'public')));
-
 // Multer setup for file uploads in memory
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const upload = multer({ storage: storage, limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+// Roster CSVs are small; anything larger is not a class list
+const MAX_ROSTER_BYTES = 1024 * 1024;
+const uploadRoster = multer({ storage: storage, limits: { fileSize: MAX_ROSTER_BYTES } });
 
-// Multer setup for PDF file uploads to disk
+// Submissions may be a PDF or one or more photos of the homework
+const SUBMISSION_FILE_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+const PDF_UPLOAD_TYPES = ['application/pdf'];
+const IMAGE_UPLOAD_TYPES = ['image/jpeg', 'image/png'];
+const MAX_SUBMISSION_IMAGES = parseInt(process.env.SUBMISSION_MAX_IMAGES, 10) || 20;
+// Photo submissions are combined into one stored PDF unless disabled here or per request (assemble_pdf=false)
+const ASSEMBLE_PHOTO_SUBMISSIONS = process.env.ASSEMBLE_PHOTO_SUBMISSIONS !== 'false';
+
+// Uploads are staged in a temporary directory and moved to the storage backend (STORAGE_DRIVER) once accepted
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'ai-math-grader-uploads');
+
+// Multer setup for staging submission file uploads on disk
 const pdfStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadsDir = path.join(__dirname, 'public', 'submissions');
-        // Ensure directory exists
-        if (!fs.existsSync(uploadsDir)) {
-            fs.mkdirSync(uploadsDir, { recursive: true });
-        }
-        cb(null, uploadsDir);
+        fs.mkdir(UPLOAD_TMP_DIR, { recursive: true }, (error) => cb(error, UPLOAD_TMP_DIR));
     },
     filename: (req, file, cb) => {
         // Generate unique filename with timestamp and UUID
-        const uniqueName = `${Date.now()}-${uuidv4()}.pdf`;
+        const uniqueName = `${Date.now()}-${uuidv4()}${SUBMISSION_FILE_TYPES[file.mimetype]}`;
         cb(null, uniqueName);
     }
 });
 
-const uploadPdf = multer({
+const uploadSubmission = multer({
     storage: pdfStorage,
     limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
+        fileSize: MAX_UPLOAD_BYTES, // UPLOAD_MAX_FILE_MB per file
+        files: MAX_SUBMISSION_IMAGES + 1
     },
     fileFilter: (req, file, cb) => {
-        // Accept only PDF files
-        if (file.mimetype === 'application/pdf') {
+        // Accept PDF files and JPEG/PNG photos
+        if (SUBMISSION_FILE_TYPES[file.mimetype]) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF files are allowed!'), false);
+            cb(uploadError('UNSUPPORTED_FILE_TYPE', 'Only PDF, JPEG and PNG files are allowed.'), false);
         }
     }
 });
 
-// Helper functions for DB operations
-const readDB = () => {
-    try {
-        if (!fs.existsSync(DB_PATH)) {
-            // If db.json doesn't exist, create it with an empty structure
-            fs.writeFileSync(DB_PATH, JSON.stringify({ classrooms: [] }, null, 2));
+// Upload problems are reported with their status and code, so clients can tell them apart
+const sendUploadError = (res, error) => res.status(UPLOAD_ERROR_STATUS[error.code]).json({
+    message: error.message,
+    code: error.code
+});
+
+// Run a multer middleware and answer its upload errors (size and count limits, rejected types) directly.
+// Errors raised by multer never reach the route's own error handling. Pass maxBytes for a multer
+// instance with a smaller size limit than MAX_UPLOAD_BYTES.
+const acceptUpload = (middleware, { maxBytes } = {}) => (req, res, next) => {
+    middleware(req, res, (error) => {
+        if (!error) {
+            return next();
         }
-        const data = fs.readFileSync(DB_PATH, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading database:', error);
-        // Return a default structure if reading fails
-        return { classrooms: [] };
+        const uploadFailure = error instanceof multer.MulterError ? fromMulterError(error, { maxBytes }) : error;
+        if (isUploadError(uploadFailure)) {
+            return sendUploadError(res, uploadFailure);
+        }
+        next(error);
+    });
+};
+
+// Read a staged upload and check it by its content; PDFs come back sanitized
+const readStagedUpload = async (file, expectedTypes) => {
+    const contents = await fs.promises.readFile(file.path);
+    return inspectUpload(contents, { expectedTypes, declaredType: file.mimetype });
+};
+
+// Turn uploaded photos into upright, normalized pages and store them as one PDF or as page images
+const storePhotoSubmission = async (imageFiles, assemble) => {
+    // Every photo is checked before any of them is decoded
+    const buffers = [];
+    for (const file of imageFiles) {
+        buffers.push((await readStagedUpload(file, IMAGE_UPLOAD_TYPES)).buffer);
+    }
+    const pageCanvases = await normalizeImages(buffers);
+
+    let storedFile;
+    if (assemble) {
+        const pdfName = `${Date.now()}-${uuidv4()}.pdf`;
+        storedFile = {
+            assignment_file: await saveSubmissionFile(pdfName, pageCanvasesToPdf(pageCanvases)),
+            file_name: `${path.parse(imageFiles[0].originalname).name}.pdf`,
+            file_type: 'pdf',
+            page_files: null
+        };
+    } else {
+        // Keep the normalized JPEGs so pages no longer depend on EXIF orientation
+        const pageFiles = [];
+        for (const canvas of pageCanvases) {
+            const pageName = `${Date.now()}-${uuidv4()}.jpg`;
+            pageFiles.push(await saveSubmissionFile(pageName, canvas.toBuffer('image/jpeg', { quality: 0.9 })));
+        }
+        storedFile = {
+            assignment_file: pageFiles[0],
+            file_name: imageFiles[0].originalname,
+            file_type: 'images',
+            page_files: pageFiles
+        };
     }
+    return storedFile;
 };
 
-const writeDB = (data) => {
-    try {
-        fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
-    } catch (error) {
-        console.error('Error writing to database:', error);
+// Delete the staged uploads of a request
+const removeUploadedFiles = async (files) => {
+    const uploaded = Object.values(files || {}).flat();
+    await Promise.all(uploaded.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Staged uploads are only needed while the request is handled, whether it succeeds or not
+const removeUploadsAfterResponse = (req, res, next) => {
+    res.on('close', () => {
+        removeUploadedFiles(req.files);
+    });
+    next();
+};
+
+// Authorized download URL of a stored submission file (page N of a photo submission, attempt N for an earlier attempt)
+const submissionFileUrl = (submissionId, { page = null, attempt = null } = {}) => {
+    const query = new URLSearchParams();
+    if (page) {
+        query.set('page', page);
     }
+    if (attempt) {
+        query.set('attempt', attempt);
+    }
+    const search = query.toString();
+    return `/api/submissions/${submissionId}/file${search ? `?${search}` : ''}`;
 };
 
+const submissionPageUrls = (submissionId, pageFiles, { attempt = null } = {}) => Array.isArray(pageFiles)
+    ? pageFiles.map((_, index) => submissionFileUrl(submissionId, { page: index + 1, attempt }))
+    : null;
+
+// The one route an account that must change its password can still use
+const PASSWORD_CHANGE_PATH = '/api/students/password';
+
 // JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -91,13 +210,30 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Access token required.' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-        if (err) {
-            return res.status(403).json({ message: 'Invalid or expired token.' });
+    try {
+        req.user = verifyAccessToken(token);
+    } catch (error) {
+        // Access tokens are short-lived; clients refresh them with POST /api/auth/refresh on a 401
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Access token expired.' });
         }
-        req.user = user;
-        next();
-    });
+        return res.status(403).json({ message: 'Invalid or expired token.' });
+    }
+    try {
+        if (!(await isSessionActive(req.user))) {
+            return res.status(401).json({ message: 'This session has ended. Please sign in again.' });
+        }
+    } catch (error) {
+        console.error('Session Check Error:', error);
+        return res.status(500).json({ message: 'An error occurred while checking the session.' });
+    }
+    // An account still on a temporary password may only change it; the new session drops the flag
+    if (req.user.must_change_password && !(req.method === 'PUT' && req.path === PASSWORD_CHANGE_PATH)) {
+        return res.status(403).json({ 
+            message: 'You must change your temporary password with PUT /api/students/password before continuing.' 
+        });
+    }
+    next();
 };
 
 // Middleware to verify lecturer role
@@ -116,17 +252,310 @@ const requireStudent = (req, res, next) => {
     next();
 };
 
+// Throttling for sign in, password reset emails and the unauthenticated AI endpoints
+const LOGIN_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+const accountKey = (req) => (typeof req.body.email === 'string' && req.body.email ? `${req.path}:${req.body.email.toLowerCase()}` : null);
+
+const signinIpLimit = rateLimit({
+    name: 'signin-ip',
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+    windowMinutes: LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+    message: 'Too many sign in attempts from this address. Please try again later.'
+});
+const signinAccountLimit = rateLimit({
+    name: 'signin-account',
+    max: parseInt(process.env.LOGIN_ACCOUNT_RATE_LIMIT_MAX, 10) || 10,
+    windowMinutes: LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+    keyGenerator: accountKey,
+    message: 'Too many sign in attempts for this account. Please try again later.'
+});
+const passwordResetIpLimit = rateLimit({
+    name: 'password-reset-ip',
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+    windowMinutes: LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+    message: 'Too many password reset requests from this address. Please try again later.'
+});
+const passwordResetAccountLimit = rateLimit({
+    name: 'password-reset-account',
+    max: 3,
+    windowMinutes: 60,
+    keyGenerator: accountKey,
+    message: 'Too many password reset requests for this account. Please try again later.'
+});
+const verificationEmailIpLimit = rateLimit({
+    name: 'verification-email-ip',
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+    windowMinutes: LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+    message: 'Too many verification email requests from this address. Please try again later.'
+});
+const verificationEmailAccountLimit = rateLimit({
+    name: 'verification-email-account',
+    max: 3,
+    windowMinutes: 60,
+    keyGenerator: accountKey,
+    message: 'Too many verification email requests for this account. Please try again later.'
+});
+const aiIpLimit = rateLimit({
+    name: 'ai-ip',
+    max: parseInt(process.env.AI_RATE_LIMIT_MAX, 10) || 10,
+    windowMinutes: parseInt(process.env.AI_RATE_LIMIT_WINDOW_MINUTES, 10) || 60,
+    message: 'Too many AI grading requests from this address. Please try again later.'
+});
+
+// Monthly AI quota of the lecturer who owns a classroom; new grading jobs are refused once it is used up
+const loadQuotaStatus = async (lecturerId) => getQuotaStatus(await Lecturer.findByPk(lecturerId));
+
+const sendQuotaExceeded = (res, quota) => sendTooManyRequests(
+    res,
+    Math.max(1, Math.ceil((quota.resets_at.getTime() - Date.now()) / 1000)),
+    quotaExceededMessage(quota)
+);
+
+// A locked account answers like a wrong password, so sign in does not reveal which emails have accounts
+const SIGNIN_FAILED_MESSAGE = 'Invalid email or password.';
+
+// Unverified accounts can sign in unless REQUIRE_EMAIL_VERIFICATION=true
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Send the signup verification email; a mail failure does not undo the signup
+const trySendEmailVerification = async (type, user) => {
+    try {
+        await sendEmailVerification(type, user);
+        return true;
+    } catch (error) {
+        console.error('Send Verification Email Error:', error);
+        return false;
+    }
+};
+
+// Languages shown in annotated feedback: ?lang=en, ?lang=he, or both by default
+const parseFeedbackLanguages = (lang) => {
+    if (lang === 'en' || lang === 'he') {
+        return [lang];
+    }
+    return ['en', 'he'];
+};
+
+// Render a submission's annotated feedback and send it as a PDF, or as a PNG of one page (?format=png&page=N).
+// files is the attempt whose pages are annotated, the submission's current one unless given.
+const sendAnnotatedSubmission = async (req, res, submission, evaluation, { files = submission } = {}) => {
+    const format = req.query.format || 'pdf';
+    if (format !== 'pdf' && format !== 'png') {
+        return res.status(400).json({ message: 'format must be either "pdf" or "png".' });
+    }
+
+    const pages = renderAnnotatedPages(await loadSubmissionPages(files), evaluation, {
+        languages: parseFeedbackLanguages(req.query.lang)
+    });
+
+    if (format === 'png') {
+        const pageNumber = parseInt(req.query.page, 10) || 1;
+        if (pageNumber < 1 || pageNumber > pages.length) {
+            return res.status(400).json({ message: `page must be between 1 and ${pages.length}.` });
+        }
+        res.set('Content-Type', 'image/png');
+        res.set('Content-Disposition', `attachment; filename="annotated-${submission.id}-page-${pageNumber}.png"`);
+        return res.send(pages[pageNumber - 1].toBuffer('image/png'));
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="annotated-${submission.id}.pdf"`);
+    return res.send(pageCanvasesToPdf(pages));
+};
+
+// Archived classrooms are left out of listings unless ?archived=include (or ?archived=only for just those)
+const archivedFilter = (archived) => {
+    if (archived === 'include') {
+        return {};
+    }
+    if (archived === 'only') {
+        return { archived_at: { [Op.ne]: null } };
+    }
+    return { archived_at: null };
+};
+
+const formatClassroom = (classroom) => ({
+    id: classroom.id,
+    class_name: classroom.class_name,
+    class_details: classroom.class_details,
+    classroom_code: classroom.classroom_code,
+    created_by: classroom.created_by,
+    archived_at: classroom.archived_at,
+    deleted_at: classroom.deleted_at,
+    created_at: classroom.created_at,
+    updated_at: classroom.updated_at
+});
+
+const formatAssignment = (assignment) => ({
+    id: assignment.id,
+    assignment_title: assignment.assignment_title,
+    assignment_details: assignment.assignment_details,
+    due_date: assignment.due_date,
+    category: assignment.category,
+    topic: assignment.topic,
+    max_attempts: assignment.max_attempts,
+    counting_policy: assignment.counting_policy,
+    late_policy: assignment.late_policy,
+    grace_period_minutes: assignment.grace_period_minutes,
+    late_penalty_percent: assignment.late_penalty_percent,
+    max_late_days: assignment.max_late_days,
+    created_by: assignment.created_by,
+    classroom_id: assignment.classroom_id,
+    deleted_at: assignment.deleted_at,
+    created_at: assignment.created_at,
+    updated_at: assignment.updated_at
+});
+
+// Validate max_attempts / counting_policy from a request body; only the fields present are returned
+const parseResubmissionSettings = (body) => {
+    const settings = {};
+    if (body.max_attempts !== undefined) {
+        const maxAttempts = body.max_attempts === null || body.max_attempts === '' ? null : Number(body.max_attempts);
+        if (maxAttempts !== null && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+            return { error: 'max_attempts must be a positive integer, or null for unlimited attempts.' };
+        }
+        settings.max_attempts = maxAttempts;
+    }
+    if (body.counting_policy !== undefined) {
+        if (!COUNTING_POLICIES.includes(body.counting_policy)) {
+            return { error: `counting_policy must be one of: ${COUNTING_POLICIES.join(', ')}.` };
+        }
+        settings.counting_policy = body.counting_policy;
+    }
+    return { settings };
+};
+
+// Re-apply the late policy to a student's submission after their deadline changed, attempt by attempt,
+// and re-count the mark when attempts were already graded
+const reassessSubmissionLateness = async (assignment, studentId, extension) => {
+    const submission = await AssignmentSubmission.findOne({
+        where: {
+            student_id: studentId,
+            assignment_id: assignment.id
+        }
+    });
+    if (!submission || !submission.submitted_at) {
+        return null;
+    }
+
+    const versions = await SubmissionVersion.findAll({ where: { submission_id: submission.id } });
+    for (const version of versions) {
+        const lateness = assessLateness(assignment, version.submitted_at, extension);
+        await version.update({
+            is_late: lateness.is_late,
+            late_days: lateness.late_days,
+            late_penalty: lateness.late_penalty
+        });
+    }
+
+    const lateness = assessLateness(assignment, submission.submitted_at, extension);
+    const updates = {
+        is_late: lateness.is_late,
+        late_days: lateness.late_days,
+        late_penalty: lateness.late_penalty
+    };
+    if (versions.some(version => version.mark !== null)) {
+        Object.assign(updates, await getCountedMark(submission, assignment.counting_policy));
+    }
+    // Graded and returned submissions keep their status while they have a counted mark
+    updates.status = submissionStatus(submission, {
+        mark: updates.mark !== undefined ? updates.mark : submission.mark,
+        isLate: lateness.is_late
+    });
+
+    // A changed deadline is not a new grade, so skip the hook that marks the submission graded now
+    await submission.update(updates, { hooks: false });
+    return submission;
+};
+
+// A submission as its student sees it: the grade and feedback once graded, the AI breakdown once returned
+const formatStudentSubmission = (submission) => {
+    const isGraded = submission.status === 'graded' || submission.status === 'returned';
+    const isReturned = submission.status === 'returned';
+    const evaluation = submission.ai_evaluation;
+
+    return {
+        id: submission.id,
+        assignment_id: submission.assignment_id,
+        file_name: submission.file_name,
+        file_type: submission.file_type,
+        submitted_at: submission.submitted_at,
+        status: submission.status,
+        is_late: submission.is_late,
+        late_days: submission.late_days,
+        late_penalty: submission.late_penalty,
+        mark: isGraded ? submission.mark : null,
+        feedback: isGraded ? submission.feedback : null,
+        graded_at: isGraded ? submission.graded_at : null,
+        has_annotated_feedback: isReturned && !!submission.annotated_file,
+        ai_evaluation: isReturned && evaluation && evaluation.status === 'completed' ? {
+            overall_score: evaluation.overall_score,
+            problem_breakdown: evaluation.problem_breakdown
+        } : null,
+        assignment: submission.assignment
+    };
+};
+
+// Lowest resolution the conversion test route renders at
+const MIN_TEST_DPI = 36;
+
+// dpi, quality and max_pages for the conversion test route. Each may only lower the configured
+// defaults (PDF_RENDER_DPI, PDF_JPEG_QUALITY, PDF_MAX_PAGES), never raise them.
+const parseConversionOptions = (query) => {
+    const options = {};
+    if (query.dpi !== undefined) {
+        const dpi = Number(query.dpi);
+        if (!Number.isInteger(dpi) || dpi < MIN_TEST_DPI || dpi > PDF_LIMITS.maxDpi) {
+            return { error: `dpi must be a whole number between ${MIN_TEST_DPI} and ${PDF_LIMITS.maxDpi}.` };
+        }
+        options.dpi = dpi;
+    }
+    if (query.quality !== undefined) {
+        const quality = Number(query.quality);
+        if (!Number.isFinite(quality) || quality <= 0 || quality > 1) {
+            return { error: 'quality must be a number above 0 and at most 1.' };
+        }
+        options.quality = quality;
+    }
+    if (query.max_pages !== undefined) {
+        const maxPages = Number(query.max_pages);
+        if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > PDF_LIMITS.maxPages) {
+            return { error: `max_pages must be a whole number between 1 and ${PDF_LIMITS.maxPages}.` };
+        }
+        options.maxPages = maxPages;
+    }
+    return { options };
+};
+
 // --- API Routes ---
 
-// POST to test PDF to Image conversion (for Postman debugging)
-app.post('/api/test-pdf-conversion', upload.single('homeworkPdf'), async (req, res) => {
+// POST to test PDF to Image conversion (for Postman debugging, lecturers only)
+app.post('/api/test-pdf-conversion', authenticateToken, requireLecturer, aiIpLimit, acceptUpload(upload.single('homeworkPdf')), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ message: 'No PDF file uploaded. Please upload a file with the key "homeworkPdf".' });
     }
+    const { options, error } = parseConversionOptions(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
     try {
+        const { buffer: pdfBuffer } = await inspectUpload(req.file.buffer, {
+            expectedTypes: PDF_UPLOAD_TYPES,
+            declaredType: req.file.mimetype
+        });
+
+        // ?mode=pages returns one image per page; dpi, quality and max_pages tune the conversion
+        if (req.query.mode === 'pages') {
+            const pages = await convertPdfToPages(pdfBuffer, options);
+            return res.status(200).json({
+                fileName: req.file.originalname,
+                pages
+            });
+        }
+
         // Convert the PDF buffer to a base64 image string
-        const imageBase64 = await convertPdfToImage(req.file.buffer);
+        const imageBase64 = await convertPdfToImage(pdfBuffer);
         
         res.status(200).json({
             fileName: req.file.originalname,
@@ -134,40 +563,58 @@ app.post('/api/test-pdf-conversion', upload.single('homeworkPdf'), async (req, r
         });
     } catch (error) {
         console.error('PDF Conversion Test Error:', error);
+        if (isUploadError(error)) {
+            return sendUploadError(res, error);
+        }
         res.status(500).json({ message: error.message || 'An error occurred during PDF conversion.' });
     }
 });
 
 // POST to test AI evaluation directly from a PDF file upload (for Postman)
-app.post('/api/test-evaluation', upload.single('homeworkPdf'), async (req, res) => {
+app.post('/api/test-evaluation', aiIpLimit, acceptUpload(upload.single('homeworkPdf')), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ message: 'No PDF file uploaded. Please upload a file with the key "homeworkPdf".' });
     }
 
     try {
-        // Convert the PDF buffer to a base64 image string
-        const imageBase64 = await convertPdfToImage(req.file.buffer);
+        const { buffer: pdfBuffer } = await inspectUpload(req.file.buffer, {
+            expectedTypes: PDF_UPLOAD_TYPES,
+            declaredType: req.file.mimetype
+        });
+
+        // Convert the PDF to page images (or one stitched image with ?mode=stitched)
+        const work = req.query.mode === 'stitched'
+            ? await convertPdfToImage(pdfBuffer)
+            : await convertPdfToPages(pdfBuffer);
         
-        // Send the image to the AI for grading
-        const evaluation = await gradeHomework(imageBase64);
+        // Send the images to the AI for grading
+        const { evaluation, warnings, flagged } = await gradeHomeworkWithMetadata(work, {
+            usageContext: { source: 'test_evaluation' }
+        });
         
-        res.status(200).json(evaluation);
+        res.status(200).json({ ...evaluation, warnings, flagged });
     } catch (error) {
         console.error('PDF Evaluation Error:', error);
+        if (isUploadError(error)) {
+            return sendUploadError(res, error);
+        }
         res.status(500).json({ message: error.message || 'An error occurred during PDF processing or AI evaluation.' });
     }
 });
 
 
-// POST simulate AI evaluation from a base64 image (used by frontend)
-app.post('/api/evaluate', async (req, res) => {
-    const { fileData } = req.body;
-    if (!fileData) {
-        return res.status(400).json({ message: 'fileData (base64 string) is required.' });
+// POST simulate AI evaluation from a base64 image, or from base64 page images in order (used by frontend)
+app.post('/api/evaluate', aiIpLimit, async (req, res) => {
+    const { fileData, pages } = req.body;
+    if (!fileData && !(Array.isArray(pages) && pages.length > 0)) {
+        return res.status(400).json({ message: 'fileData (base64 string) or pages (array of base64 strings) is required.' });
     }
     try {
-        const evaluation = await gradeHomework(fileData);
-        res.status(200).json(evaluation);
+        const work = fileData || pages.map((data, index) => ({ page: index + 1, data }));
+        const { evaluation, warnings, flagged } = await gradeHomeworkWithMetadata(work, {
+            usageContext: { source: 'evaluate' }
+        });
+        res.status(200).json({ ...evaluation, warnings, flagged });
     } catch (error) {
         console.error('AI Evaluation Error:', error);
         res.status(500).json({ message: error.message || 'An error occurred during AI evaluation.' });
@@ -201,8 +648,11 @@ app.post('/api/lecturers/signup', async (req, res) => {
             password
         });
 
+        const verificationSent = await trySendEmailVerification('lecturer', newLecturer);
+
         res.status(201).json({
             message: 'Lecturer registered successfully.',
+            email_verification_sent: verificationSent,
             lecturer: newLecturer
         });
     } catch (error) {
@@ -231,7 +681,7 @@ app.post('/api/lecturers/signup', async (req, res) => {
 });
 
 // POST lecturer signin
-app.post('/api/lecturers/signin', async (req, res) => {
+app.post('/api/lecturers/signin', signinIpLimit, signinAccountLimit, async (req, res) => {
     const { email, password } = req.body;
     
     // Validate required fields
@@ -244,41 +694,38 @@ app.post('/api/lecturers/signin', async (req, res) => {
     try {
         // Find lecturer by email
         const lecturer = await Lecturer.findOne({ where: { email } });
-        if (!lecturer) {
-            return res.status(401).json({ 
-                message: 'Invalid email or password.' 
-            });
+        // Unknown emails, locked accounts and wrong passwords all get the same answer
+        if (!lecturer || lockoutRemaining(lecturer)) {
+            return res.status(401).json({ message: SIGNIN_FAILED_MESSAGE });
         }
 
-        // Validate password
+        // Validate password; repeated failures lock the account for longer each time
         const isValidPassword = await lecturer.validatePassword(password);
         if (!isValidPassword) {
-            return res.status(401).json({ 
-                message: 'Invalid email or password.' 
+            await recordFailedLogin(lecturer);
+            return res.status(401).json({ message: SIGNIN_FAILED_MESSAGE });
+        }
+        await clearFailedLogins(lecturer);
+
+        if (REQUIRE_EMAIL_VERIFICATION && !lecturer.email_verified_at) {
+            return res.status(403).json({ 
+                message: 'Please verify your email address before signing in.' 
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                id: lecturer.id, 
-                email: lecturer.email,
-                name: lecturer.name,
-                type: 'lecturer'
-            },
-            process.env.JWT_SECRET || 'your-secret-key', // Use environment variable
-            { expiresIn: '24h' }
-        );
+        // Issue a short-lived access token and a refresh token
+        const session = await createSession(lecturer, 'lecturer', req.headers['user-agent']);
 
         res.status(200).json({
             message: 'Sign in successful.',
-            token,
+            ...session,
             lecturer: {
                 id: lecturer.id,
                 name: lecturer.name,
                 email: lecturer.email,
                 department: lecturer.department,
-                bio: lecturer.bio
+                bio: lecturer.bio,
+                email_verified: Boolean(lecturer.email_verified_at)
             }
         });
     } catch (error) {
@@ -316,8 +763,11 @@ app.post('/api/students/signup', async (req, res) => {
             password
         });
 
+        const verificationSent = await trySendEmailVerification('student', newStudent);
+
         res.status(201).json({
             message: 'Student registered successfully.',
+            email_verification_sent: verificationSent,
             student: {
                 id: newStudent.id,
                 name: newStudent.name,
@@ -352,7 +802,7 @@ app.post('/api/students/signup', async (req, res) => {
 });
 
 // POST student signin
-app.post('/api/students/signin', async (req, res) => {
+app.post('/api/students/signin', signinIpLimit, signinAccountLimit, async (req, res) => {
     const { email, password } = req.body;
     
     // Validate required fields
@@ -365,39 +815,38 @@ app.post('/api/students/signin', async (req, res) => {
     try {
         // Find student by email
         const student = await Student.findOne({ where: { email } });
-        if (!student) {
-            return res.status(401).json({ 
-                message: 'Invalid email or password.' 
-            });
+        // Unknown emails, locked accounts and wrong passwords all get the same answer
+        if (!student || lockoutRemaining(student)) {
+            return res.status(401).json({ message: SIGNIN_FAILED_MESSAGE });
         }
 
-        // Validate password
+        // Validate password; repeated failures lock the account for longer each time
         const isValidPassword = await student.validatePassword(password);
         if (!isValidPassword) {
-            return res.status(401).json({ 
-                message: 'Invalid email or password.' 
+            await recordFailedLogin(student);
+            return res.status(401).json({ message: SIGNIN_FAILED_MESSAGE });
+        }
+        await clearFailedLogins(student);
+
+        if (REQUIRE_EMAIL_VERIFICATION && !student.email_verified_at) {
+            return res.status(403).json({ 
+                message: 'Please verify your email address before signing in.' 
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                id: student.id, 
-                email: student.email,
-                name: student.name,
-                type: 'student'
-            },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // Issue a short-lived access token and a refresh token
+        const session = await createSession(student, 'student', req.headers['user-agent']);
 
         res.status(200).json({
             message: 'Sign in successful.',
-            token,
+            ...session,
             student: {
                 id: student.id,
                 name: student.name,
                 email: student.email,
+                student_number: student.student_number,
+                must_change_password: student.must_change_password,
+                email_verified: Boolean(student.email_verified_at),
                 created_at: student.created_at,
                 updated_at: student.updated_at
             }
@@ -423,6 +872,8 @@ app.get('/api/students/profile', authenticateToken, requireStudent, async (req,
                 id: student.id,
                 name: student.name,
                 email: student.email,
+                student_number: student.student_number,
+                must_change_password: student.must_change_password,
                 created_at: student.created_at,
                 updated_at: student.updated_at
             }
@@ -435,78 +886,427 @@ app.get('/api/students/profile', authenticateToken, requireStudent, async (req,
     }
 });
 
-// GET lecturer profile (protected route)
-app.get('/api/lecturers/profile', authenticateToken, requireLecturer, async (req, res) => {
+// PUT change the authenticated student's password (replaces the temporary password of an imported account)
+app.put('/api/students/password', authenticateToken, requireStudent, async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+        return res.status(400).json({ 
+            message: 'current_password and new_password are required.' 
+        });
+    }
+
+    try {
+        const student = await Student.findByPk(req.user.id);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const isValidPassword = await student.validatePassword(current_password);
+        if (!isValidPassword) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+
+        await student.update({
+            password: new_password,
+            must_change_password: false
+        });
+
+        // Sign out every other session and start a fresh one for this client
+        await endAllSessions('student', student.id);
+        const session = await createSession(student, 'student', req.headers['user-agent']);
+
+        res.status(200).json({
+            message: 'Password changed successfully. Other sessions have been signed out.',
+            ...session
+        });
+    } catch (error) {
+        console.error('Change Student Password Error:', error);
+
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => err.message);
+            return res.status(400).json({ 
+                message: 'Validation error.',
+                errors: validationErrors 
+            });
+        }
+
+        res.status(500).json({ 
+            message: 'An error occurred while changing the password.' 
+        });
+    }
+});
+
+// PUT change the authenticated lecturer's password
+app.put('/api/lecturers/password', authenticateToken, requireLecturer, async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+        return res.status(400).json({ 
+            message: 'current_password and new_password are required.' 
+        });
+    }
+
     try {
         const lecturer = await Lecturer.findByPk(req.user.id);
         if (!lecturer) {
             return res.status(404).json({ message: 'Lecturer not found.' });
         }
-        
+
+        const isValidPassword = await lecturer.validatePassword(current_password);
+        if (!isValidPassword) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+
+        await lecturer.update({ password: new_password });
+
+        // Sign out every other session and start a fresh one for this client
+        await endAllSessions('lecturer', lecturer.id);
+        const session = await createSession(lecturer, 'lecturer', req.headers['user-agent']);
+
         res.status(200).json({
-            lecturer: {
-                id: lecturer.id,
-                name: lecturer.name,
-                email: lecturer.email,
-                phone_number: lecturer.phone_number,
-                department: lecturer.department,
-                bio: lecturer.bio,
-                created_at: lecturer.created_at,
-                updated_at: lecturer.updated_at
-            }
+            message: 'Password changed successfully. Other sessions have been signed out.',
+            ...session
         });
     } catch (error) {
-        console.error('Get Profile Error:', error);
+        console.error('Change Lecturer Password Error:', error);
+
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => err.message);
+            return res.status(400).json({ 
+                message: 'Validation error.',
+                errors: validationErrors 
+            });
+        }
+
         res.status(500).json({ 
-            message: 'An error occurred while fetching profile.' 
+            message: 'An error occurred while changing the password.' 
         });
     }
 });
 
-// GET all classrooms for authenticated lecturer
-app.get('/api/classrooms', authenticateToken, requireLecturer, async (req, res) => {
+// POST exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', signinIpLimit, async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({ message: 'refresh_token is required.' });
+    }
+
     try {
-        const classrooms = await Classroom.findAll({
-            where: {
-                created_by: req.user.id
-            },
-            include: [{
-                model: Lecturer,
-                as: 'lecturer',
-                attributes: ['id', 'name', 'email', 'department']
-            }],
-            order: [['created_at', 'DESC']]
-        });
+        const { type, user, ...session } = await rotateSession(refresh_token, req.headers['user-agent']);
 
         res.status(200).json({
-            classrooms: classrooms.map(classroom => ({
-                id: classroom.id,
-                class_name: classroom.class_name,
-                class_details: classroom.class_details,
-                classroom_code: classroom.classroom_code,
-                created_by: classroom.created_by,
-                created_at: classroom.created_at,
-                updated_at: classroom.updated_at,
-                lecturer: classroom.lecturer
-            }))
+            message: 'Session refreshed.',
+            ...session,
+            user_type: type,
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email
+            }
         });
     } catch (error) {
-        console.error('Get Classrooms Error:', error);
+        if (['REFRESH_TOKEN_INVALID', 'REFRESH_TOKEN_REVOKED', 'REFRESH_TOKEN_EXPIRED'].includes(error.code)) {
+            return res.status(401).json({ message: error.message });
+        }
+
+        console.error('Refresh Session Error:', error);
         res.status(500).json({ 
-            message: 'An error occurred while fetching classrooms.' 
+            message: 'An error occurred while refreshing the session.' 
         });
     }
 });
 
-// GET specific classroom by ID
-app.get('/api/classrooms/:id', authenticateToken, requireLecturer, async (req, res) => {
-    const { id } = req.params;
+// POST end the session a refresh token belongs to
+app.post('/api/auth/logout', async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({ message: 'refresh_token is required.' });
+    }
 
     try {
-        const classroom = await Classroom.findOne({
-            where: {
-                id: id,
-                created_by: req.user.id // Ensure lecturer can only access their own classrooms
+        await endSession(refresh_token);
+        res.status(200).json({ message: 'Signed out successfully.' });
+    } catch (error) {
+        console.error('Logout Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while signing out.' 
+        });
+    }
+});
+
+// POST end every session of the authenticated user
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await endAllSessions(req.user.type, req.user.id);
+        res.status(200).json({ message: 'All sessions have been signed out.' });
+    } catch (error) {
+        console.error('Logout All Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while signing out.' 
+        });
+    }
+});
+
+// POST email a password reset link. The response is the same whether or not the email exists.
+app.post('/api/auth/forgot-password', passwordResetIpLimit, passwordResetAccountLimit, async (req, res) => {
+    const { email, user_type } = req.body;
+
+    if (!email || typeof email !== 'string' || !USER_MODELS[user_type]) {
+        return res.status(400).json({ 
+            message: 'email and user_type (lecturer or student) are required.' 
+        });
+    }
+
+    // The email is sent after responding, so neither the timing nor a mail failure shows whether the account exists
+    requestPasswordReset(user_type, email).catch(error => console.error('Forgot Password Error:', error));
+    res.status(200).json({ 
+        message: 'If an account with this email exists, a password reset link has been sent.' 
+    });
+});
+
+// POST set a new password with a single-use reset token; every session is signed out
+app.post('/api/auth/reset-password', passwordResetIpLimit, async (req, res) => {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+        return res.status(400).json({ 
+            message: 'token and new_password are required.' 
+        });
+    }
+
+    try {
+        const { type } = await resetPassword(token, new_password);
+        res.status(200).json({ 
+            message: 'Password has been reset. Please sign in with your new password.',
+            user_type: type
+        });
+    } catch (error) {
+        if (error.code === 'ACCOUNT_TOKEN_INVALID' || error.code === 'ACCOUNT_TOKEN_EXPIRED') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => err.message);
+            return res.status(400).json({ 
+                message: 'Validation error.',
+                errors: validationErrors 
+            });
+        }
+
+        console.error('Reset Password Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while resetting the password.' 
+        });
+    }
+});
+
+// POST choose the first password of an account created by a roster import, using the emailed invitation
+app.post('/api/auth/accept-invitation', passwordResetIpLimit, async (req, res) => {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+        return res.status(400).json({ 
+            message: 'token and new_password are required.' 
+        });
+    }
+
+    try {
+        const { type, user } = await acceptInvitation(token, new_password);
+        res.status(200).json({ 
+            message: 'Your account is active. Please sign in with your new password.',
+            user_type: type,
+            email: user.email
+        });
+    } catch (error) {
+        if (error.code === 'ACCOUNT_TOKEN_INVALID' || error.code === 'ACCOUNT_TOKEN_EXPIRED') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => err.message);
+            return res.status(400).json({ 
+                message: 'Validation error.',
+                errors: validationErrors 
+            });
+        }
+
+        console.error('Accept Invitation Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while activating the account.' 
+        });
+    }
+});
+
+// POST confirm an email address with the single-use token sent at signup
+app.post('/api/auth/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'token is required.' });
+    }
+
+    try {
+        const { type, user } = await verifyEmail(token);
+        res.status(200).json({ 
+            message: 'Email address verified.',
+            user_type: type,
+            email: user.email
+        });
+    } catch (error) {
+        if (error.code === 'ACCOUNT_TOKEN_INVALID' || error.code === 'ACCOUNT_TOKEN_EXPIRED') {
+            return res.status(400).json({ message: error.message });
+        }
+
+        console.error('Verify Email Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while verifying the email address.' 
+        });
+    }
+});
+
+// POST email a new verification link. It works without signing in, since unverified accounts may not be
+// able to, and the response is the same whether or not the email exists or is already verified.
+app.post('/api/auth/resend-verification', verificationEmailIpLimit, verificationEmailAccountLimit, async (req, res) => {
+    const { email, user_type } = req.body;
+
+    if (!email || typeof email !== 'string' || !USER_MODELS[user_type]) {
+        return res.status(400).json({ 
+            message: 'email and user_type (lecturer or student) are required.' 
+        });
+    }
+
+    requestEmailVerification(user_type, email).catch(error => console.error('Resend Verification Error:', error));
+    res.status(200).json({ 
+        message: 'If an unverified account with this email exists, a verification link has been sent.' 
+    });
+});
+
+// GET lecturer profile (protected route)
+app.get('/api/lecturers/profile', authenticateToken, requireLecturer, async (req, res) => {
+    try {
+        const lecturer = await Lecturer.findByPk(req.user.id);
+        if (!lecturer) {
+            return res.status(404).json({ message: 'Lecturer not found.' });
+        }
+        
+        res.status(200).json({
+            lecturer: {
+                id: lecturer.id,
+                name: lecturer.name,
+                email: lecturer.email,
+                phone_number: lecturer.phone_number,
+                department: lecturer.department,
+                bio: lecturer.bio,
+                institution: lecturer.institution,
+                created_at: lecturer.created_at,
+                updated_at: lecturer.updated_at
+            }
+        });
+    } catch (error) {
+        console.error('Get Profile Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching profile.' 
+        });
+    }
+});
+
+// GET the lecturer's AI grading usage for a month (?month=YYYY-MM, default the current one) and their quota
+app.get('/api/lecturers/ai-usage', authenticateToken, requireLecturer, async (req, res) => {
+    const range = monthRange(req.query.month || null);
+    if (!range) {
+        return res.status(400).json({ message: 'month must be in the format YYYY-MM.' });
+    }
+
+    try {
+        const lecturer = await Lecturer.findByPk(req.user.id);
+        if (!lecturer) {
+            return res.status(404).json({ message: 'Lecturer not found.' });
+        }
+
+        const [usage, quota] = await Promise.all([
+            buildUsageReport(lecturer.id, range),
+            getQuotaStatus(lecturer)
+        ]);
+
+        res.status(200).json({ usage, quota });
+    } catch (error) {
+        console.error('AI Usage Report Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building the AI usage report.' 
+        });
+    }
+});
+
+// GET all classrooms for authenticated lecturer (archived ones only with ?archived=include|only)
+app.get('/api/classrooms', authenticateToken, requireLecturer, async (req, res) => {
+    try {
+        const classrooms = await Classroom.findAll({
+            where: {
+                created_by: req.user.id,
+                ...archivedFilter(req.query.archived)
+            },
+            include: [{
+                model: Lecturer,
+                as: 'lecturer',
+                attributes: ['id', 'name', 'email', 'department']
+            }],
+            order: [['created_at', 'DESC']]
+        });
+
+        res.status(200).json({
+            classrooms: classrooms.map(classroom => ({
+                id: classroom.id,
+                class_name: classroom.class_name,
+                class_details: classroom.class_details,
+                classroom_code: classroom.classroom_code,
+                created_by: classroom.created_by,
+                archived_at: classroom.archived_at,
+                created_at: classroom.created_at,
+                updated_at: classroom.updated_at,
+                lecturer: classroom.lecturer
+            }))
+        });
+    } catch (error) {
+        console.error('Get Classrooms Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching classrooms.' 
+        });
+    }
+});
+
+// GET the lecturer's deleted classrooms, which can still be restored
+app.get('/api/classrooms/deleted', authenticateToken, requireLecturer, async (req, res) => {
+    try {
+        const classrooms = await Classroom.findAll({
+            where: {
+                created_by: req.user.id,
+                deleted_at: { [Op.ne]: null }
+            },
+            paranoid: false,
+            order: [['deleted_at', 'DESC']]
+        });
+
+        res.status(200).json({
+            classrooms: classrooms.map(formatClassroom)
+        });
+    } catch (error) {
+        console.error('Get Deleted Classrooms Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching deleted classrooms.' 
+        });
+    }
+});
+
+// GET specific classroom by ID
+app.get('/api/classrooms/:id', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const classroom = await Classroom.findOne({
+            where: {
+                id: id,
+                created_by: req.user.id // Ensure lecturer can only access their own classrooms
             },
             include: [{
                 model: Lecturer,
@@ -528,6 +1328,7 @@ app.get('/api/classrooms/:id', authenticateToken, requireLecturer, async (req, r
                 class_details: classroom.class_details,
                 classroom_code: classroom.classroom_code,
                 created_by: classroom.created_by,
+                archived_at: classroom.archived_at,
                 created_at: classroom.created_at,
                 updated_at: classroom.updated_at,
                 lecturer: classroom.lecturer
@@ -579,6 +1380,7 @@ app.get('/api/classrooms/code/:classroomCode', authenticateToken, async (req, re
                 class_details: classroom.class_details,
                 classroom_code: classroom.classroom_code,
                 created_by: classroom.created_by,
+                archived_at: classroom.archived_at,
                 created_at: classroom.created_at,
                 updated_at: classroom.updated_at,
                 lecturer: classroom.lecturer
@@ -655,156 +1457,236 @@ app.post('/api/classrooms', authenticateToken, requireLecturer, async (req, res)
     }
 });
 
-// GET all assignments for a specific classroom
-app.get('/api/classrooms/:classroomId/assignments', authenticateToken, requireLecturer, async (req, res) => {
-    const { classroomId } = req.params;
+// Update a classroom's name and details. PUT replaces both (class_name required), PATCH changes only what is sent.
+const updateClassroom = (partial) => async (req, res) => {
+    const { id } = req.params;
+    const { class_name, class_details } = req.body;
+
+    if (!partial && !class_name) {
+        return res.status(400).json({ 
+            message: 'Classroom name is required.' 
+        });
+    }
+
+    const updates = {};
+    if (class_name !== undefined) {
+        updates.class_name = class_name;
+    }
+    if (class_details !== undefined || !partial) {
+        updates.class_details = class_details || null;
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ 
+            message: 'Provide class_name or class_details to update.' 
+        });
+    }
 
     try {
-        // Verify that the classroom exists and belongs to the authenticated lecturer
         const classroom = await Classroom.findOne({
             where: {
-                id: classroomId,
+                id: id,
                 created_by: req.user.id
             }
         });
 
         if (!classroom) {
             return res.status(404).json({ 
-                message: 'Classroom not found or you do not have permission to view assignments in this classroom.' 
+                message: 'Classroom not found or you do not have access to it.' 
+            });
+        }
+        if (classroom.archived_at) {
+            return res.status(409).json({ 
+                message: 'Archived classrooms are read-only. Unarchive the classroom to change it.' 
             });
         }
 
-        // Get all assignments for the classroom
-        const assignments = await Assignment.findAll({
-            where: {
-                classroom_id: classroomId
-            },
-            include: [
-                {
-                    model: Lecturer,
-                    as: 'lecturer',
-                    attributes: ['id', 'name', 'email']
-                },
-                {
-                    model: Classroom,
-                    as: 'classroom',
-                    attributes: ['id', 'class_name', 'classroom_code']
-                }
-            ],
-            order: [['created_at', 'DESC']]
-        });
+        await classroom.update(updates);
 
         res.status(200).json({
-            assignments: assignments.map(assignment => ({
-                id: assignment.id,
-                assignment_title: assignment.assignment_title,
-                assignment_details: assignment.assignment_details,
-                due_date: assignment.due_date,
-                created_by: assignment.created_by,
-                classroom_id: assignment.classroom_id,
-                created_at: assignment.created_at,
-                updated_at: assignment.updated_at,
-                lecturer: assignment.lecturer,
-                classroom: assignment.classroom
-            }))
+            message: 'Classroom updated successfully.',
+            classroom: formatClassroom(classroom)
         });
     } catch (error) {
-        console.error('Get Assignments Error:', error);
+        console.error('Classroom Update Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => err.message);
+            return res.status(400).json({ 
+                message: 'Validation error.',
+                errors: validationErrors 
+            });
+        }
+        
         res.status(500).json({ 
-            message: 'An error occurred while fetching assignments.' 
+            message: 'An error occurred while updating the classroom.' 
         });
     }
-});
+};
 
-// GET specific assignment by ID
-app.get('/api/classrooms/:classroomId/assignments/:assignmentId', authenticateToken, requireLecturer, async (req, res) => {
-    const { classroomId, assignmentId } = req.params;
+// PUT replace a classroom's name and details
+app.put('/api/classrooms/:id', authenticateToken, requireLecturer, updateClassroom(false));
+
+// PATCH update some of a classroom's fields
+app.patch('/api/classrooms/:id', authenticateToken, requireLecturer, updateClassroom(true));
+
+// DELETE soft delete a classroom together with its assignments and submissions
+app.delete('/api/classrooms/:id', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
 
     try {
-        // Verify that the classroom exists and belongs to the authenticated lecturer
         const classroom = await Classroom.findOne({
             where: {
-                id: classroomId,
+                id: id,
                 created_by: req.user.id
             }
         });
 
         if (!classroom) {
             return res.status(404).json({ 
-                message: 'Classroom not found or you do not have permission to view this classroom.' 
+                message: 'Classroom not found or you do not have access to it.' 
             });
         }
 
-        // Get the specific assignment
-        const assignment = await Assignment.findOne({
+        await DatabaseHelpers.softDeleteClassroom(classroom);
+
+        res.status(200).json({ 
+            message: 'Classroom deleted. It can be restored together with its assignments and submissions.' 
+        });
+    } catch (error) {
+        console.error('Classroom Delete Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while deleting the classroom.' 
+        });
+    }
+});
+
+// POST restore a deleted classroom with the assignments and submissions deleted along with it
+app.post('/api/classrooms/:id/restore', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const classroom = await Classroom.findOne({
             where: {
-                id: assignmentId,
-                classroom_id: classroomId
+                id: id,
+                created_by: req.user.id
             },
-            include: [
-                {
-                    model: Lecturer,
-                    as: 'lecturer',
-                    attributes: ['id', 'name', 'email']
-                },
-                {
-                    model: Classroom,
-                    as: 'classroom',
-                    attributes: ['id', 'class_name', 'classroom_code']
-                }
-            ]
+            paranoid: false
         });
 
-        if (!assignment) {
+        if (!classroom || !classroom.deleted_at) {
             return res.status(404).json({ 
-                message: 'Assignment not found in this classroom.' 
+                message: 'Deleted classroom not found.' 
             });
         }
 
+        await DatabaseHelpers.restoreClassroom(classroom);
+
         res.status(200).json({
-            assignment: {
-                id: assignment.id,
-                assignment_title: assignment.assignment_title,
-                assignment_details: assignment.assignment_details,
-                due_date: assignment.due_date,
-                created_by: assignment.created_by,
-                classroom_id: assignment.classroom_id,
-                created_at: assignment.created_at,
-                updated_at: assignment.updated_at,
-                lecturer: assignment.lecturer,
-                classroom: assignment.classroom
+            message: 'Classroom restored successfully.',
+            classroom: formatClassroom(classroom)
+        });
+    } catch (error) {
+        console.error('Classroom Restore Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while restoring the classroom.' 
+        });
+    }
+});
+
+// POST archive a classroom (e.g. at the end of a semester)
+app.post('/api/classrooms/:id/archive', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const classroom = await Classroom.findOne({
+            where: {
+                id: id,
+                created_by: req.user.id
             }
         });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have access to it.' 
+            });
+        }
+        if (classroom.archived_at) {
+            return res.status(409).json({ message: 'Classroom is already archived.' });
+        }
+
+        await DatabaseHelpers.archiveClassroom(classroom);
+
+        res.status(200).json({
+            message: 'Classroom archived successfully.',
+            classroom: formatClassroom(classroom)
+        });
     } catch (error) {
-        console.error('Get Assignment Error:', error);
+        console.error('Classroom Archive Error:', error);
         res.status(500).json({ 
-            message: 'An error occurred while fetching the assignment.' 
+            message: 'An error occurred while archiving the classroom.' 
         });
     }
 });
 
-// GET all assignments for a specific classroom by classroom code (for students)
-app.get('/api/classrooms/code/:classroomCode/assignments', authenticateToken, requireStudent, async (req, res) => {
-    const { classroomCode } = req.params;
+// POST bring an archived classroom back into use
+app.post('/api/classrooms/:id/unarchive', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
 
     try {
-        // Find the classroom by classroom code
         const classroom = await Classroom.findOne({
             where: {
-                classroom_code: classroomCode.toUpperCase()
+                id: id,
+                created_by: req.user.id
             }
         });
 
         if (!classroom) {
             return res.status(404).json({ 
-                message: 'Classroom not found with the provided classroom code.' 
+                message: 'Classroom not found or you do not have access to it.' 
+            });
+        }
+        if (!classroom.archived_at) {
+            return res.status(409).json({ message: 'Classroom is not archived.' });
+        }
+
+        await DatabaseHelpers.unarchiveClassroom(classroom);
+
+        res.status(200).json({
+            message: 'Classroom unarchived successfully.',
+            classroom: formatClassroom(classroom)
+        });
+    } catch (error) {
+        console.error('Classroom Unarchive Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while unarchiving the classroom.' 
+        });
+    }
+});
+
+// GET all assignments for a specific classroom
+app.get('/api/classrooms/:classroomId/assignments', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to view assignments in this classroom.' 
             });
         }
 
         // Get all assignments for the classroom
         const assignments = await Assignment.findAll({
             where: {
-                classroom_id: classroom.id
+                classroom_id: classroomId
             },
             include: [
                 {
@@ -827,6 +1709,8 @@ app.get('/api/classrooms/code/:classroomCode/assignments', authenticateToken, re
                 assignment_title: assignment.assignment_title,
                 assignment_details: assignment.assignment_details,
                 due_date: assignment.due_date,
+                category: assignment.category,
+                topic: assignment.topic,
                 created_by: assignment.created_by,
                 classroom_id: assignment.classroom_id,
                 created_at: assignment.created_at,
@@ -836,45 +1720,55 @@ app.get('/api/classrooms/code/:classroomCode/assignments', authenticateToken, re
             }))
         });
     } catch (error) {
-        console.error('Get Assignments by Classroom Code Error:', error);
+        console.error('Get Assignments Error:', error);
         res.status(500).json({ 
             message: 'An error occurred while fetching assignments.' 
         });
     }
 });
 
-// POST join a classroom
-app.post('/api/classrooms/join', (req, res) => {
-    const { secretCode, studentId } = req.body;
-    if (!secretCode || !studentId) {
-        return res.status(400).json({ message: 'Secret code and student ID are required.' });
-    }
-    const db = readDB();
-    const classroomToJoin = db.classrooms.find(c => c.secretCode === secretCode.toUpperCase());
+// GET deleted assignments of a classroom, which can still be restored
+app.get('/api/classrooms/:classroomId/assignments/deleted', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
 
-    if (!classroomToJoin) {
-        return res.status(404).json({ message: 'Invalid classroom code. Please try again.' });
-    }
-    if (classroomToJoin.studentIds.includes(studentId)) {
-        return res.status(409).json({ message: 'You are already in this classroom.' });
-    }
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
 
-    classroomToJoin.studentIds.push(studentId);
-    writeDB(db);
-    res.status(200).json(classroomToJoin);
-});
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to view assignments in this classroom.' 
+            });
+        }
 
-// POST create an assignment
-app.post('/api/classrooms/:classroomId/assignments', authenticateToken, requireLecturer, async (req, res) => {
-    const { classroomId } = req.params;
-    const { assignment_title, assignment_details, due_date } = req.body;
-    
-    // Validate required fields
-    if (!assignment_title) {
-        return res.status(400).json({ 
-            message: 'Assignment title is required.' 
+        const assignments = await Assignment.findAll({
+            where: {
+                classroom_id: classroomId,
+                deleted_at: { [Op.ne]: null }
+            },
+            paranoid: false,
+            order: [['deleted_at', 'DESC']]
+        });
+
+        res.status(200).json({
+            assignments: assignments.map(formatAssignment)
+        });
+    } catch (error) {
+        console.error('Get Deleted Assignments Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching deleted assignments.' 
         });
     }
+});
+
+// GET specific assignment by ID
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
 
     try {
         // Verify that the classroom exists and belongs to the authenticated lecturer
@@ -887,21 +1781,16 @@ app.post('/api/classrooms/:classroomId/assignments', authenticateToken, requireL
 
         if (!classroom) {
             return res.status(404).json({ 
-                message: 'Classroom not found or you do not have permission to create assignments in this classroom.' 
+                message: 'Classroom not found or you do not have permission to view this classroom.' 
             });
         }
 
-        // Create new assignment
-        const newAssignment = await Assignment.create({
-            assignment_title,
-            assignment_details: assignment_details || null,
-            due_date: due_date ? new Date(due_date) : null,
-            created_by: req.user.id,
-            classroom_id: parseInt(classroomId)
-        });
-
-        // Fetch the created assignment with related data
-        const assignmentWithDetails = await Assignment.findByPk(newAssignment.id, {
+        // Get the specific assignment
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            },
             include: [
                 {
                     model: Lecturer,
@@ -916,72 +1805,2579 @@ app.post('/api/classrooms/:classroomId/assignments', authenticateToken, requireL
             ]
         });
 
-        res.status(201).json({
-            message: 'Assignment created successfully.',
+        if (!assignment) {
+            return res.status(404).json({ 
+                message: 'Assignment not found in this classroom.' 
+            });
+        }
+
+        res.status(200).json({
             assignment: {
-                id: assignmentWithDetails.id,
-                assignment_title: assignmentWithDetails.assignment_title,
-                assignment_details: assignmentWithDetails.assignment_details,
-                due_date: assignmentWithDetails.due_date,
-                created_by: assignmentWithDetails.created_by,
-                classroom_id: assignmentWithDetails.classroom_id,
-                created_at: assignmentWithDetails.created_at,
-                updated_at: assignmentWithDetails.updated_at,
-                lecturer: assignmentWithDetails.lecturer,
-                classroom: assignmentWithDetails.classroom
+                id: assignment.id,
+                assignment_title: assignment.assignment_title,
+                assignment_details: assignment.assignment_details,
+                due_date: assignment.due_date,
+                created_by: assignment.created_by,
+                classroom_id: assignment.classroom_id,
+                created_at: assignment.created_at,
+                updated_at: assignment.updated_at,
+                lecturer: assignment.lecturer,
+                classroom: assignment.classroom
             }
         });
     } catch (error) {
-        console.error('Assignment Creation Error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'SequelizeValidationError') {
-            const validationErrors = error.errors.map(err => ({
-                field: err.path,
-                message: err.message
-            }));
-            return res.status(400).json({ 
-                message: 'Validation failed.',
-                errors: validationErrors
-            });
-        }
-        
+        console.error('Get Assignment Error:', error);
         res.status(500).json({ 
-            message: 'An error occurred while creating the assignment.' 
+            message: 'An error occurred while fetching the assignment.' 
         });
     }
 });
 
+// GET the answer key and rubric of an assignment
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/rubric', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
 
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
 
-// POST submit an assignment (supports both JSON and file upload)
-app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', uploadPdf.single('pdfFile'), async (req, res) => {
-    const { classroomId, assignmentId } = req.params;
-    const { studentId, fileData, fileName } = req.body;
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to view this classroom.' 
+            });
+        }
 
-    // Check if this is a file upload or JSON submission
-    const isFileUpload = req.file && req.file.filename;
-    
-    // Validate required fields based on submission type
-    if (isFileUpload) {
-        if (!studentId) {
-            return res.status(400).json({ 
-                message: 'studentId is required for file uploads.' 
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            }
+        });
+
+        if (!assignment) {
+            return res.status(404).json({ 
+                message: 'Assignment not found in this classroom.' 
             });
         }
-    } else {
-        if (!studentId || !fileData || !fileName) {
-            return res.status(400).json({ 
-                message: 'studentId, fileData, and fileName are required for JSON submissions.' 
-            });
+
+        res.status(200).json({
+            assignment_id: assignment.id,
+            answer_key: assignment.answer_key,
+            rubric: assignment.rubric
+        });
+    } catch (error) {
+        console.error('Get Assignment Rubric Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the assignment rubric.' 
+        });
+    }
+});
+
+// PUT set the answer key and rubric used by the AI grader for an assignment
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/rubric', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+    const { rubric, answer_key } = req.body;
+
+    if (rubric === undefined && answer_key === undefined) {
+        return res.status(400).json({ 
+            message: 'Provide a rubric, an answer_key, or both.' 
+        });
+    }
+
+    if (answer_key !== undefined && answer_key !== null && typeof answer_key !== 'string') {
+        return res.status(400).json({ 
+            message: 'answer_key must be a string.' 
+        });
+    }
+
+    // A null rubric removes it, so the assignment falls back to the default grading prompt
+    let normalizedRubric = null;
+    if (rubric !== undefined && rubric !== null) {
+        const validation = validateRubric(rubric);
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ 
+                message: 'Invalid rubric.',
+                errors: validation.errors
+            });
+        }
+        normalizedRubric = validation.rubric;
+    }
+
+    try {
+        const updates = {};
+        if (rubric !== undefined) {
+            updates.rubric = normalizedRubric;
+        }
+        if (answer_key !== undefined) {
+            updates.answer_key = answer_key || null;
+        }
+        await assignment.update(updates);
+
+        res.status(200).json({
+            message: 'Assignment rubric updated successfully.',
+            assignment_id: assignment.id,
+            answer_key: assignment.answer_key,
+            rubric: assignment.rubric
+        });
+    } catch (error) {
+        console.error('Update Assignment Rubric Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while updating the assignment rubric.' 
+        });
+    }
+});
+
+// PUT set how many attempts students get and which attempt's mark counts
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/resubmission-policy', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+
+    const resubmission = parseResubmissionSettings(req.body);
+    if (resubmission.error) {
+        return res.status(400).json({ message: resubmission.error });
+    }
+    if (Object.keys(resubmission.settings).length === 0) {
+        return res.status(400).json({ 
+            message: 'Provide max_attempts, counting_policy, or both.' 
+        });
+    }
+
+    try {
+        const policyChanged = resubmission.settings.counting_policy !== undefined
+            && resubmission.settings.counting_policy !== assignment.counting_policy;
+        await assignment.update(resubmission.settings);
+
+        // Submissions already graded switch to the mark that counts under the new policy
+        let updatedSubmissions = 0;
+        if (policyChanged) {
+            const submissions = await AssignmentSubmission.findAll({
+                where: { assignment_id: assignment.id }
+            });
+            for (const submission of submissions) {
+                const counted = await getCountedMark(submission, assignment.counting_policy);
+                if (String(counted.mark) !== String(submission.mark) || counted.counted_attempt !== submission.counted_attempt) {
+                    const status = submissionStatus(submission, {
+                        mark: counted.mark,
+                        isLate: counted.is_late !== undefined ? counted.is_late : submission.is_late
+                    });
+                    // Re-counting is not a new grade, so skip the hook that marks the submission graded now
+                    await submission.update({ ...counted, status }, { hooks: false });
+                    updatedSubmissions++;
+                }
+            }
+        }
+
+        res.status(200).json({
+            message: 'Resubmission policy updated successfully.',
+            assignment_id: assignment.id,
+            max_attempts: assignment.max_attempts,
+            counting_policy: assignment.counting_policy,
+            updated_submissions: updatedSubmissions
+        });
+    } catch (error) {
+        console.error('Update Resubmission Policy Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while updating the resubmission policy.' 
+        });
+    }
+});
+
+// An assignment topic is optional free text
+const isValidTopic = (topic) => topic === undefined || topic === null || (typeof topic === 'string' && topic.trim().length <= 100);
+
+// Update an assignment. PUT replaces the title, details and due date (assignment_title required);
+// PATCH changes only what is sent. Attempt and late policy settings can be changed with either.
+const updateAssignment = (partial) => async (req, res) => {
+    const { assignment_title, assignment_details, due_date, category, topic } = req.body;
+
+    if (!partial && !assignment_title) {
+        return res.status(400).json({ 
+            message: 'Assignment title is required.' 
+        });
+    }
+    if (category !== undefined && !ASSIGNMENT_CATEGORIES.includes(category)) {
+        return res.status(400).json({ 
+            message: `category must be one of: ${ASSIGNMENT_CATEGORIES.join(', ')}.` 
+        });
+    }
+    if (!isValidTopic(topic)) {
+        return res.status(400).json({ message: 'topic must be a string of at most 100 characters, or null.' });
+    }
+
+    const resubmission = parseResubmissionSettings(req.body);
+    if (resubmission.error) {
+        return res.status(400).json({ message: resubmission.error });
+    }
+    const latePolicy = parseLatePolicySettings(req.body);
+    if (latePolicy.error) {
+        return res.status(400).json({ message: latePolicy.error });
+    }
+
+    const updates = { ...resubmission.settings, ...latePolicy.settings };
+    if (assignment_title !== undefined) {
+        updates.assignment_title = assignment_title;
+    }
+    if (assignment_details !== undefined || !partial) {
+        updates.assignment_details = assignment_details || null;
+    }
+    if (due_date !== undefined || !partial) {
+        updates.due_date = due_date ? new Date(due_date) : null;
+    }
+    if (category !== undefined) {
+        updates.category = category;
+    }
+    if (topic !== undefined) {
+        updates.topic = topic ? topic.trim() : null;
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ 
+            message: 'Provide at least one assignment field to update.' 
+        });
+    }
+
+    try {
+        const { assignment } = req;
+
+        // A changed due date or late policy applies to submissions made from now on
+        await assignment.update(updates);
+
+        res.status(200).json({
+            message: 'Assignment updated successfully.',
+            assignment: formatAssignment(assignment)
+        });
+    } catch (error) {
+        console.error('Assignment Update Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while updating the assignment.' 
+        });
+    }
+};
+
+// PUT replace an assignment's title, details and due date
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId', authenticateToken, requireLecturer, requireWritableAssignment, updateAssignment(false));
+
+// PATCH update some of an assignment's fields
+app.patch('/api/classrooms/:classroomId/assignments/:assignmentId', authenticateToken, requireLecturer, requireWritableAssignment, updateAssignment(true));
+
+// DELETE soft delete an assignment together with its submissions
+app.delete('/api/classrooms/:classroomId/assignments/:assignmentId', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    try {
+        await DatabaseHelpers.softDeleteAssignment(req.assignment);
+
+        res.status(200).json({ 
+            message: 'Assignment deleted. It can be restored together with its submissions.' 
+        });
+    } catch (error) {
+        console.error('Assignment Delete Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while deleting the assignment.' 
+        });
+    }
+});
+
+// POST restore a deleted assignment with the submissions deleted along with it
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/restore', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer; a deleted
+        // classroom must be restored first, which brings back its assignments
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to restore assignments in this classroom.' 
+            });
+        }
+
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            },
+            paranoid: false
+        });
+
+        if (!assignment || !assignment.deleted_at) {
+            return res.status(404).json({ 
+                message: 'Deleted assignment not found in this classroom.' 
+            });
+        }
+
+        await DatabaseHelpers.restoreAssignment(assignment);
+
+        res.status(200).json({
+            message: 'Assignment restored successfully.',
+            assignment: formatAssignment(assignment)
+        });
+    } catch (error) {
+        console.error('Assignment Restore Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while restoring the assignment.' 
+        });
+    }
+});
+
+// PUT set an assignment's late policy: late_policy, grace_period_minutes, late_penalty_percent, max_late_days
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/late-policy', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+
+    const latePolicy = parseLatePolicySettings(req.body);
+    if (latePolicy.error) {
+        return res.status(400).json({ message: latePolicy.error });
+    }
+    if (Object.keys(latePolicy.settings).length === 0) {
+        return res.status(400).json({ 
+            message: 'Provide at least one of late_policy, grace_period_minutes, late_penalty_percent or max_late_days.' 
+        });
+    }
+
+    try {
+        // The policy applies to submissions made from now on; existing submissions keep their assessment
+        await assignment.update(latePolicy.settings);
+
+        res.status(200).json({
+            message: 'Late policy updated successfully.',
+            assignment_id: assignment.id,
+            due_date: assignment.due_date,
+            late_policy: assignment.late_policy,
+            grace_period_minutes: assignment.grace_period_minutes,
+            late_penalty_percent: assignment.late_penalty_percent,
+            max_late_days: assignment.max_late_days
+        });
+    } catch (error) {
+        console.error('Update Late Policy Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while updating the late policy.' 
+        });
+    }
+});
+
+// GET deadline extensions granted for an assignment
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/extensions', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+
+    try {
+        const assignment = await findLecturerAssignment(req.user.id, classroomId, assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ 
+                message: 'Assignment not found or you do not have permission to access it.' 
+            });
+        }
+
+        const extensions = await DeadlineExtension.findAll({
+            where: { assignment_id: assignment.id },
+            include: [{
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'name', 'email']
+            }],
+            order: [['extended_due_date', 'ASC']]
+        });
+
+        res.status(200).json({
+            assignment_id: assignment.id,
+            due_date: assignment.due_date,
+            extensions
+        });
+    } catch (error) {
+        console.error('Get Extensions Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching extensions.' 
+        });
+    }
+});
+
+// PUT grant or change a student's extended deadline for an assignment
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/extensions/:studentId', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+    const { studentId } = req.params;
+    const { extended_due_date, reason } = req.body;
+
+    const extendedDueDate = extended_due_date ? new Date(extended_due_date) : null;
+    if (!extendedDueDate || Number.isNaN(extendedDueDate.getTime())) {
+        return res.status(400).json({ 
+            message: 'extended_due_date must be a valid date.' 
+        });
+    }
+
+    try {
+        if (assignment.due_date && extendedDueDate <= new Date(assignment.due_date)) {
+            return res.status(400).json({ 
+                message: 'extended_due_date must be after the assignment due date.' 
+            });
+        }
+        if (!(await DatabaseHelpers.isStudentEnrolled(studentId, assignment.classroom_id))) {
+            return res.status(404).json({ message: 'Student is not enrolled in this classroom.' });
+        }
+
+        const [extension, created] = await DeadlineExtension.findOrCreate({
+            where: {
+                assignment_id: assignment.id,
+                student_id: studentId
+            },
+            defaults: {
+                extended_due_date: extendedDueDate,
+                reason: reason || null,
+                granted_by: req.user.id
+            }
+        });
+        if (!created) {
+            await extension.update({
+                extended_due_date: extendedDueDate,
+                reason: reason || null,
+                granted_by: req.user.id
+            });
+        }
+
+        // A submission already made is judged against the new deadline
+        const submission = await reassessSubmissionLateness(assignment, studentId, extension);
+
+        res.status(created ? 201 : 200).json({
+            message: created ? 'Extension granted successfully.' : 'Extension updated successfully.',
+            extension,
+            submission: submission ? {
+                id: submission.id,
+                status: submission.status,
+                is_late: submission.is_late,
+                late_days: submission.late_days,
+                late_penalty: submission.late_penalty,
+                mark: submission.mark
+            } : null
+        });
+    } catch (error) {
+        console.error('Grant Extension Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while granting the extension.' 
+        });
+    }
+});
+
+// DELETE revoke a student's extended deadline
+app.delete('/api/classrooms/:classroomId/assignments/:assignmentId/extensions/:studentId', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+    const { studentId } = req.params;
+
+    try {
+        const removed = await DeadlineExtension.destroy({
+            where: {
+                assignment_id: assignment.id,
+                student_id: studentId
+            }
+        });
+        if (!removed) {
+            return res.status(404).json({ message: 'This student has no extension for the assignment.' });
+        }
+
+        // Without the extension the assignment's own due date applies again
+        await reassessSubmissionLateness(assignment, studentId, null);
+
+        res.status(200).json({ message: 'Extension removed successfully.' });
+    } catch (error) {
+        console.error('Remove Extension Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while removing the extension.' 
+        });
+    }
+});
+
+// Build a classroom's gradebook; the classroom must be loaded with its students
+const loadClassroomGradebook = async (classroom) => {
+    const assignments = await Assignment.findAll({
+        where: { classroom_id: classroom.id },
+        attributes: ['id', 'assignment_title', 'category', 'due_date'],
+        order: [['due_date', 'ASC'], ['created_at', 'ASC']]
+    });
+    const assignmentIds = assignments.map(assignment => assignment.id);
+    const [submissions, excusals] = await Promise.all([
+        AssignmentSubmission.findAll({
+            where: { assignment_id: assignmentIds },
+            attributes: ['id', 'student_id', 'assignment_id', 'status', 'mark', 'is_late']
+        }),
+        AssignmentExcusal.findAll({
+            where: { assignment_id: assignmentIds }
+        })
+    ]);
+
+    const students = [...classroom.students].sort((a, b) => a.name.localeCompare(b.name));
+    return buildGradebook({
+        students,
+        assignments,
+        submissions,
+        excusals,
+        scheme: classroom.grading_scheme
+    });
+};
+
+// Read ?format= and ?lang= for an export request
+const parseExportOptions = (query) => {
+    // Repeated query parameters arrive as arrays and are rejected like any other unknown value
+    const format = typeof query.format === 'string' ? query.format.toLowerCase() : (query.format === undefined ? 'csv' : null);
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` };
+    }
+    const language = typeof query.lang === 'string' ? query.lang.toLowerCase() : (query.lang === undefined ? 'en' : null);
+    if (!['en', 'he'].includes(language)) {
+        return { error: 'lang must be one of: en, he.' };
+    }
+    return { format, language };
+};
+
+// Send a table as a downloadable CSV or XLSX file
+const sendExport = async (res, table, { format, language, fileName, sheetName }) => {
+    const { buffer, contentType, extension } = await renderExport(table, format, { sheetName, language });
+    const safeName = fileName.replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${extension}"; filename*=UTF-8''${encodeURIComponent(fileName)}.${extension}`);
+    res.send(buffer);
+};
+
+// GET the classroom gradebook: every enrolled student against every assignment, with weighted averages
+app.get('/api/classrooms/:classroomId/gradebook', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            },
+            include: [{
+                model: Student,
+                as: 'students',
+                attributes: ['id', 'name', 'email'],
+                through: { attributes: [] }
+            }]
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const gradebook = await loadClassroomGradebook(classroom);
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            class_name: classroom.class_name,
+            ...gradebook
+        });
+    } catch (error) {
+        console.error('Get Gradebook Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building the gradebook.' 
+        });
+    }
+});
+
+// GET the classroom gradebook as a CSV or XLSX file (?format=csv|xlsx&lang=en|he)
+app.get('/api/classrooms/:classroomId/gradebook/export', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            },
+            include: [{
+                model: Student,
+                as: 'students',
+                attributes: ['id', 'name', 'email'],
+                through: { attributes: [] }
+            }]
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const gradebook = await loadClassroomGradebook(classroom);
+        await sendExport(res, buildGradebookTable(gradebook, options), {
+            ...options,
+            fileName: `${classroom.class_name} gradebook`,
+            sheetName: classroom.class_name
+        });
+    } catch (error) {
+        console.error('Export Gradebook Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while exporting the gradebook.' 
+        });
+    }
+});
+
+// Progress for each of the given students in a classroom. When forStudent is set, AI error details only
+// come from returned submissions, matching what students see of their feedback.
+const loadStudentsProgress = async (classroom, students, { forStudent = false } = {}) => {
+    const assignments = await Assignment.findAll({
+        where: { classroom_id: classroom.id },
+        attributes: ['id', 'assignment_title', 'category', 'topic', 'due_date'],
+        order: [['due_date', 'ASC'], ['created_at', 'ASC']]
+    });
+    const assignmentIds = assignments.map(assignment => assignment.id);
+    const studentIds = students.map(student => student.id);
+    const [submissions, excusals] = await Promise.all([
+        AssignmentSubmission.findAll({
+            where: { assignment_id: assignmentIds, student_id: studentIds },
+            attributes: ['id', 'student_id', 'assignment_id', 'status', 'mark', 'is_late', 'submitted_at'],
+            include: [{
+                model: AIEvaluation,
+                as: 'ai_evaluation',
+                attributes: ['status', 'overall_score', 'problem_breakdown']
+            }]
+        }),
+        AssignmentExcusal.findAll({
+            where: { assignment_id: assignmentIds, student_id: studentIds }
+        })
+    ]);
+
+    return students.map(student => buildStudentProgress({
+        classroom,
+        student,
+        assignments,
+        submissions: submissions
+            .filter(submission => submission.student_id === student.id)
+            .map(submission => (forStudent && submission.status !== 'returned'
+                ? { ...submission.get({ plain: true }), ai_evaluation: null }
+                : submission)),
+        excusals: excusals.filter(excusal => excusal.student_id === student.id)
+    }));
+};
+
+// GET progress of every student in a classroom, at-risk students first (?at_risk=true for only those)
+app.get('/api/classrooms/:classroomId/progress', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            },
+            include: [{
+                model: Student,
+                as: 'students',
+                attributes: ['id', 'name', 'email'],
+                through: { attributes: [] }
+            }]
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const students = [...classroom.students].sort((a, b) => a.name.localeCompare(b.name));
+        let summaries = (await loadStudentsProgress(classroom, students)).map(summarizeProgress);
+        if (req.query.at_risk === 'true') {
+            summaries = summaries.filter(summary => summary.at_risk.flagged);
+        }
+        summaries.sort((a, b) => Number(b.at_risk.flagged) - Number(a.at_risk.flagged));
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            class_name: classroom.class_name,
+            at_risk_threshold: classroom.at_risk_threshold === null ? DEFAULT_AT_RISK_THRESHOLD : Number(classroom.at_risk_threshold),
+            at_risk_count: summaries.filter(summary => summary.at_risk.flagged).length,
+            students: summaries
+        });
+    } catch (error) {
+        console.error('Get Classroom Progress Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building student progress.' 
+        });
+    }
+});
+
+// GET one student's progress in a classroom: mark trends, recurring errors, per-topic change and at-risk flag
+app.get('/api/classrooms/:classroomId/students/:studentId/progress', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, studentId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const student = await Student.findByPk(studentId, { attributes: ['id', 'name', 'email'] });
+        if (!student || !(await DatabaseHelpers.isStudentEnrolled(student.id, classroom.id))) {
+            return res.status(404).json({ message: 'Student is not enrolled in this classroom.' });
+        }
+
+        const [progress] = await loadStudentsProgress(classroom, [student]);
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            class_name: classroom.class_name,
+            ...progress
+        });
+    } catch (error) {
+        console.error('Get Student Progress Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building student progress.' 
+        });
+    }
+});
+
+// PUT the average below which students are flagged at risk (null restores the default)
+app.put('/api/classrooms/:classroomId/at-risk-threshold', authenticateToken, requireLecturer, requireWritableClassroom, async (req, res) => {
+    const { classroom } = req;
+    const { at_risk_threshold } = req.body;
+
+    if (at_risk_threshold === undefined) {
+        return res.status(400).json({ 
+            message: 'at_risk_threshold is required (or null to use the default).' 
+        });
+    }
+    if (at_risk_threshold !== null && (typeof at_risk_threshold !== 'number' || at_risk_threshold < 0 || at_risk_threshold > 100)) {
+        return res.status(400).json({ message: 'at_risk_threshold must be a number between 0 and 100, or null.' });
+    }
+
+    try {
+        await classroom.update({ at_risk_threshold });
+
+        res.status(200).json({
+            message: 'At-risk threshold updated successfully.',
+            classroom_id: classroom.id,
+            is_default: at_risk_threshold === null,
+            at_risk_threshold: at_risk_threshold === null ? DEFAULT_AT_RISK_THRESHOLD : at_risk_threshold
+        });
+    } catch (error) {
+        console.error('Update At-Risk Threshold Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while updating the at-risk threshold.' 
+        });
+    }
+});
+
+// GET class-wide analytics: score distributions, error-type frequencies, common conceptual errors and
+// merged teacher recommendations across all of a classroom's assignments
+app.get('/api/classrooms/:classroomId/analytics', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const assignments = await Assignment.findAll({
+            where: { classroom_id: classroom.id },
+            attributes: ['id', 'assignment_title', 'category', 'due_date'],
+            order: [['due_date', 'ASC'], ['created_at', 'ASC']]
+        });
+        const submissions = await AssignmentSubmission.findAll({
+            where: { assignment_id: assignments.map(assignment => assignment.id) },
+            attributes: ['id', 'assignment_id', 'mark'],
+            include: [{ model: AIEvaluation, as: 'ai_evaluation' }]
+        });
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            class_name: classroom.class_name,
+            ...buildClassroomAnalytics(assignments, submissions)
+        });
+    } catch (error) {
+        console.error('Get Classroom Analytics Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building classroom analytics.' 
+        });
+    }
+});
+
+// GET the category weights and drop-lowest rules used by a classroom's gradebook
+app.get('/api/classrooms/:classroomId/grading-scheme', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            is_default: !classroom.grading_scheme,
+            grading_scheme: classroom.grading_scheme || DEFAULT_GRADING_SCHEME
+        });
+    } catch (error) {
+        console.error('Get Grading Scheme Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the grading scheme.' 
+        });
+    }
+});
+
+// PUT set a classroom's grading scheme; null goes back to equal weights
+app.put('/api/classrooms/:classroomId/grading-scheme', authenticateToken, requireLecturer, requireWritableClassroom, async (req, res) => {
+    const { classroom } = req;
+    const { grading_scheme } = req.body;
+
+    if (grading_scheme === undefined) {
+        return res.status(400).json({ 
+            message: 'grading_scheme is required (or null to use the default).' 
+        });
+    }
+
+    let normalizedScheme = null;
+    if (grading_scheme !== null) {
+        const validation = validateGradingScheme(grading_scheme);
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ 
+                message: 'Invalid grading scheme.',
+                errors: validation.errors
+            });
+        }
+        normalizedScheme = validation.scheme;
+    }
+
+    try {
+        await classroom.update({ grading_scheme: normalizedScheme });
+
+        res.status(200).json({
+            message: 'Grading scheme updated successfully.',
+            classroom_id: classroom.id,
+            is_default: !classroom.grading_scheme,
+            grading_scheme: classroom.grading_scheme || DEFAULT_GRADING_SCHEME
+        });
+    } catch (error) {
+        console.error('Update Grading Scheme Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while updating the grading scheme.' 
+        });
+    }
+});
+
+// PUT excuse a student from an assignment, so missing work is left out of their average instead of counting as zero
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/excusals/:studentId', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+    const { studentId } = req.params;
+    const { reason } = req.body;
+
+    try {
+        if (!(await DatabaseHelpers.isStudentEnrolled(studentId, assignment.classroom_id))) {
+            return res.status(404).json({ message: 'Student is not enrolled in this classroom.' });
+        }
+
+        const [excusal, created] = await AssignmentExcusal.findOrCreate({
+            where: {
+                assignment_id: assignment.id,
+                student_id: studentId
+            },
+            defaults: {
+                reason: reason || null,
+                excused_by: req.user.id
+            }
+        });
+        if (!created) {
+            await excusal.update({
+                reason: reason || null,
+                excused_by: req.user.id
+            });
+        }
+
+        res.status(created ? 201 : 200).json({
+            message: 'Student excused from the assignment.',
+            excusal
+        });
+    } catch (error) {
+        console.error('Excuse Student Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while excusing the student.' 
+        });
+    }
+});
+
+// DELETE withdraw a student's excusal from an assignment
+app.delete('/api/classrooms/:classroomId/assignments/:assignmentId/excusals/:studentId', authenticateToken, requireLecturer, requireWritableAssignment, async (req, res) => {
+    const { assignment } = req;
+    const { studentId } = req.params;
+
+    try {
+
+        const removed = await AssignmentExcusal.destroy({
+            where: {
+                assignment_id: assignment.id,
+                student_id: studentId
+            }
+        });
+        if (!removed) {
+            return res.status(404).json({ message: 'This student is not excused from the assignment.' });
+        }
+
+        res.status(200).json({ message: 'Excusal removed successfully.' });
+    } catch (error) {
+        console.error('Remove Excusal Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while removing the excusal.' 
+        });
+    }
+});
+
+// GET all assignments for a specific classroom by classroom code (for students)
+app.get('/api/classrooms/code/:classroomCode/assignments', authenticateToken, requireStudent, async (req, res) => {
+    const { classroomCode } = req.params;
+
+    try {
+        // Find the classroom by classroom code
+        const classroom = await Classroom.findOne({
+            where: {
+                classroom_code: classroomCode.toUpperCase()
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found with the provided classroom code.' 
+            });
+        }
+
+        // Get all assignments for the classroom
+        const assignments = await Assignment.findAll({
+            where: {
+                classroom_id: classroom.id
+            },
+            include: [
+                {
+                    model: Lecturer,
+                    as: 'lecturer',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Classroom,
+                    as: 'classroom',
+                    attributes: ['id', 'class_name', 'classroom_code']
+                }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+
+        res.status(200).json({
+            assignments: assignments.map(assignment => ({
+                id: assignment.id,
+                assignment_title: assignment.assignment_title,
+                assignment_details: assignment.assignment_details,
+                due_date: assignment.due_date,
+                category: assignment.category,
+                topic: assignment.topic,
+                created_by: assignment.created_by,
+                classroom_id: assignment.classroom_id,
+                created_at: assignment.created_at,
+                updated_at: assignment.updated_at,
+                lecturer: assignment.lecturer,
+                classroom: assignment.classroom
+            }))
+        });
+    } catch (error) {
+        console.error('Get Assignments by Classroom Code Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching assignments.' 
+        });
+    }
+});
+
+// POST join a classroom as the authenticated student
+app.post('/api/classrooms/join', authenticateToken, requireStudent, async (req, res) => {
+    // secretCode is the field name used by older clients
+    const classroomCode = req.body.classroom_code || req.body.secretCode;
+    if (!classroomCode) {
+        return res.status(400).json({ message: 'Classroom code is required.' });
+    }
+
+    try {
+        const classroom = await Classroom.findOne({
+            where: {
+                classroom_code: classroomCode.toUpperCase()
+            },
+            include: [{
+                model: Lecturer,
+                as: 'lecturer',
+                attributes: ['id', 'name', 'email', 'department']
+            }]
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ message: 'Invalid classroom code. Please try again.' });
+        }
+        if (classroom.archived_at) {
+            return res.status(409).json({ message: 'This classroom has been archived and is no longer accepting students.' });
+        }
+        if (await DatabaseHelpers.isStudentEnrolled(req.user.id, classroom.id)) {
+            return res.status(409).json({ message: 'You are already in this classroom.' });
+        }
+
+        const enrollment = await DatabaseHelpers.joinClassroom(req.user.id, classroom.id);
+
+        res.status(200).json({
+            message: 'Joined classroom successfully.',
+            classroom: {
+                id: classroom.id,
+                class_name: classroom.class_name,
+                class_details: classroom.class_details,
+                classroom_code: classroom.classroom_code,
+                created_by: classroom.created_by,
+                joined_at: enrollment.joined_at,
+                lecturer: classroom.lecturer
+            }
+        });
+    } catch (error) {
+        console.error('Join Classroom Error:', error);
+
+        // Two join requests raced past the enrollment check
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ message: 'You are already in this classroom.' });
+        }
+
+        res.status(500).json({ 
+            message: 'An error occurred while joining the classroom.' 
+        });
+    }
+});
+
+// GET the authenticated student's own progress in a classroom
+app.get('/api/students/classrooms/:classroomId/progress', authenticateToken, requireStudent, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        const classroom = await Classroom.findByPk(classroomId);
+        if (!classroom || !(await DatabaseHelpers.isStudentEnrolled(req.user.id, classroom.id))) {
+            return res.status(404).json({ message: 'Classroom not found or you are not enrolled in it.' });
+        }
+
+        const student = await Student.findByPk(req.user.id, { attributes: ['id', 'name', 'email'] });
+        const [progress] = await loadStudentsProgress(classroom, [student], { forStudent: true });
+
+        res.status(200).json({
+            classroom_id: classroom.id,
+            class_name: classroom.class_name,
+            ...progress
+        });
+    } catch (error) {
+        console.error('Get Own Progress Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building your progress.' 
+        });
+    }
+});
+
+// GET classrooms the authenticated student is enrolled in (archived ones only with ?archived=include|only)
+app.get('/api/students/classrooms', authenticateToken, requireStudent, async (req, res) => {
+    try {
+        const student = await Student.findByPk(req.user.id, {
+            include: [{
+                model: Classroom,
+                as: 'classrooms',
+                where: archivedFilter(req.query.archived),
+                required: false,
+                through: { attributes: ['joined_at'] },
+                include: [{
+                    model: Lecturer,
+                    as: 'lecturer',
+                    attributes: ['id', 'name', 'email', 'department']
+                }]
+            }]
+        });
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const classrooms = student.classrooms
+            .map(classroom => ({
+                id: classroom.id,
+                class_name: classroom.class_name,
+                class_details: classroom.class_details,
+                classroom_code: classroom.classroom_code,
+                created_by: classroom.created_by,
+                archived_at: classroom.archived_at,
+                joined_at: classroom.StudentClassroom.joined_at,
+                lecturer: classroom.lecturer
+            }))
+            .sort((a, b) => new Date(b.joined_at) - new Date(a.joined_at));
+
+        res.status(200).json({ classrooms });
+    } catch (error) {
+        console.error('Get Student Classrooms Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching classrooms.' 
+        });
+    }
+});
+
+// GET students enrolled in a classroom
+app.get('/api/classrooms/:classroomId/students', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            },
+            include: [{
+                model: Student,
+                as: 'students',
+                attributes: ['id', 'name', 'email', 'student_number'],
+                through: { attributes: ['joined_at'] }
+            }]
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const students = classroom.students
+            .map(student => ({
+                id: student.id,
+                name: student.name,
+                email: student.email,
+                student_number: student.student_number,
+                joined_at: student.StudentClassroom.joined_at
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        res.status(200).json({ students });
+    } catch (error) {
+        console.error('Get Classroom Students Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching students.' 
+        });
+    }
+});
+
+// POST import a CSV roster (name, email, optional student number) into a classroom.
+// Upload it as rosterFile or send the text as csv; missing accounts are created and emailed an invitation.
+app.post('/api/classrooms/:classroomId/students/import', authenticateToken, requireLecturer, acceptUpload(uploadRoster.single('rosterFile'), { maxBytes: MAX_ROSTER_BYTES }), async (req, res) => {
+    const { classroomId } = req.params;
+
+    const csvText = req.file ? req.file.buffer.toString('utf-8') : req.body.csv;
+    if (!csvText || typeof csvText !== 'string') {
+        return res.status(400).json({ 
+            message: 'A roster is required. Upload a CSV file with the key "rosterFile" or send its text as "csv".' 
+        });
+    }
+
+    const { entries, error: parseError } = parseRoster(csvText);
+    if (parseError) {
+        return res.status(400).json({ message: parseError });
+    }
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+        if (classroom.archived_at) {
+            return res.status(409).json({ message: 'This classroom has been archived and is no longer accepting students.' });
+        }
+
+        const report = await importRoster(classroom, entries);
+
+        res.status(200).json({
+            message: 'Roster imported.',
+            classroom_id: classroom.id,
+            ...report
+        });
+    } catch (error) {
+        console.error('Import Roster Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while importing the roster.' 
+        });
+    }
+});
+
+// POST unlock an enrolled student's account after repeated failed sign ins
+app.post('/api/classrooms/:classroomId/students/:studentId/unlock', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, studentId } = req.params;
+
+    try {
+        // Verify that the classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to access it.' 
+            });
+        }
+
+        const student = await Student.findByPk(studentId);
+        if (!student || !(await DatabaseHelpers.isStudentEnrolled(student.id, classroom.id))) {
+            return res.status(404).json({ message: 'Student is not enrolled in this classroom.' });
+        }
+
+        const wasLocked = lockoutRemaining(student) > 0;
+        await clearFailedLogins(student);
+
+        res.status(200).json({
+            message: wasLocked ? 'Student account unlocked.' : 'Student account was not locked.',
+            student_id: student.id
+        });
+    } catch (error) {
+        console.error('Unlock Student Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while unlocking the student account.' 
+        });
+    }
+});
+
+// DELETE remove a student from a classroom
+app.delete('/api/classrooms/:classroomId/students/:studentId', authenticateToken, requireLecturer, requireWritableClassroom, async (req, res) => {
+    const { classroom } = req;
+    const { studentId } = req.params;
+
+    try {
+        const removed = await DatabaseHelpers.removeStudentFromClassroom(studentId, classroom.id);
+        if (!removed) {
+            return res.status(404).json({ message: 'Student is not enrolled in this classroom.' });
+        }
+
+        res.status(200).json({ message: 'Student removed from classroom successfully.' });
+    } catch (error) {
+        console.error('Remove Classroom Student Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while removing the student.' 
+        });
+    }
+});
+
+// POST create an assignment
+app.post('/api/classrooms/:classroomId/assignments', authenticateToken, requireLecturer, requireWritableClassroom, async (req, res) => {
+    const { classroom } = req;
+    const { assignment_title, assignment_details, due_date, category, topic } = req.body;
+    
+    // Validate required fields
+    if (!assignment_title) {
+        return res.status(400).json({ 
+            message: 'Assignment title is required.' 
+        });
+    }
+
+    if (category !== undefined && !ASSIGNMENT_CATEGORIES.includes(category)) {
+        return res.status(400).json({ 
+            message: `category must be one of: ${ASSIGNMENT_CATEGORIES.join(', ')}.` 
+        });
+    }
+    if (!isValidTopic(topic)) {
+        return res.status(400).json({ message: 'topic must be a string of at most 100 characters, or null.' });
+    }
+
+    const resubmission = parseResubmissionSettings(req.body);
+    if (resubmission.error) {
+        return res.status(400).json({ message: resubmission.error });
+    }
+    const latePolicy = parseLatePolicySettings(req.body);
+    if (latePolicy.error) {
+        return res.status(400).json({ message: latePolicy.error });
+    }
+
+    try {
+        // Create new assignment
+        const newAssignment = await Assignment.create({
+            assignment_title,
+            assignment_details: assignment_details || null,
+            due_date: due_date ? new Date(due_date) : null,
+            category: category || 'homework',
+            topic: topic ? topic.trim() : null,
+            created_by: req.user.id,
+            classroom_id: classroom.id,
+            ...resubmission.settings,
+            ...latePolicy.settings
+        });
+
+        // Fetch the created assignment with related data
+        const assignmentWithDetails = await Assignment.findByPk(newAssignment.id, {
+            include: [
+                {
+                    model: Lecturer,
+                    as: 'lecturer',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Classroom,
+                    as: 'classroom',
+                    attributes: ['id', 'class_name', 'classroom_code']
+                }
+            ]
+        });
+
+        res.status(201).json({
+            message: 'Assignment created successfully.',
+            assignment: {
+                id: assignmentWithDetails.id,
+                assignment_title: assignmentWithDetails.assignment_title,
+                assignment_details: assignmentWithDetails.assignment_details,
+                due_date: assignmentWithDetails.due_date,
+                category: assignmentWithDetails.category,
+                topic: assignmentWithDetails.topic,
+                max_attempts: assignmentWithDetails.max_attempts,
+                counting_policy: assignmentWithDetails.counting_policy,
+                late_policy: assignmentWithDetails.late_policy,
+                grace_period_minutes: assignmentWithDetails.grace_period_minutes,
+                late_penalty_percent: assignmentWithDetails.late_penalty_percent,
+                max_late_days: assignmentWithDetails.max_late_days,
+                created_by: assignmentWithDetails.created_by,
+                classroom_id: assignmentWithDetails.classroom_id,
+                created_at: assignmentWithDetails.created_at,
+                updated_at: assignmentWithDetails.updated_at,
+                lecturer: assignmentWithDetails.lecturer,
+                classroom: assignmentWithDetails.classroom
+            }
+        });
+    } catch (error) {
+        console.error('Assignment Creation Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ 
+            message: 'An error occurred while creating the assignment.' 
+        });
+    }
+});
+
+
+
+// POST submit an assignment (supports both JSON and file upload)
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', authenticateToken, requireStudent, acceptUpload(uploadSubmission.fields([
+    { name: 'pdfFile', maxCount: 1 },
+    { name: 'images', maxCount: MAX_SUBMISSION_IMAGES }
+])), removeUploadsAfterResponse, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+    const { fileData, fileName } = req.body;
+    // Students can only submit for themselves
+    const studentId = req.user.id;
+
+    // A submission is either one PDF (pdfFile) or one or more photos (images), in page order
+    const uploadedPdf = req.files && req.files.pdfFile ? req.files.pdfFile[0] : null;
+    const uploadedImages = req.files && req.files.images ? req.files.images : [];
+
+    // Check if this is a file upload or JSON submission
+    const isFileUpload = Boolean(uploadedPdf || uploadedImages.length > 0);
+    
+    // Staged uploads of rejected submissions are removed by removeUploadsAfterResponse
+    const rejectSubmission = async (status, message) => res.status(status).json({ message });
+
+    // Validate required fields based on submission type
+    if (isFileUpload) {
+        if (uploadedPdf && uploadedImages.length > 0) {
+            return await rejectSubmission(400, 'Upload either a PDF or photos, not both.');
+        }
+        if (uploadedPdf && uploadedPdf.mimetype !== 'application/pdf') {
+            return await rejectSubmission(400, 'pdfFile must be a PDF. Upload photos in the images field.');
+        }
+        if (uploadedImages.some(file => file.mimetype === 'application/pdf')) {
+            return await rejectSubmission(400, 'images must be JPEG or PNG photos. Upload PDFs in the pdfFile field.');
+        }
+    } else {
+        if (!fileData || !fileName) {
+            return res.status(400).json({ 
+                message: 'fileData and fileName are required for JSON submissions.' 
+            });
+        }
+    }
+
+    try {
+        // Verify classroom exists
+        const classroom = await Classroom.findByPk(classroomId);
+        if (!classroom) {
+            return await rejectSubmission(404, 'Classroom not found.');
+        }
+        if (classroom.archived_at) {
+            return await rejectSubmission(403, 'This classroom has been archived and no longer accepts submissions.');
+        }
+
+        // Verify assignment exists and belongs to the classroom
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            }
+        });
+        if (!assignment) {
+            return await rejectSubmission(404, 'Assignment not found in this classroom.');
+        }
+
+        // Verify student exists
+        const student = await Student.findByPk(studentId);
+        if (!student) {
+            return await rejectSubmission(404, 'Student not found.');
+        }
+
+        // Only students enrolled in the classroom can submit its assignments
+        if (!(await DatabaseHelpers.isStudentEnrolled(studentId, classroom.id))) {
+            return await rejectSubmission(403, 'You are not enrolled in this classroom.');
+        }
+
+        // Check if student already has a submission for this assignment
+        const existingSubmission = await AssignmentSubmission.findOne({
+            where: {
+                student_id: studentId,
+                assignment_id: assignmentId
+            }
+        });
+
+        // Each file upload is a new attempt; the assignment may cap how many are allowed
+        if (isFileUpload && existingSubmission && assignment.max_attempts && existingSubmission.attempt_count >= assignment.max_attempts) {
+            return await rejectSubmission(409, `You have used all ${assignment.max_attempts} attempts for this assignment.`);
+        }
+
+        // Apply the assignment's late policy, using the student's extended deadline if they have one
+        const submittedAt = new Date();
+        const extension = await DeadlineExtension.findOne({
+            where: {
+                assignment_id: assignment.id,
+                student_id: studentId
+            }
+        });
+        const lateness = assessLateness(assignment, submittedAt, extension);
+        if (!lateness.allowed) {
+            return await rejectSubmission(403, lateness.reason);
+        }
+
+        // Prepare submission data
+        let submissionData = {
+            submitted_at: submittedAt,
+            status: lateness.is_late ? 'late' : 'submitted',
+            is_late: lateness.is_late,
+            late_days: lateness.late_days,
+            late_penalty: lateness.late_penalty
+        };
+
+        if (uploadedPdf) {
+            // File upload submission, stored without scripts or embedded files
+            const { buffer: pdfBuffer } = await readStagedUpload(uploadedPdf, PDF_UPLOAD_TYPES);
+            submissionData.assignment_file = await saveSubmissionFile(uploadedPdf.filename, pdfBuffer);
+            submissionData.file_name = uploadedPdf.originalname;
+            submissionData.file_type = 'pdf';
+            submissionData.page_files = null;
+        } else if (uploadedImages.length > 0) {
+            // Photo submission, normalized and stored as a PDF or as page images
+            const assemble = req.body.assemble_pdf !== undefined
+                ? req.body.assemble_pdf !== 'false'
+                : ASSEMBLE_PHOTO_SUBMISSIONS;
+            Object.assign(submissionData, await storePhotoSubmission(uploadedImages, assemble));
+        }
+        // } else {
+        //     // JSON submission
+        //     submissionData.file_data = fileData;
+        //     submissionData.file_name = fileName;
+        // }
+
+        // If submission exists, update it; otherwise create new one
+        let submissionResult;
+        if (existingSubmission) {
+            if (isFileUpload) {
+                // Make sure the attempt being replaced is on record before starting a new one
+                await getCurrentVersion(existingSubmission);
+
+                // The new attempt starts ungraded. Under "highest" the best earlier mark keeps counting.
+                Object.assign(submissionData, newAttemptUpdates(existingSubmission, assignment.counting_policy, {
+                    isLate: lateness.is_late
+                }));
+            }
+
+            // Update existing submission
+            const previousAnnotatedFile = existingSubmission.annotated_file;
+            await existingSubmission.update(submissionData);
+            submissionResult = existingSubmission;
+            // Annotated feedback of the replaced attempt is no longer referenced by anything
+            if (previousAnnotatedFile && !existingSubmission.annotated_file) {
+                await deleteSubmissionFile(previousAnnotatedFile).catch(error => console.error('Annotated File Cleanup Error:', error));
+            }
+        } else {
+            // Create new submission
+            submissionResult = await AssignmentSubmission.create({
+                student_id: parseInt(studentId),
+                assignment_id: parseInt(assignmentId),
+                counted_attempt: assignment.counting_policy === 'highest' ? null : 1,
+                ...submissionData
+            });
+        }
+
+        // Keep the uploaded file as an immutable attempt, then queue it for AI grading;
+        // the result is saved as the submission's AI evaluation and on the attempt.
+        // When the lecturer's AI quota is used up the submission is kept but not queued, and its
+        // evaluation says so instead of waiting for a job that will not come.
+        let gradingJob = null;
+        let aiQuotaExhausted = false;
+        if (isFileUpload) {
+            await recordAttempt(submissionResult);
+            const quota = await loadQuotaStatus(classroom.created_by);
+            aiQuotaExhausted = quota.exhausted;
+            if (aiQuotaExhausted) {
+                await resetEvaluationForAttempt(submissionResult, {
+                    status: 'quota_exceeded',
+                    error_message: quotaExceededMessage(quota)
+                });
+            } else {
+                if (existingSubmission) {
+                    await resetEvaluationForAttempt(submissionResult);
+                }
+                gradingJob = await enqueueGradingJob(submissionResult.id);
+            }
+        }
+
+        // Fetch the submission with related data
+        const submissionWithDetails = await AssignmentSubmission.findByPk(submissionResult.id, {
+            include: [
+                {
+                    model: Student,
+                    as: 'student',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'assignment_title', 'due_date'],
+                    include: [{
+                        model: Classroom,
+                        as: 'classroom',
+                        attributes: ['id', 'class_name', 'classroom_code']
+                    }]
+                }
+            ]
+        });
+
+        res.status(201).json({
+            message: existingSubmission ? 'Submission updated successfully.' : 'Submission created successfully.',
+            submission: {
+                id: submissionWithDetails.id,
+                student_id: submissionWithDetails.student_id,
+                assignment_id: submissionWithDetails.assignment_id,
+                file_name: submissionWithDetails.file_name,
+                file_url: submissionWithDetails.assignment_file ? submissionFileUrl(submissionWithDetails.id) : null,
+                file_type: submissionWithDetails.file_type,
+                page_urls: submissionPageUrls(submissionWithDetails.id, submissionWithDetails.page_files),
+                attempt_count: submissionWithDetails.attempt_count,
+                submitted_at: submissionWithDetails.submitted_at,
+                is_late: submissionWithDetails.is_late,
+                late_days: submissionWithDetails.late_days,
+                late_penalty: submissionWithDetails.late_penalty,
+                status: submissionWithDetails.status,
+                mark: submissionWithDetails.mark,
+                feedback: submissionWithDetails.feedback,
+                graded_at: submissionWithDetails.graded_at,
+                student: submissionWithDetails.student,
+                assignment: submissionWithDetails.assignment
+            },
+            grading_job: gradingJob ? formatGradingJob(gradingJob) : null,
+            ai_quota_exhausted: aiQuotaExhausted
+        });
+    } catch (error) {
+        console.error('Assignment Submission Error:', error);
+        
+        // Files rejected by content, size or page checks
+        if (isUploadError(error)) {
+            return sendUploadError(res, error);
+        }
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ message: error.message || 'An error occurred during submission.' });
+    }
+});
+
+// PUT update a submission (grade it) - now using MySQL
+app.put('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+    const { mark, feedback, accept_ai_evaluation, ai_evaluation } = req.body;
+
+    try {
+        // Verify classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to grade submissions in this classroom.' 
+            });
+        }
+
+        // Verify assignment exists and belongs to the classroom
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            }
+        });
+        if (!assignment) {
+            return res.status(404).json({ message: 'Assignment not found in this classroom.' });
+        }
+
+        // Find the submission
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                assignment_id: assignmentId
+            }
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        // Accept or edit the AI evaluation when requested; its score is used unless a mark is given
+        let aiMark = null;
+        const evaluation = await AIEvaluation.findOne({
+            where: { submission_id: submission.id }
+        });
+        if (accept_ai_evaluation || ai_evaluation) {
+            if (!evaluation || evaluation.status !== 'completed') {
+                return res.status(409).json({ 
+                    message: 'This submission has no completed AI evaluation to review.' 
+                });
+            }
+
+            if (ai_evaluation) {
+                const editErrors = validateEvaluationEdit(ai_evaluation, {
+                    rubric: assignment.rubric,
+                    pageCount: evaluation.page_count
+                });
+                if (editErrors.length > 0) {
+                    return res.status(400).json({
+                        message: 'ai_evaluation is not valid.',
+                        errors: editErrors
+                    });
+                }
+
+                // The lecturer's values are kept as given; inconsistencies are only reported as warnings
+                const validation = validateEvaluation(ai_evaluation, {
+                    rubric: assignment.rubric,
+                    pageCount: evaluation.page_count,
+                    repair: false
+                });
+                await evaluation.update({
+                    overall_score: ai_evaluation.overall_score,
+                    problem_breakdown: ai_evaluation.problem_breakdown,
+                    warnings: validation.warnings,
+                    // The lecturer has reviewed it, so nothing is left to flag
+                    flagged: false,
+                    review_status: 'edited',
+                    reviewed_by: req.user.id,
+                    reviewed_at: new Date()
+                });
+            } else {
+                await evaluation.update({
+                    review_status: 'accepted',
+                    reviewed_by: req.user.id,
+                    reviewed_at: new Date()
+                });
+            }
+            aiMark = evaluation.overall_score;
+        }
+
+        // The grade belongs to the current attempt; the submission shows the mark that counts under the assignment's policy
+        const hasMark = mark !== undefined && mark !== null && mark !== '';
+        const version = await recordVersionGrade(submission, {
+            mark: hasMark ? mark : aiMark,
+            feedback,
+            gradedBy: req.user.id,
+            evaluation
+        });
+        const counted = await getCountedMark(submission, assignment.counting_policy);
+
+        // Update the submission with the counted attempt's grade and feedback; without a counted mark
+        // (nothing to grade with, or no graded attempt under "highest") it is not shown as graded
+        await submission.update({
+            ...counted,
+            graded_by: req.user.id,
+            graded_at: new Date(),
+            status: submissionStatus(submission, { mark: counted.mark, isLate: version.is_late, graded: true })
+        });
+
+        // Fetch the updated submission with related data
+        const updatedSubmission = await AssignmentSubmission.findByPk(submission.id, {
+            include: [
+                {
+                    model: Student,
+                    as: 'student',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'assignment_title', 'due_date']
+                },
+                {
+                    model: Lecturer,
+                    as: 'grader',
+                    attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ]
+        });
+
+        res.status(200).json({
+            message: 'Submission graded successfully.',
+            submission: {
+                id: updatedSubmission.id,
+                student_id: updatedSubmission.student_id,
+                assignment_id: updatedSubmission.assignment_id,
+                file_name: updatedSubmission.file_name,
+                submitted_at: updatedSubmission.submitted_at,
+                mark: updatedSubmission.mark,
+                attempt_count: updatedSubmission.attempt_count,
+                counted_attempt: updatedSubmission.counted_attempt,
+                is_late: updatedSubmission.is_late,
+                late_penalty: updatedSubmission.late_penalty,
+                feedback: updatedSubmission.feedback,
+                graded_by: updatedSubmission.graded_by,
+                graded_at: updatedSubmission.graded_at,
+                status: updatedSubmission.status,
+                student: updatedSubmission.student,
+                assignment: updatedSubmission.assignment,
+                grader: updatedSubmission.grader,
+                ai_evaluation: updatedSubmission.ai_evaluation
+            }
+        });
+    } catch (error) {
+        console.error('Submission Grading Error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            const validationErrors = error.errors.map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            return res.status(400).json({ 
+                message: 'Validation failed.',
+                errors: validationErrors
+            });
+        }
+        
+        res.status(500).json({ message: error.message || 'An error occurred while grading the submission.' });
+    }
+});
+
+// POST re-run the AI evaluation for a submission
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/evaluate', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+
+    try {
+        // Verify classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to evaluate submissions in this classroom.' 
+            });
+        }
+
+        // Verify assignment exists and belongs to the classroom
+        const assignment = await Assignment.findOne({
+            where: {
+                id: assignmentId,
+                classroom_id: classroomId
+            }
+        });
+        if (!assignment) {
+            return res.status(404).json({ message: 'Assignment not found in this classroom.' });
+        }
+
+        // Find the submission
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                assignment_id: assignmentId
+            }
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+        if (!submission.assignment_file) {
+            return res.status(400).json({ message: 'This submission has no stored file to evaluate.' });
+        }
+
+        const quota = await loadQuotaStatus(req.user.id);
+        if (quota.exhausted) {
+            return sendQuotaExceeded(res, quota);
+        }
+
+        const gradingJob = await enqueueGradingJob(submission.id, { requestedBy: req.user.id });
+
+        res.status(202).json({
+            message: 'AI evaluation queued.',
+            grading_job: formatGradingJob(gradingJob)
+        });
+    } catch (error) {
+        console.error('Submission Evaluation Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred while queueing the AI evaluation.' });
+    }
+});
+
+// GET annotated feedback for a submission (PDF, or PNG per page)
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/annotated', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+
+    try {
+        // Verify classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to view submissions in this classroom.' 
+            });
+        }
+
+        // Find the submission within the classroom's assignment
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                assignment_id: assignmentId
+            },
+            include: [
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id'],
+                    where: { classroom_id: classroomId }
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ]
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+        if (!submission.assignment_file || !submission.ai_evaluation || submission.ai_evaluation.status !== 'completed') {
+            return res.status(409).json({ 
+                message: 'This submission has no completed AI evaluation to annotate.' 
+            });
+        }
+
+        await sendAnnotatedSubmission(req, res, submission, submission.ai_evaluation);
+    } catch (error) {
+        console.error('Annotated Submission Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred while rendering the annotated submission.' });
+    }
+});
+
+// POST return a submission to the student together with its annotated feedback PDF
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/return', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+
+    try {
+        // Verify classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
+        if (!classroom) {
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to return submissions in this classroom.' 
+            });
+        }
+
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                assignment_id: assignmentId
+            },
+            include: [
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id'],
+                    where: { classroom_id: classroomId }
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ]
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        // Submissions without a completed AI evaluation are returned without annotations
+        let annotatedFile = submission.annotated_file;
+        if (submission.assignment_file && submission.ai_evaluation && submission.ai_evaluation.status === 'completed') {
+            const pages = renderAnnotatedPages(await loadSubmissionPages(submission), submission.ai_evaluation, {
+                languages: parseFeedbackLanguages(req.body.lang)
+            });
+            const fileName = `annotated-${submission.id}-${Date.now()}.pdf`;
+            annotatedFile = await saveSubmissionFile(fileName, pageCanvasesToPdf(pages));
+        }
+
+        const previousAnnotatedFile = submission.annotated_file;
+        await submission.update({
+            status: 'returned',
+            annotated_file: annotatedFile
+        });
+        if (annotatedFile !== previousAnnotatedFile) {
+            await recordVersionReturn(submission, submission.ai_evaluation);
+        }
+        // Only the latest annotated feedback is kept
+        if (previousAnnotatedFile && previousAnnotatedFile !== annotatedFile) {
+            await deleteSubmissionFile(previousAnnotatedFile).catch(error => console.error('Annotated File Cleanup Error:', error));
+        }
+
+        res.status(200).json({
+            message: 'Submission returned to the student.',
+            submission: {
+                id: submission.id,
+                student_id: submission.student_id,
+                assignment_id: submission.assignment_id,
+                status: submission.status,
+                mark: submission.mark,
+                feedback: submission.feedback,
+                has_annotated_feedback: !!submission.annotated_file
+            }
+        });
+    } catch (error) {
+        console.error('Return Submission Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred while returning the submission.' });
+    }
+});
+
+// Find a submission of an assignment in one of the lecturer's classrooms, or null
+const findLecturerSubmission = async (lecturerId, classroomId, assignmentId, submissionId) => AssignmentSubmission.findOne({
+    where: {
+        id: submissionId,
+        assignment_id: assignmentId
+    },
+    include: [{
+        model: Assignment,
+        as: 'assignment',
+        attributes: ['id', 'counting_policy', 'max_attempts'],
+        where: { classroom_id: classroomId },
+        include: [{
+            model: Classroom,
+            as: 'classroom',
+            attributes: ['id'],
+            where: { created_by: lecturerId }
+        }]
+    }]
+});
+
+const formatSubmissionVersion = (version, submission) => ({
+    id: version.id,
+    attempt_number: version.attempt_number,
+    file_name: version.file_name,
+    file_url: version.assignment_file ? submissionFileUrl(version.submission_id, { attempt: version.attempt_number }) : null,
+    file_type: version.file_type,
+    page_urls: submissionPageUrls(version.submission_id, version.page_files, { attempt: version.attempt_number }),
+    submitted_at: version.submitted_at,
+    is_late: version.is_late,
+    late_days: version.late_days,
+    late_penalty: version.late_penalty,
+    ai_score: version.ai_score,
+    ai_evaluation: version.ai_evaluation,
+    mark: version.mark,
+    final_mark: getFinalMark(version),
+    feedback: version.feedback,
+    graded_by: version.graded_by,
+    graded_at: version.graded_at,
+    is_current: version.attempt_number === submission.attempt_count,
+    is_counted: version.attempt_number === submission.counted_attempt
+});
+
+// GET every attempt of a submission, oldest first
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/versions', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+
+    try {
+        const submission = await findLecturerSubmission(req.user.id, classroomId, assignmentId, submissionId);
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        // Submissions made before attempts were recorded get their current attempt on record first
+        if (submission.assignment_file) {
+            await getCurrentVersion(submission);
+        }
+        const versions = await SubmissionVersion.findAll({
+            where: { submission_id: submission.id },
+            order: [['attempt_number', 'ASC']]
+        });
+
+        res.status(200).json({
+            submission_id: submission.id,
+            attempt_count: submission.attempt_count,
+            counted_attempt: submission.counted_attempt,
+            max_attempts: submission.assignment.max_attempts,
+            counting_policy: submission.assignment.counting_policy,
+            versions: versions.map(version => formatSubmissionVersion(version, submission))
+        });
+    } catch (error) {
+        console.error('Get Submission Versions Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching submission versions.' 
+        });
+    }
+});
+
+// GET a comparison of two attempts (?from=&to=, defaulting to the previous and current attempts)
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/versions/diff', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId } = req.params;
+
+    try {
+        const submission = await findLecturerSubmission(req.user.id, classroomId, assignmentId, submissionId);
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : submission.attempt_count;
+        const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1 || from === to) {
+            return res.status(400).json({ 
+                message: 'from and to must be two different attempt numbers.' 
+            });
+        }
+
+        const versions = await SubmissionVersion.findAll({
+            where: {
+                submission_id: submission.id,
+                attempt_number: [from, to]
+            }
+        });
+        const fromVersion = versions.find(version => version.attempt_number === from);
+        const toVersion = versions.find(version => version.attempt_number === to);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ 
+                message: `Attempt ${!fromVersion ? from : to} not found for this submission.` 
+            });
+        }
+
+        res.status(200).json({
+            submission_id: submission.id,
+            diff: diffVersions(fromVersion, toVersion)
+        });
+    } catch (error) {
+        console.error('Diff Submission Versions Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while comparing submission versions.' 
+        });
+    }
+});
+
+// GET a single attempt of a submission
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId/versions/:attemptNumber', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId, submissionId, attemptNumber } = req.params;
+
+    try {
+        const submission = await findLecturerSubmission(req.user.id, classroomId, assignmentId, submissionId);
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        const version = await SubmissionVersion.findOne({
+            where: {
+                submission_id: submission.id,
+                attempt_number: attemptNumber
+            }
+        });
+        if (!version) {
+            return res.status(404).json({ message: 'Attempt not found for this submission.' });
+        }
+
+        res.status(200).json({
+            version: formatSubmissionVersion(version, submission)
+        });
+    } catch (error) {
+        console.error('Get Submission Version Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the submission version.' 
+        });
+    }
+});
+
+// GET the authenticated student's submissions, optionally for one classroom (?classroomId=)
+app.get('/api/students/submissions', authenticateToken, requireStudent, async (req, res) => {
+    const { classroomId } = req.query;
+
+    try {
+        const submissions = await AssignmentSubmission.findAll({
+            where: {
+                student_id: req.user.id
+            },
+            include: [
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'assignment_title', 'due_date', 'classroom_id'],
+                    where: classroomId ? { classroom_id: classroomId } : undefined,
+                    include: [{
+                        model: Classroom,
+                        as: 'classroom',
+                        attributes: ['id', 'class_name', 'classroom_code']
+                    }]
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ],
+            order: [['submitted_at', 'DESC']]
+        });
+
+        res.status(200).json({
+            submissions: submissions.map(formatStudentSubmission)
+        });
+    } catch (error) {
+        console.error('Get Student Submissions Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching submissions.' 
+        });
+    }
+});
+
+// GET the authenticated student's submission for an assignment, with its grade and feedback
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/my-submission', authenticateToken, requireStudent, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+
+    try {
+        if (!(await DatabaseHelpers.isStudentEnrolled(req.user.id, classroomId))) {
+            return res.status(403).json({ message: 'You are not enrolled in this classroom.' });
+        }
+
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                student_id: req.user.id,
+                assignment_id: assignmentId
+            },
+            include: [
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'assignment_title', 'due_date', 'classroom_id'],
+                    where: { classroom_id: classroomId }
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ]
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'You have not submitted this assignment yet.' });
+        }
+
+        res.status(200).json({
+            submission: formatStudentSubmission(submission)
+        });
+    } catch (error) {
+        console.error('Get Student Assignment Submission Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the submission.' 
+        });
+    }
+});
+
+// GET one of the authenticated student's submissions
+app.get('/api/students/submissions/:submissionId', authenticateToken, requireStudent, async (req, res) => {
+    const { submissionId } = req.params;
+
+    try {
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                student_id: req.user.id
+            },
+            include: [
+                {
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'assignment_title', 'due_date', 'classroom_id'],
+                    include: [{
+                        model: Classroom,
+                        as: 'classroom',
+                        attributes: ['id', 'class_name', 'classroom_code']
+                    }]
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
+                }
+            ]
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        res.status(200).json({
+            submission: formatStudentSubmission(submission)
+        });
+    } catch (error) {
+        console.error('Get Student Submission Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the submission.' 
+        });
+    }
+});
+
+// GET annotated feedback for the authenticated student's returned submission
+app.get('/api/students/submissions/:submissionId/annotated', authenticateToken, requireStudent, async (req, res) => {
+    const { submissionId } = req.params;
+
+    try {
+        const submission = await AssignmentSubmission.findOne({
+            where: {
+                id: submissionId,
+                student_id: req.user.id
+            },
+            include: [{
+                model: AIEvaluation,
+                as: 'ai_evaluation'
+            }]
+        });
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+        if (submission.status !== 'returned' || !submission.annotated_file) {
+            return res.status(404).json({ 
+                message: 'Annotated feedback is available once your lecturer returns the submission.' 
+            });
+        }
+
+        // The stored PDF is what the lecturer returned; single pages are rendered on request from the
+        // attempt and evaluation it was made from. Feedback returned before those were kept uses the current ones.
+        if (req.query.format === 'png') {
+            const returned = await getReturnedVersion(submission);
+            if (returned && returned.returned_evaluation) {
+                return await sendAnnotatedSubmission(req, res, submission, returned.returned_evaluation, { files: returned });
+            }
+            return await sendAnnotatedSubmission(req, res, submission, submission.ai_evaluation);
+        }
+        const annotatedPdf = await readSubmissionFile(submission.annotated_file);
+        res.attachment(`annotated-${submission.id}.pdf`);
+        res.type('application/pdf').send(annotatedPdf);
+    } catch (error) {
+        if (error.code === 'FILE_NOT_FOUND') {
+            return res.status(404).json({ message: 'The annotated feedback is no longer available.' });
+        }
+        console.error('Student Annotated Submission Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred while fetching the annotated submission.' });
+    }
+});
+
+// --- Submission files ---
+
+// page and attempt select one photo page or an earlier attempt; both are optional positive integers
+const parseFileOptions = (query) => {
+    const options = {};
+    for (const key of ['page', 'attempt']) {
+        if (query[key] === undefined) {
+            options[key] = null;
+            continue;
+        }
+        const value = Number(query[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            return { error: `${key} must be a positive integer.` };
+        }
+        options[key] = value;
+    }
+    return { options };
+};
+
+// What a signed URL grants access to: one file of one submission
+const fileResource = (submissionId, { page, attempt }) => `submission:${Number(submissionId)}:page:${page || 0}:attempt:${attempt || 0}`;
+
+// Requests with a signature are authorized by it; all others need an access token
+const authenticateFileRequest = (req, res, next) => {
+    if (req.query.signature === undefined) {
+        return authenticateToken(req, res, next);
+    }
+    const { options } = parseFileOptions(req.query);
+    if (!options || !verifyFileAccess(fileResource(req.params.submissionId, options), req.query.expires, req.query.signature)) {
+        return res.status(403).json({ message: 'This file link is invalid or has expired.' });
+    }
+    req.signedFileAccess = true;
+    next();
+};
+
+const loadSubmissionForFiles = (submissionId) => AssignmentSubmission.findByPk(submissionId, {
+    include: [{
+        model: Assignment,
+        as: 'assignment',
+        attributes: ['id', 'classroom_id'],
+        required: true,
+        include: [{
+            model: Classroom,
+            as: 'classroom',
+            attributes: ['id', 'created_by'],
+            required: true
+        }]
+    }]
+});
+
+// Only the student who submitted and the lecturer who owns the classroom may read a submission's files
+const canAccessSubmissionFiles = (user, submission) => (
+    (user.type === 'student' && submission.student_id === user.id) ||
+    (user.type === 'lecturer' && submission.assignment.classroom.created_by === user.id)
+);
+
+// The stored key and download name of the requested file, or null when there is no such file
+const findSubmissionFile = async (submission, { page, attempt }) => {
+    let source = submission;
+    if (attempt) {
+        source = await SubmissionVersion.findOne({
+            where: { submission_id: submission.id, attempt_number: attempt }
+        });
+        if (!source) {
+            return null;
+        }
+    }
+
+    if (page) {
+        const key = Array.isArray(source.page_files) ? source.page_files[page - 1] : null;
+        if (!key) {
+            return null;
+        }
+        const baseName = path.parse(source.file_name || `submission-${submission.id}`).name;
+        return { key, name: `${baseName}-page-${page}${path.extname(key)}` };
+    }
+    return source.assignment_file
+        ? { key: source.assignment_file, name: source.file_name || `submission-${submission.id}${path.extname(source.assignment_file)}` }
+        : null;
+};
+
+// GET a submission's stored file (?page=N, ?attempt=N, ?download=true to save instead of display).
+// Authorized by an access token or by a signed URL from the file-url route.
+app.get('/api/submissions/:submissionId/file', authenticateFileRequest, async (req, res) => {
+    const { options, error } = parseFileOptions(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const submission = await loadSubmissionForFiles(req.params.submissionId);
+        if (!submission || (!req.signedFileAccess && !canAccessSubmissionFiles(req.user, submission))) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+
+        const file = await findSubmissionFile(submission, options);
+        if (!file) {
+            return res.status(404).json({ message: 'File not found.' });
+        }
+        const contents = await readSubmissionFile(file.key);
+
+        // Student work must not linger in shared caches
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (req.query.download === 'true') {
+            res.attachment(file.name);
+        }
+        res.type(contentTypeOf(file.key)).send(contents);
+    } catch (error) {
+        if (error.code === 'FILE_NOT_FOUND') {
+            return res.status(404).json({ message: 'The file is no longer available.' });
+        }
+        console.error('Submission File Error:', error);
+        res.status(500).json({ message: 'An error occurred while fetching the submission file.' });
+    }
+});
+
+// GET a short-lived signed URL for a submission file, for embedding where no Authorization header is sent
+app.get('/api/submissions/:submissionId/file-url', authenticateToken, async (req, res) => {
+    const { options, error } = parseFileOptions(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const submission = await loadSubmissionForFiles(req.params.submissionId);
+        if (!submission || !canAccessSubmissionFiles(req.user, submission)) {
+            return res.status(404).json({ message: 'Submission not found.' });
+        }
+        if (!(await findSubmissionFile(submission, options))) {
+            return res.status(404).json({ message: 'File not found.' });
         }
+
+        const { expires, signature } = signFileAccess(fileResource(submission.id, options));
+        const url = submissionFileUrl(submission.id, options);
+        res.status(200).json({
+            url: `${url}${url.includes('?') ? '&' : '?'}expires=${expires}&signature=${signature}`,
+            expires_at: new Date(expires * 1000)
+        });
+    } catch (error) {
+        console.error('Submission File URL Error:', error);
+        res.status(500).json({ message: 'An error occurred while creating the file link.' });
     }
+});
+
+// POST queue AI grading for every ungraded submission of an assignment
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/grade-all', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
 
     try {
-        // Verify classroom exists
-        const classroom = await Classroom.findByPk(classroomId);
+        // Verify classroom exists and belongs to the authenticated lecturer
+        const classroom = await Classroom.findOne({
+            where: {
+                id: classroomId,
+                created_by: req.user.id
+            }
+        });
         if (!classroom) {
-            return res.status(404).json({ message: 'Classroom not found.' });
+            return res.status(404).json({ 
+                message: 'Classroom not found or you do not have permission to evaluate submissions in this classroom.' 
+            });
         }
 
         // Verify assignment exists and belongs to the classroom
@@ -995,125 +4391,51 @@ app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', u
             return res.status(404).json({ message: 'Assignment not found in this classroom.' });
         }
 
-        // Verify student exists
-        const student = await Student.findByPk(studentId);
-        if (!student) {
-            return res.status(404).json({ message: 'Student not found.' });
-        }
-
-        // Check if student already has a submission for this assignment
-        const existingSubmission = await AssignmentSubmission.findOne({
+        // Ungraded means no lecturer mark yet and no completed AI evaluation
+        const submissions = await AssignmentSubmission.findAll({
             where: {
-                student_id: studentId,
-                assignment_id: assignmentId
-            }
+                assignment_id: assignmentId,
+                mark: null,
+                assignment_file: { [Op.ne]: null }
+            },
+            include: [{
+                model: AIEvaluation,
+                as: 'ai_evaluation'
+            }]
         });
+        const ungradedSubmissions = submissions.filter(submission =>
+            !submission.ai_evaluation || submission.ai_evaluation.status !== 'completed'
+        );
 
-        // Prepare submission data
-        let submissionData = {
-            submitted_at: new Date(),
-            status: 'submitted'
-        };
-
-        if (isFileUpload) {
-            // File upload submission
-            submissionData.assignment_file = `/public/submissions/${req.file.filename}`;
-            submissionData.file_name = req.file.originalname;
+        // Queue no more jobs than the AI quota has calls left; the rest wait for the quota to reset
+        const quota = await loadQuotaStatus(req.user.id);
+        if (quota.exhausted && ungradedSubmissions.length > 0) {
+            return sendQuotaExceeded(res, quota);
         }
-        // } else {
-        //     // JSON submission
-        //     submissionData.file_data = fileData;
-        //     submissionData.file_name = fileName;
-        // }
+        const queueable = quota.calls_remaining === null
+            ? ungradedSubmissions
+            : ungradedSubmissions.slice(0, quota.calls_remaining);
 
-        // If submission exists, update it; otherwise create new one
-        let submissionResult;
-        if (existingSubmission) {
-            // Update existing submission
-            await existingSubmission.update(submissionData);
-            submissionResult = existingSubmission;
-        } else {
-            // Create new submission
-            submissionResult = await AssignmentSubmission.create({
-                student_id: parseInt(studentId),
-                assignment_id: parseInt(assignmentId),
-                ...submissionData
-            });
+        const gradingJobs = [];
+        for (const submission of queueable) {
+            gradingJobs.push(await enqueueGradingJob(submission.id, { requestedBy: req.user.id }));
         }
 
-        // Fetch the submission with related data
-        const submissionWithDetails = await AssignmentSubmission.findByPk(submissionResult.id, {
-            include: [
-                {
-                    model: Student,
-                    as: 'student',
-                    attributes: ['id', 'name', 'email']
-                },
-                {
-                    model: Assignment,
-                    as: 'assignment',
-                    attributes: ['id', 'assignment_title', 'due_date'],
-                    include: [{
-                        model: Classroom,
-                        as: 'classroom',
-                        attributes: ['id', 'class_name', 'classroom_code']
-                    }]
-                }
-            ]
-        });
-
-        res.status(201).json({
-            message: existingSubmission ? 'Submission updated successfully.' : 'Submission created successfully.',
-            submission: {
-                id: submissionWithDetails.id,
-                student_id: submissionWithDetails.student_id,
-                assignment_id: submissionWithDetails.assignment_id,
-                file_name: submissionWithDetails.file_name,
-                file_path: submissionWithDetails.assignment_file,
-                submitted_at: submissionWithDetails.submitted_at,
-                status: submissionWithDetails.status,
-                mark: submissionWithDetails.mark,
-                feedback: submissionWithDetails.feedback,
-                graded_at: submissionWithDetails.graded_at,
-                student: submissionWithDetails.student,
-                assignment: submissionWithDetails.assignment
-            }
+        res.status(202).json({
+            message: `Queued AI grading for ${gradingJobs.length} submission(s).`,
+            grading_jobs: gradingJobs.map(formatGradingJob),
+            total_queued: gradingJobs.length,
+            skipped_over_quota: ungradedSubmissions.length - queueable.length
         });
     } catch (error) {
-        console.error('Assignment Submission Error:', error);
-        
-        // Handle multer errors
-        if (error instanceof multer.MulterError) {
-            if (error.code === 'LIMIT_FILE_SIZE') {
-                return res.status(400).json({ 
-                    message: 'File size too large. Maximum size is 10MB.' 
-                });
-            }
-            return res.status(400).json({ 
-                message: error.message 
-            });
-        }
-        
-        // Handle validation errors
-        if (error.name === 'SequelizeValidationError') {
-            const validationErrors = error.errors.map(err => ({
-                field: err.path,
-                message: err.message
-            }));
-            return res.status(400).json({ 
-                message: 'Validation failed.',
-                errors: validationErrors
-            });
-        }
-        
-        res.status(500).json({ message: error.message || 'An error occurred during submission.' });
+        console.error('Bulk Grading Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred while queueing submissions for grading.' });
     }
 });
 
-// PUT update a submission (grade it) - now using MySQL
-app.put('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:submissionId', authenticateToken, requireLecturer, async (req, res) => {
-    const { classroomId, assignmentId, submissionId } = req.params;
-    const { mark, feedback } = req.body;
+// GET grading jobs for an assignment (progress of bulk grading)
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/grading-jobs', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
 
     try {
         // Verify classroom exists and belongs to the authenticated lecturer
@@ -1125,7 +4447,7 @@ app.put('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:sub
         });
         if (!classroom) {
             return res.status(404).json({ 
-                message: 'Classroom not found or you do not have permission to grade submissions in this classroom.' 
+                message: 'Classroom not found or you do not have permission to view grading jobs in this classroom.' 
             });
         }
 
@@ -1140,81 +4462,151 @@ app.put('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/:sub
             return res.status(404).json({ message: 'Assignment not found in this classroom.' });
         }
 
-        // Find the submission
-        const submission = await AssignmentSubmission.findOne({
-            where: {
-                id: submissionId,
-                assignment_id: assignmentId
-            }
+        const gradingJobs = await GradingJob.findAll({
+            include: [{
+                model: AssignmentSubmission,
+                as: 'submission',
+                attributes: ['id', 'student_id'],
+                where: { assignment_id: assignmentId }
+            }],
+            order: [['created_at', 'DESC']]
         });
-        if (!submission) {
-            return res.status(404).json({ message: 'Submission not found.' });
+
+        const statusCounts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0, quota_exceeded: 0 };
+        gradingJobs.forEach(job => { statusCounts[job.status] += 1; });
+
+        res.status(200).json({
+            grading_jobs: gradingJobs.map(formatGradingJob),
+            status_counts: statusCounts,
+            total_jobs: gradingJobs.length
+        });
+    } catch (error) {
+        console.error('Get Grading Jobs Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching grading jobs.' 
+        });
+    }
+});
+
+// GET a grading job's status
+app.get('/api/grading-jobs/:id', authenticateToken, requireLecturer, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const gradingJob = await GradingJob.findByPk(id, {
+            include: [{
+                model: AssignmentSubmission,
+                as: 'submission',
+                attributes: ['id', 'student_id', 'assignment_id'],
+                include: [{
+                    model: Assignment,
+                    as: 'assignment',
+                    attributes: ['id', 'classroom_id'],
+                    include: [{
+                        model: Classroom,
+                        as: 'classroom',
+                        attributes: ['id', 'created_by']
+                    }]
+                }]
+            }]
+        });
+
+        // Lecturers can only see jobs for submissions in their own classrooms
+        if (!gradingJob || !gradingJob.submission || gradingJob.submission.assignment.classroom.created_by !== req.user.id) {
+            return res.status(404).json({ 
+                message: 'Grading job not found or you do not have access to it.' 
+            });
         }
 
-        // Update the submission with grade and feedback
-        await submission.update({
-            mark: mark || null,
-            feedback: feedback || null,
-            graded_by: req.user.id,
-            graded_at: new Date(),
-            status: 'graded'
+        res.status(200).json({
+            grading_job: formatGradingJob(gradingJob)
+        });
+    } catch (error) {
+        console.error('Get Grading Job Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while fetching the grading job.' 
         });
+    }
+});
 
-        // Fetch the updated submission with related data
-        const updatedSubmission = await AssignmentSubmission.findByPk(submission.id, {
+// GET assignment analytics: score distributions, per-problem averages, error-type frequencies,
+// common conceptual errors per problem and merged teacher recommendations
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/analytics', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+
+    try {
+        const assignment = await findLecturerAssignment(req.user.id, classroomId, assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ 
+                message: 'Assignment not found or you do not have permission to access it.' 
+            });
+        }
+
+        const submissions = await AssignmentSubmission.findAll({
+            where: { assignment_id: assignment.id },
+            attributes: ['id', 'assignment_id', 'mark'],
+            include: [{ model: AIEvaluation, as: 'ai_evaluation' }]
+        });
+
+        res.status(200).json({
+            assignment: {
+                id: assignment.id,
+                assignment_title: assignment.assignment_title,
+                category: assignment.category,
+                due_date: assignment.due_date,
+                classroom_id: assignment.classroom_id
+            },
+            ...buildAssignmentAnalytics(submissions)
+        });
+    } catch (error) {
+        console.error('Get Assignment Analytics Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while building assignment analytics.' 
+        });
+    }
+});
+
+// GET an assignment's submissions as a CSV or XLSX file (?format=csv|xlsx&lang=en|he&include_ai=true)
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions/export', authenticateToken, requireLecturer, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
+    const includeAi = req.query.include_ai === 'true' || req.query.include_ai === '1';
+
+    try {
+        const assignment = await findLecturerAssignment(req.user.id, classroomId, assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ 
+                message: 'Assignment not found or you do not have permission to view submissions in this classroom.' 
+            });
+        }
+
+        const submissions = await AssignmentSubmission.findAll({
+            where: { assignment_id: assignment.id },
             include: [
                 {
                     model: Student,
                     as: 'student',
                     attributes: ['id', 'name', 'email']
                 },
-                {
-                    model: Assignment,
-                    as: 'assignment',
-                    attributes: ['id', 'assignment_title', 'due_date']
-                },
-                {
-                    model: Lecturer,
-                    as: 'grader',
-                    attributes: ['id', 'name', 'email']
-                }
+                ...(includeAi ? [{ model: AIEvaluation, as: 'ai_evaluation' }] : [])
             ]
         });
+        submissions.sort((a, b) => (a.student ? a.student.name : '').localeCompare(b.student ? b.student.name : ''));
 
-        res.status(200).json({
-            message: 'Submission graded successfully.',
-            submission: {
-                id: updatedSubmission.id,
-                student_id: updatedSubmission.student_id,
-                assignment_id: updatedSubmission.assignment_id,
-                file_name: updatedSubmission.file_name,
-                submitted_at: updatedSubmission.submitted_at,
-                mark: updatedSubmission.mark,
-                feedback: updatedSubmission.feedback,
-                graded_by: updatedSubmission.graded_by,
-                graded_at: updatedSubmission.graded_at,
-                status: updatedSubmission.status,
-                student: updatedSubmission.student,
-                assignment: updatedSubmission.assignment,
-                grader: updatedSubmission.grader
-            }
+        await sendExport(res, buildSubmissionTable(submissions, { ...options, includeAi }), {
+            ...options,
+            fileName: `${assignment.assignment_title} submissions`,
+            sheetName: assignment.assignment_title
         });
     } catch (error) {
-        console.error('Submission Grading Error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'SequelizeValidationError') {
-            const validationErrors = error.errors.map(err => ({
-                field: err.path,
-                message: err.message
-            }));
-            return res.status(400).json({ 
-                message: 'Validation failed.',
-                errors: validationErrors
-            });
-        }
-        
-        res.status(500).json({ message: error.message || 'An error occurred while grading the submission.' });
+        console.error('Export Assignment Submissions Error:', error);
+        res.status(500).json({ 
+            message: 'An error occurred while exporting submissions for this assignment.' 
+        });
     }
 });
 
@@ -1272,6 +4664,10 @@ app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', au
                     model: Lecturer,
                     as: 'grader',
                     attributes: ['id', 'name', 'email']
+                },
+                {
+                    model: AIEvaluation,
+                    as: 'ai_evaluation'
                 }
             ],
             order: [['submitted_at', 'DESC']]
@@ -1290,7 +4686,7 @@ app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', au
                 student_id: submission.student_id,
                 assignment_id: submission.assignment_id,
                 file_name: submission.file_name,
-                file_path: submission.assignment_file,
+                file_url: submission.assignment_file ? submissionFileUrl(submission.id) : null,
                 submitted_at: submission.submitted_at,
                 status: submission.status,
                 mark: submission.mark,
@@ -1301,7 +4697,8 @@ app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', au
                 updated_at: submission.updated_at,
                 student: submission.student,
                 assignment: submission.assignment,
-                grader: submission.grader
+                grader: submission.grader,
+                ai_evaluation: submission.ai_evaluation
             })),
             total_submissions: submissions.length
         });
@@ -1318,6 +4715,10 @@ app.get('/api/classrooms/:classroomId/assignments/:assignmentId/submissions', au
 // Initialize database and start server
 async function startServer() {
     try {
+        // Tokens signed with the development fallback secret could be forged by anyone
+        assertJwtSecretConfigured();
+        assertMailerConfigured();
+
         // Initialize database connection
         const dbInitialized = await initializeDatabase();
         
@@ -1327,6 +4728,21 @@ async function startServer() {
         }
         
         console.log('✅ Database connection established successfully.');
+
+        // Fail early when the storage backend is misconfigured, before any worker reads from it
+        const storage = getStorage();
+
+        // Submission files uploaded while they were publicly served move to the storage backend
+        const movedFiles = await moveLegacySubmissionFiles();
+        if (movedFiles) {
+            console.log(`📦 Moved ${movedFiles} submission file(s) out of public/ into ${storage.name} storage.`);
+        }
+
+        // Start background workers for queued AI grading jobs
+        await startGradingWorkers();
+
+        // Expired and long-revoked refresh tokens are no longer needed
+        scheduleRefreshTokenPruning();
         
         // Start the server
         app.listen(PORT, () => {
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { sequelize, Lecturer } = require('./models');
+
+const USAGE = 'Usage: node setAIQuota.js --email <lecturer email> [--institution <name|none>] [--calls <number|default>] [--tokens <number|default>]';
+
+// "default" clears a lecturer's own limit so the AI_MONTHLY_* default applies again
+const parseLimit = (flag, value) => {
+  if (value === 'default') {
+    return { value: null };
+  }
+  if (!/^\d+$/.test(value || '')) {
+    return { error: `${flag} must be a non-negative whole number or "default".` };
+  }
+  return { value: Number(value) };
+};
+
+// Turn command line arguments into the lecturer to change and the column updates
+const parseQuotaArgs = (args) => {
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const email = valueOf('--email');
+  if (!email) {
+    return { error: USAGE };
+  }
+
+  const updates = {};
+  const institution = valueOf('--institution');
+  if (institution !== undefined) {
+    if (!institution || institution.length > 255) {
+      return { error: '--institution must be a name of at most 255 characters, or "none".' };
+    }
+    updates.institution = institution === 'none' ? null : institution;
+  }
+  for (const [flag, column] of [['--calls', 'ai_monthly_call_quota'], ['--tokens', 'ai_monthly_token_quota']]) {
+    if (args.includes(flag)) {
+      const { value, error } = parseLimit(flag, valueOf(flag));
+      if (error) {
+        return { error };
+      }
+      updates[column] = value;
+    }
+  }
+  if (Object.keys(updates).length === 0) {
+    return { error: USAGE };
+  }
+  return { email, updates };
+};
+
+async function runSetAIQuota() {
+  const { email, updates, error } = parseQuotaArgs(process.argv.slice(2));
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+
+  try {
+    await sequelize.authenticate();
+    const lecturer = await Lecturer.findOne({ where: { email } });
+    if (!lecturer) {
+      console.error(`❌ No lecturer with the email ${email}.`);
+      process.exit(1);
+    }
+
+    await lecturer.update(updates);
+    console.log(`✅ ${lecturer.email}: institution ${lecturer.institution || 'none'}, ` +
+      `calls ${lecturer.ai_monthly_call_quota === null ? 'default' : lecturer.ai_monthly_call_quota}, ` +
+      `tokens ${lecturer.ai_monthly_token_quota === null ? 'default' : lecturer.ai_monthly_token_quota}.`);
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Updating the AI quota failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runSetAIQuota();
+}
+
+module.exports = { parseQuotaArgs };
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuotaArgs } = require('./setAIQuota');
+
+test('limits and the institution are parsed into lecturer columns', () => {
+  assert.deepEqual(parseQuotaArgs(['--email', 'lecturer@example.com', '--institution', 'Technion', '--calls', '500', '--tokens', 'default']), {
+    email: 'lecturer@example.com',
+    updates: { institution: 'Technion', ai_monthly_call_quota: 500, ai_monthly_token_quota: null }
+  });
+  assert.deepEqual(parseQuotaArgs(['--email', 'lecturer@example.com', '--institution', 'none']).updates, { institution: null });
+});
+
+test('missing or malformed arguments are refused', () => {
+  assert.match(parseQuotaArgs(['--calls', '5']).error, /Usage/);
+  assert.match(parseQuotaArgs(['--email', 'lecturer@example.com']).error, /Usage/);
+  assert.match(parseQuotaArgs(['--email', 'lecturer@example.com', '--calls', '-1']).error, /--calls/);
+  assert.match(parseQuotaArgs(['--email', 'lecturer@example.com', '--tokens']).error, /--tokens/);
+});
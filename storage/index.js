@@ -0,0 +1,38 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+// Every driver implements { name, put(key, body, { contentType }), get(key), exists(key), remove(key) }.
+// Keys are relative paths such as submissions/x.pdf; get rejects with code FILE_NOT_FOUND for missing files.
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+const createStorage = (name) => {
+    if (!DRIVERS[name]) {
+        throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}.`);
+    }
+    return DRIVERS[name]();
+};
+
+let storage = null;
+
+// STORAGE_DRIVER picks the driver: local (default) or s3
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+    }
+    return storage;
+};
+
+// Replace the storage, e.g. with an in-memory one in tests
+const setStorage = (replacement) => {
+    storage = replacement;
+};
+
+module.exports = {
+    STORAGE_DRIVERS: Object.keys(DRIVERS),
+    createStorage,
+    getStorage,
+    setStorage
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+const notFound = (key) => {
+    const error = new Error(`Stored file "${key}" was not found.`);
+    error.code = 'FILE_NOT_FOUND';
+    return error;
+};
+
+// Files kept on this server's disk under STORAGE_LOCAL_DIR (default uploads/ in the app directory).
+// Only suitable for a single instance, or several sharing one network volume.
+const createLocalStorage = () => {
+    const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // Keys are relative paths such as submissions/x.pdf; anything escaping the root is refused
+    const pathOf = (key) => {
+        const resolved = path.resolve(rootDir, key);
+        if (!resolved.startsWith(rootDir + path.sep)) {
+            throw new Error('Invalid storage key.');
+        }
+        return resolved;
+    };
+
+    return {
+        name: 'local',
+        rootDir,
+        put: async (key, body) => {
+            const filePath = pathOf(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+        },
+        get: async (key) => {
+            try {
+                return await fs.promises.readFile(pathOf(key));
+            } catch (error) {
+                throw error.code === 'ENOENT' ? notFound(key) : error;
+            }
+        },
+        exists: async (key) => fs.promises.access(pathOf(key)).then(() => true, () => false),
+        remove: async (key) => {
+            await fs.promises.unlink(pathOf(key)).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+    };
+};
+
+module.exports = { createLocalStorage };
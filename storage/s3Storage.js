@@ -0,0 +1,67 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    Boolean(error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Files kept in an S3 bucket, or any S3-compatible service such as MinIO (set S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true). Every server instance sees the same files.
+const createS3Storage = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver.');
+    }
+    const prefix = process.env.S3_PREFIX || '';
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // Without explicit keys the SDK uses its default chain (environment, shared config, instance role)
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined
+    });
+    const objectKey = (key) => `${prefix}${key}`;
+
+    return {
+        name: 's3',
+        bucket,
+        put: async (key, body, { contentType } = {}) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Body: body,
+                ContentType: contentType
+            }));
+        },
+        get: async (key) => {
+            try {
+                const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return Buffer.from(await response.Body.transformToByteArray());
+            } catch (error) {
+                if (isNotFound(error)) {
+                    const notFound = new Error(`Stored file "${key}" was not found.`);
+                    notFound.code = 'FILE_NOT_FOUND';
+                    throw notFound;
+                }
+                throw error;
+            }
+        },
+        exists: async (key) => {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return true;
+            } catch (error) {
+                if (isNotFound(error)) {
+                    return false;
+                }
+                throw error;
+            }
+        },
+        // Deleting a missing object succeeds in S3, so this never fails for unknown keys
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        }
+    };
+};
+
+module.exports = { createS3Storage };
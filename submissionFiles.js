@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+// Where files were stored, and publicly served, before they moved to the storage backend
+const LEGACY_SUBMISSIONS_DIR = path.join(__dirname, 'public', 'submissions');
+const LEGACY_PREFIX = '/public/';
+
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+// The value stored in assignment_file, page_files and annotated_file for a file in the submissions area
+const submissionFileKey = (fileName) => `submissions/${fileName}`;
+
+// Storage key of a stored value. Values saved while files lived in public/ (/public/submissions/x.pdf) map
+// to the same key as new ones.
+const storageKeyOf = (storedPath) => storedPath.startsWith(LEGACY_PREFIX)
+    ? storedPath.slice(LEGACY_PREFIX.length)
+    : storedPath.replace(/^\/+/, '');
+
+const contentTypeOf = (storedPath) => CONTENT_TYPES[path.extname(storedPath).toLowerCase()] || 'application/octet-stream';
+
+// Store a new submission file and return the value to save on the record
+const saveSubmissionFile = async (fileName, body) => {
+    const key = submissionFileKey(fileName);
+    await getStorage().put(key, body, { contentType: contentTypeOf(fileName) });
+    return key;
+};
+
+const readSubmissionFile = (storedPath) => getStorage().get(storageKeyOf(storedPath));
+
+const deleteSubmissionFile = (storedPath) => getStorage().remove(storageKeyOf(storedPath));
+
+// Move files left in public/submissions by older versions into the storage backend. Anything that is not
+// a plain file is left alone, and files another server process moves at the same time are skipped.
+const moveLegacySubmissionFiles = async (directory = LEGACY_SUBMISSIONS_DIR) => {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+
+    let moved = 0;
+    for (const entry of entries.filter(item => item.isFile())) {
+        const filePath = path.join(directory, entry.name);
+        let contents;
+        try {
+            contents = await fs.promises.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+        await saveSubmissionFile(entry.name, contents);
+        await fs.promises.unlink(filePath).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+        moved++;
+    }
+    return moved;
+};
+
+module.exports = {
+    storageKeyOf,
+    contentTypeOf,
+    saveSubmissionFile,
+    readSubmissionFile,
+    deleteSubmissionFile,
+    moveLegacySubmissionFiles
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setStorage } = require('./storage');
+const { moveLegacySubmissionFiles, storageKeyOf } = require('./submissionFiles');
+
+// A storage backend that keeps files in a Map
+const memoryStorage = () => {
+    const files = new Map();
+    return {
+        name: 'memory',
+        files,
+        put: async (key, body) => { files.set(key, body); },
+        get: async (key) => files.get(key),
+        remove: async (key) => { files.delete(key); },
+        exists: async (key) => files.has(key)
+    };
+};
+
+test('legacy files move into storage and directories are left alone', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-submissions-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const storage = memoryStorage();
+    setStorage(storage);
+    t.after(() => setStorage(null));
+
+    fs.writeFileSync(path.join(directory, 'a.pdf'), 'pdf');
+    fs.writeFileSync(path.join(directory, 'b.jpg'), 'jpg');
+    fs.mkdirSync(path.join(directory, 'nested'));
+
+    assert.equal(await moveLegacySubmissionFiles(directory), 2);
+    assert.deepEqual([...storage.files.keys()].sort(), ['submissions/a.pdf', 'submissions/b.jpg']);
+    assert.deepEqual(fs.readdirSync(directory), ['nested']);
+});
+
+test('a missing legacy directory moves nothing', async () => {
+    assert.equal(await moveLegacySubmissionFiles(path.join(os.tmpdir(), 'no-such-legacy-dir-for-tests')), 0);
+});
+
+test('paths saved while files were public map to the same storage key', () => {
+    assert.equal(storageKeyOf('/public/submissions/a.pdf'), 'submissions/a.pdf');
+    assert.equal(storageKeyOf('submissions/a.pdf'), 'submissions/a.pdf');
+});
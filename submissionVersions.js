@@ -0,0 +1,251 @@
+const { Op } = require('sequelize');
+const { SubmissionVersion } = require('./models');
+const { applyLatePenalty } = require('./latePolicy');
+
+const COUNTING_POLICIES = ['latest', 'highest'];
+
+const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+// The parts of a completed AI evaluation worth keeping with an attempt
+const snapshotEvaluation = (evaluation) => {
+    if (!evaluation || evaluation.status !== 'completed') {
+        return null;
+    }
+    return {
+        overall_score: toNumber(evaluation.overall_score),
+        problem_breakdown: evaluation.problem_breakdown,
+        warnings: evaluation.warnings,
+        flagged: evaluation.flagged,
+        page_count: evaluation.page_count,
+        model_name: evaluation.model_name,
+        evaluated_at: evaluation.evaluated_at,
+        review_status: evaluation.review_status
+    };
+};
+
+// Record the submission's current file as a new attempt
+const recordAttempt = async (submission) => SubmissionVersion.create({
+    submission_id: submission.id,
+    attempt_number: submission.attempt_count,
+    assignment_file: submission.assignment_file,
+    file_name: submission.file_name,
+    file_type: submission.file_type,
+    page_files: submission.page_files,
+    submitted_at: submission.submitted_at,
+    is_late: submission.is_late,
+    late_days: submission.late_days,
+    late_penalty: submission.late_penalty
+});
+
+// The version for the submission's current attempt. Submissions made before versions existed
+// get theirs created here from the submission's own state.
+const getCurrentVersion = async (submission) => {
+    const [version] = await SubmissionVersion.findOrCreate({
+        where: {
+            submission_id: submission.id,
+            attempt_number: submission.attempt_count
+        },
+        defaults: {
+            assignment_file: submission.assignment_file,
+            file_name: submission.file_name,
+            file_type: submission.file_type,
+            page_files: submission.page_files,
+            submitted_at: submission.submitted_at || submission.created_at,
+            is_late: submission.is_late,
+            late_days: submission.late_days,
+            late_penalty: submission.late_penalty,
+            mark: submission.mark,
+            feedback: submission.feedback,
+            graded_at: submission.graded_at,
+            graded_by: submission.graded_by
+        }
+    });
+    return version;
+};
+
+const recordVersionEvaluation = async (submission, evaluation) => {
+    const version = await getCurrentVersion(submission);
+    const snapshot = snapshotEvaluation(evaluation);
+    return version.update({
+        ai_evaluation: snapshot,
+        ai_score: snapshot ? snapshot.overall_score : null
+    });
+};
+
+const recordVersionGrade = async (submission, { mark, feedback, gradedBy, evaluation }) => {
+    const version = await getCurrentVersion(submission);
+    const snapshot = snapshotEvaluation(evaluation);
+    return version.update({
+        mark,
+        feedback: feedback || null,
+        graded_by: gradedBy,
+        graded_at: new Date(),
+        ...(snapshot && { ai_evaluation: snapshot, ai_score: snapshot.overall_score })
+    });
+};
+
+// Keep the evaluation the annotated feedback was rendered from with the attempt being returned,
+// so the feedback can be shown again exactly as returned after a later re-grade or edit
+const recordVersionReturn = async (submission, evaluation) => {
+    const version = await getCurrentVersion(submission);
+    return version.update({
+        returned_evaluation: snapshotEvaluation(evaluation),
+        returned_at: new Date()
+    });
+};
+
+// The most recently returned attempt of a submission, or null
+const getReturnedVersion = async (submission) => SubmissionVersion.findOne({
+    where: {
+        submission_id: submission.id,
+        returned_at: { [Op.ne]: null }
+    },
+    order: [['returned_at', 'DESC']]
+});
+
+const hasMark = (mark) => mark !== null && mark !== undefined;
+
+// A submission shows as graded or returned while it has a counted mark, even when its current attempt is
+// not graded yet (possible under "highest"); `graded` is set when it has just been graded. Without a counted
+// mark its status follows the current attempt's lateness.
+const submissionStatus = (submission, { mark, isLate, graded = false }) => {
+    if (hasMark(mark)) {
+        if (graded) {
+            return 'graded';
+        }
+        if (submission.status === 'graded' || submission.status === 'returned') {
+            return submission.status;
+        }
+    }
+    return isLate ? 'late' : 'submitted';
+};
+
+// What a new attempt changes on its submission. Under "latest" the submission is ungraded until the new
+// attempt is graded. Under "highest" an earlier mark keeps counting, and with it the submission time,
+// lateness, feedback, annotated file and status of the attempt it came from, until the new attempt is graded.
+const newAttemptUpdates = (submission, policy, { isLate }) => {
+    const attemptCount = submission.attempt_count + 1;
+    if (policy === 'highest' && hasMark(submission.mark)) {
+        return {
+            attempt_count: attemptCount,
+            status: submissionStatus(submission, { mark: submission.mark, isLate }),
+            submitted_at: submission.submitted_at,
+            is_late: submission.is_late,
+            late_days: submission.late_days,
+            late_penalty: submission.late_penalty
+        };
+    }
+    return {
+        attempt_count: attemptCount,
+        status: isLate ? 'late' : 'submitted',
+        mark: null,
+        counted_attempt: policy === 'highest' ? null : attemptCount,
+        feedback: null,
+        graded_by: null,
+        graded_at: null,
+        annotated_file: null
+    };
+};
+
+// An attempt's mark after its late penalty
+const getFinalMark = (version) => applyLatePenalty(version.mark, version.late_penalty);
+
+// The attempt whose mark counts: the latest attempt, or the graded attempt with the highest final mark
+// (the later attempt wins a tie). Returns null when nothing qualifies yet.
+const selectCountedVersion = (versions, policy) => {
+    if (versions.length === 0) {
+        return null;
+    }
+    const byAttempt = [...versions].sort((a, b) => a.attempt_number - b.attempt_number);
+    if (policy !== 'highest') {
+        return byAttempt[byAttempt.length - 1];
+    }
+
+    const graded = byAttempt.filter(version => version.mark !== null && version.mark !== undefined);
+    return graded.reduce((best, version) => (
+        !best || getFinalMark(version) >= getFinalMark(best) ? version : best
+    ), null);
+};
+
+// Final mark and attempt the submission should show under the counting policy, with the submission time,
+// lateness and feedback of that attempt so the submission never pairs one attempt's mark with another's.
+// When no attempt counts yet, those stay as the current attempt left them.
+const getCountedMark = async (submission, policy) => {
+    const versions = await SubmissionVersion.findAll({ where: { submission_id: submission.id } });
+    const counted = selectCountedVersion(versions, policy);
+    if (!counted) {
+        return { mark: null, counted_attempt: null };
+    }
+    return {
+        mark: getFinalMark(counted),
+        counted_attempt: counted.attempt_number,
+        submitted_at: counted.submitted_at,
+        is_late: counted.is_late,
+        late_days: counted.late_days,
+        late_penalty: counted.late_penalty,
+        feedback: counted.feedback
+    };
+};
+
+const scoreChange = (from, to) => {
+    const fromValue = toNumber(from);
+    const toValue = toNumber(to);
+    return {
+        from: fromValue,
+        to: toValue,
+        change: fromValue !== null && toValue !== null ? Math.round((toValue - fromValue) * 100) / 100 : null
+    };
+};
+
+// Compare two attempts: marks, AI scores and the per-problem AI breakdown
+const diffVersions = (fromVersion, toVersion) => {
+    const fromProblems = (fromVersion.ai_evaluation && fromVersion.ai_evaluation.problem_breakdown) || [];
+    const toProblems = (toVersion.ai_evaluation && toVersion.ai_evaluation.problem_breakdown) || [];
+    const problemCount = Math.max(fromProblems.length, toProblems.length);
+
+    const problems = [];
+    for (let index = 0; index < problemCount; index++) {
+        const before = fromProblems[index];
+        const after = toProblems[index];
+        const errorsBefore = before && Array.isArray(before.errors) ? before.errors : [];
+        const errorsAfter = after && Array.isArray(after.errors) ? after.errors : [];
+        problems.push({
+            problem: index + 1,
+            problem_description: (after || before).problem_description,
+            score: scoreChange(before ? before.score : null, after ? after.score : null),
+            errors: { from: errorsBefore.length, to: errorsAfter.length },
+            error_types: {
+                from: errorsBefore.map(error => error.error_type),
+                to: errorsAfter.map(error => error.error_type)
+            }
+        });
+    }
+
+    return {
+        from_attempt: fromVersion.attempt_number,
+        to_attempt: toVersion.attempt_number,
+        submitted_at: { from: fromVersion.submitted_at, to: toVersion.submitted_at },
+        file_changed: fromVersion.assignment_file !== toVersion.assignment_file,
+        mark: scoreChange(fromVersion.mark, toVersion.mark),
+        final_mark: scoreChange(getFinalMark(fromVersion), getFinalMark(toVersion)),
+        late_penalty: scoreChange(fromVersion.late_penalty, toVersion.late_penalty),
+        ai_score: scoreChange(fromVersion.ai_score, toVersion.ai_score),
+        problems
+    };
+};
+
+module.exports = {
+    COUNTING_POLICIES,
+    recordAttempt,
+    getCurrentVersion,
+    recordVersionEvaluation,
+    recordVersionGrade,
+    recordVersionReturn,
+    getReturnedVersion,
+    submissionStatus,
+    newAttemptUpdates,
+    getFinalMark,
+    selectCountedVersion,
+    getCountedMark,
+    diffVersions
+};
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SubmissionVersion } = require('./models');
+const { selectCountedVersion, getFinalMark, getCountedMark, submissionStatus, newAttemptUpdates } = require('./submissionVersions');
+
+test.afterEach(() => test.mock.restoreAll());
+
+const version = (attempt_number, mark, late_penalty = 0) => ({ attempt_number, mark, late_penalty });
+
+test('latest counts the last attempt, graded or not', () => {
+    const versions = [version(2, null), version(1, 90)];
+    assert.equal(selectCountedVersion(versions, 'latest').attempt_number, 2);
+});
+
+test('highest counts the best final mark after late penalties', () => {
+    const versions = [version(1, 80), version(2, 90, 20), version(3, null)];
+    assert.equal(selectCountedVersion(versions, 'highest').attempt_number, 1);
+    assert.equal(getFinalMark(versions[1]), 72);
+});
+
+test('highest prefers the later attempt on a tie and needs a graded attempt', () => {
+    assert.equal(selectCountedVersion([version(1, 70), version(2, 70)], 'highest').attempt_number, 2);
+    assert.equal(selectCountedVersion([version(1, null)], 'highest'), null);
+    assert.equal(selectCountedVersion([], 'latest'), null);
+});
+
+test('a graded submission keeps its status only while it has a counted mark', () => {
+    assert.equal(submissionStatus({ status: 'returned' }, { mark: 85, isLate: true }), 'returned');
+    assert.equal(submissionStatus({ status: 'graded' }, { mark: null, isLate: false }), 'submitted');
+    assert.equal(submissionStatus({ status: 'submitted' }, { mark: null, isLate: true }), 'late');
+});
+
+test('grading shows a submission as graded only when a mark counts', () => {
+    assert.equal(submissionStatus({ status: 'returned' }, { mark: 85, isLate: false, graded: true }), 'graded');
+    assert.equal(submissionStatus({ status: 'late' }, { mark: null, isLate: true, graded: true }), 'late');
+});
+
+test('under latest a new attempt clears the grade', () => {
+    const updates = newAttemptUpdates({ attempt_count: 1, mark: 85, status: 'returned' }, 'latest', { isLate: false });
+    assert.deepEqual(updates, {
+        attempt_count: 2,
+        status: 'submitted',
+        mark: null,
+        counted_attempt: 2,
+        feedback: null,
+        graded_by: null,
+        graded_at: null,
+        annotated_file: null
+    });
+});
+
+test('under highest a new attempt keeps the counted grade, its status and its lateness', () => {
+    const submittedAt = new Date('2026-03-01T10:00:00Z');
+    const submission = {
+        attempt_count: 1,
+        mark: 85,
+        status: 'returned',
+        submitted_at: submittedAt,
+        is_late: false,
+        late_days: 0,
+        late_penalty: 0
+    };
+    assert.deepEqual(newAttemptUpdates(submission, 'highest', { isLate: true }), {
+        attempt_count: 2,
+        status: 'returned',
+        submitted_at: submittedAt,
+        is_late: false,
+        late_days: 0,
+        late_penalty: 0
+    });
+
+    const ungraded = newAttemptUpdates({ attempt_count: 1, mark: null, status: 'submitted' }, 'highest', { isLate: true });
+    assert.equal(ungraded.status, 'late');
+    assert.equal(ungraded.counted_attempt, null);
+});
+
+test('the counted attempt brings its own submission time, lateness and feedback', async () => {
+    test.mock.method(SubmissionVersion, 'findAll', async () => [
+        { ...version(1, 90), submitted_at: 'on time', is_late: false, late_days: 0, feedback: 'Well done' },
+        { ...version(2, 70, 10), submitted_at: 'late', is_late: true, late_days: 1, feedback: 'Check step 2' }
+    ]);
+
+    assert.deepEqual(await getCountedMark({ id: 3 }, 'highest'), {
+        mark: 90,
+        counted_attempt: 1,
+        submitted_at: 'on time',
+        is_late: false,
+        late_days: 0,
+        late_penalty: 0,
+        feedback: 'Well done'
+    });
+    assert.equal((await getCountedMark({ id: 3 }, 'latest')).feedback, 'Check step 2');
+});
+
+test('without a graded attempt under highest nothing counts', async () => {
+    test.mock.method(SubmissionVersion, 'findAll', async () => [version(1, null)]);
+    assert.deepEqual(await getCountedMark({ id: 3 }, 'highest'), { mark: null, counted_attempt: null });
+});
@@ -0,0 +1,210 @@
+const { PDFDocument, PDFName, PDFDict, PDFArray, EncryptedPDFError } = require('pdf-lib');
+const { PDF_LIMITS, PDF_ERROR_CODES, pdfError } = require('./pdfConverter');
+
+// Largest accepted upload, per file, for every upload route
+const MAX_UPLOAD_BYTES = (parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 10) * 1024 * 1024;
+// Photos are decoded in full before they are scaled down, so their pixel count is limited up front
+const MAX_IMAGE_PIXELS = parseInt(process.env.UPLOAD_MAX_IMAGE_PIXELS, 10) || 50000000;
+
+const PDF_MIME_TYPE = 'application/pdf';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// HTTP status for every upload problem; errors with one of these codes are safe to show to the client
+const UPLOAD_ERROR_STATUS = {
+    FILE_TOO_LARGE: 413,
+    TOO_MANY_FILES: 400,
+    UNEXPECTED_FILE_FIELD: 400,
+    UNSUPPORTED_FILE_TYPE: 415,
+    FILE_TYPE_MISMATCH: 415,
+    IMAGE_INVALID: 422,
+    IMAGE_TOO_LARGE: 422,
+    ...Object.fromEntries(PDF_ERROR_CODES.map(code => [code, 422]))
+};
+
+const uploadError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isUploadError = (error) => Boolean(error && UPLOAD_ERROR_STATUS[error.code]);
+
+// Upload problems raised by multer itself (limits, unexpected fields) in the same form.
+// maxBytes is the size limit the multer instance was configured with.
+const fromMulterError = (error, { maxBytes = MAX_UPLOAD_BYTES } = {}) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return uploadError('FILE_TOO_LARGE', `File size too large. Maximum size is ${maxBytes / (1024 * 1024)}MB.`);
+        case 'LIMIT_FILE_COUNT':
+            return uploadError('TOO_MANY_FILES', 'Too many files were uploaded.');
+        case 'LIMIT_UNEXPECTED_FILE':
+            return uploadError('UNEXPECTED_FILE_FIELD', `Unexpected file field "${error.field}".`);
+        default:
+            return uploadError('UNEXPECTED_FILE_FIELD', error.message);
+    }
+};
+
+// The real type of a file from its first bytes, ignoring what the client claimed. PDF readers accept
+// the header anywhere in the first 1024 bytes, so the check does too.
+const sniffFileType = (buffer) => {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    if (buffer.subarray(0, 1024).includes('%PDF-')) {
+        return PDF_MIME_TYPE;
+    }
+    return null;
+};
+
+// Width and height from a PNG IHDR chunk or a JPEG start-of-frame marker, without decoding the image
+const readImageSize = (buffer, type) => {
+    if (type === 'image/png') {
+        return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+    }
+
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        // Any number of 0xFF fill bytes may come before a marker
+        while (buffer[offset + 1] === 0xFF && offset + 9 < buffer.length) {
+            offset++;
+        }
+        const marker = buffer[offset + 1];
+        // TEM and RST0-RST7 stand alone, without a length
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        // SOF0-SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+const validateImage = (buffer, type) => {
+    const size = readImageSize(buffer, type);
+    if (!size || size.width === 0 || size.height === 0) {
+        throw uploadError('IMAGE_INVALID', 'Could not read the image. It might be invalid or corrupted.');
+    }
+    if (size.width * size.height > MAX_IMAGE_PIXELS) {
+        throw uploadError('IMAGE_TOO_LARGE', `The image is ${size.width}x${size.height} pixels; the maximum is ${MAX_IMAGE_PIXELS} pixels.`);
+    }
+};
+
+// Actions that run code or open other files; links to web pages (URI) are kept
+const UNSAFE_ACTIONS = ['JavaScript', 'Launch', 'ImportData', 'SubmitForm', 'ResetForm', 'GoToE', 'Rendition'];
+
+const isUnsafeAction = (action) => {
+    if (!(action instanceof PDFDict)) {
+        return false;
+    }
+    const type = action.get(PDFName.of('S'));
+    return type instanceof PDFName && UNSAFE_ACTIONS.includes(type.decodeText());
+};
+
+// Remove page-level scripts, scripted link actions and file attachments from a copied page
+const sanitizePage = (page) => {
+    page.node.delete(PDFName.of('AA'));
+
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (!(annots instanceof PDFArray)) {
+        return;
+    }
+    const kept = [];
+    for (let index = 0; index < annots.size(); index++) {
+        const annot = annots.lookup(index);
+        if (!(annot instanceof PDFDict)) {
+            continue;
+        }
+        const subtype = annot.get(PDFName.of('Subtype'));
+        if (subtype instanceof PDFName && subtype.decodeText() === 'FileAttachment') {
+            continue;
+        }
+        annot.delete(PDFName.of('AA'));
+        if (isUnsafeAction(annot.lookup(PDFName.of('A')))) {
+            annot.delete(PDFName.of('A'));
+        }
+        kept.push(annots.get(index));
+    }
+    page.node.set(PDFName.of('Annots'), page.doc.context.obj(kept));
+};
+
+// Check a PDF against the page limits and rebuild it from its pages alone. Copying only the pages drops
+// everything hanging off the document catalog: document JavaScript, open actions, embedded files and
+// forms (including XFA). Page scripts and attachments are then removed from each page.
+const sanitizePdf = async (buffer) => {
+    let source;
+    let pageCount;
+    try {
+        source = await PDFDocument.load(buffer, { updateMetadata: false });
+        // A file without a usable page tree only fails once its pages are read
+        pageCount = source.getPageCount();
+    } catch (error) {
+        if (error instanceof EncryptedPDFError) {
+            throw pdfError('PDF_ENCRYPTED', 'The PDF is password protected. Upload a copy without a password.');
+        }
+        throw pdfError('PDF_INVALID', 'Could not read the PDF file. It might be invalid or corrupted.');
+    }
+
+    if (pageCount === 0) {
+        throw pdfError('PDF_EMPTY', 'The PDF file has no pages.');
+    }
+    if (pageCount > PDF_LIMITS.maxPages) {
+        throw pdfError('PDF_PAGE_LIMIT', `PDF has ${pageCount} pages; the maximum is ${PDF_LIMITS.maxPages}.`);
+    }
+    source.getPages().forEach((page, index) => {
+        const { width, height } = page.getSize();
+        if (Math.max(width, height) > PDF_LIMITS.maxPageDimension) {
+            throw pdfError('PDF_PAGE_TOO_LARGE', `Page ${index + 1} is larger than the maximum page size.`);
+        }
+    });
+
+    const sanitized = await PDFDocument.create({ updateMetadata: false });
+    const pages = await sanitized.copyPages(source, source.getPageIndices());
+    pages.forEach(page => {
+        sanitizePage(page);
+        sanitized.addPage(page);
+    });
+
+    return { buffer: Buffer.from(await sanitized.save()), pageCount };
+};
+
+// Validate an uploaded file by its content. expectedTypes lists the MIME types the field accepts.
+// Returns the detected type and the contents to keep: PDFs are sanitized, images are kept as sent.
+const inspectUpload = async (buffer, { expectedTypes, declaredType = null }) => {
+    const type = sniffFileType(buffer);
+    if (!type || !expectedTypes.includes(type)) {
+        throw uploadError('UNSUPPORTED_FILE_TYPE', `The file is not a ${expectedTypes.map(expected => expected.split('/')[1].toUpperCase()).join(' or ')} file.`);
+    }
+    // JPEG and PNG are treated alike, since phones often label one as the other
+    if (declaredType && (declaredType === PDF_MIME_TYPE) !== (type === PDF_MIME_TYPE)) {
+        throw uploadError('FILE_TYPE_MISMATCH', `The file was sent as ${declaredType} but its content is ${type}.`);
+    }
+
+    if (type === PDF_MIME_TYPE) {
+        const { buffer: sanitized, pageCount } = await sanitizePdf(buffer);
+        return { type, buffer: sanitized, pageCount };
+    }
+    validateImage(buffer, type);
+    return { type, buffer, pageCount: 1 };
+};
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    UPLOAD_ERROR_STATUS,
+    uploadError,
+    isUploadError,
+    fromMulterError,
+    sniffFileType,
+    readImageSize,
+    sanitizePdf,
+    inspectUpload
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const multer = require('multer');
+const { UPLOAD_ERROR_STATUS, fromMulterError, sniffFileType, readImageSize, inspectUpload } = require('./uploadValidator');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// A PNG header with an IHDR chunk of the given size
+const pngHeader = (width, height) => {
+    const buffer = Buffer.alloc(33);
+    Buffer.from(PNG_SIGNATURE).copy(buffer, 0);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12);
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+};
+
+// A JPEG with an APP0 segment before the SOF0 frame header. fillBytes adds 0xFF padding before the SOF marker.
+const jpegHeader = (width, height, { fillBytes = 0 } = {}) => Buffer.from([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46,
+    ...new Array(fillBytes).fill(0xFF),
+    0xFF, 0xC0, 0x00, 0x11, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 0x03,
+    ...new Array(9).fill(0)
+]);
+
+test('the file type comes from the content, not the name or declared type', () => {
+    assert.equal(sniffFileType(jpegHeader(10, 10)), 'image/jpeg');
+    assert.equal(sniffFileType(pngHeader(10, 10)), 'image/png');
+    assert.equal(sniffFileType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+    assert.equal(sniffFileType(Buffer.concat([Buffer.alloc(500, 0x20), Buffer.from('%PDF-1.4')])), 'application/pdf');
+    assert.equal(sniffFileType(Buffer.concat([Buffer.alloc(1100, 0x20), Buffer.from('%PDF-1.4')])), null);
+    assert.equal(sniffFileType(Buffer.from('<html><script>')), null);
+});
+
+test('image sizes are read from the PNG and JPEG headers', () => {
+    assert.deepEqual(readImageSize(pngHeader(640, 480), 'image/png'), { width: 640, height: 480 });
+    assert.deepEqual(readImageSize(jpegHeader(1024, 768), 'image/jpeg'), { width: 1024, height: 768 });
+});
+
+test('0xFF fill bytes before a JPEG marker are skipped', () => {
+    assert.deepEqual(readImageSize(jpegHeader(300, 200, { fillBytes: 1 }), 'image/jpeg'), { width: 300, height: 200 });
+    assert.deepEqual(readImageSize(jpegHeader(300, 200, { fillBytes: 5 }), 'image/jpeg'), { width: 300, height: 200 });
+});
+
+test('a JPEG without a frame header has no size', () => {
+    assert.equal(readImageSize(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]), 'image/jpeg'), null);
+    assert.equal(readImageSize(Buffer.from([0xFF, 0xD8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]), 'image/jpeg'), null);
+});
+
+test('uploads are refused when the content is not an accepted type or contradicts the declared type', async () => {
+    await assert.rejects(
+        inspectUpload(Buffer.from('GIF89a'), { expectedTypes: ['image/jpeg', 'image/png'] }),
+        { code: 'UNSUPPORTED_FILE_TYPE' }
+    );
+    await assert.rejects(
+        inspectUpload(jpegHeader(10, 10), { expectedTypes: ['application/pdf'] }),
+        { code: 'UNSUPPORTED_FILE_TYPE' }
+    );
+    await assert.rejects(
+        inspectUpload(Buffer.from('%PDF-1.7\n'), { expectedTypes: ['application/pdf', 'image/jpeg'], declaredType: 'image/jpeg' }),
+        { code: 'FILE_TYPE_MISMATCH' }
+    );
+});
+
+test('a PNG labelled as JPEG is accepted, oversized and empty images are not', async () => {
+    const accepted = await inspectUpload(pngHeader(800, 600), { expectedTypes: ['image/jpeg', 'image/png'], declaredType: 'image/jpeg' });
+    assert.equal(accepted.type, 'image/png');
+
+    await assert.rejects(
+        inspectUpload(pngHeader(100000, 100000), { expectedTypes: ['image/png'] }),
+        { code: 'IMAGE_TOO_LARGE' }
+    );
+    await assert.rejects(
+        inspectUpload(pngHeader(0, 10), { expectedTypes: ['image/png'] }),
+        { code: 'IMAGE_INVALID' }
+    );
+});
+
+test('multer limit errors become upload errors that name the route\'s own size limit', () => {
+    const tooLarge = fromMulterError(new multer.MulterError('LIMIT_FILE_SIZE', 'rosterFile'), { maxBytes: 1024 * 1024 });
+    assert.equal(UPLOAD_ERROR_STATUS[tooLarge.code], 413);
+    assert.match(tooLarge.message, /Maximum size is 1MB/);
+
+    const unexpected = fromMulterError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'other'));
+    assert.equal(UPLOAD_ERROR_STATUS[unexpected.code], 400);
+});
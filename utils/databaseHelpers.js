@@ -1,9 +1,13 @@
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const { 
+  sequelize,
   Lecturer, 
   Student, 
   Classroom, 
   Assignment, 
   AssignmentSubmission,
+  GradingJob,
   StudentClassroom 
 } = require('../models');
 
@@ -77,6 +81,112 @@ class DatabaseHelpers {
     });
   }
 
+  static async isStudentEnrolled(studentId, classroomId) {
+    const enrollment = await StudentClassroom.findOne({
+      where: { student_id: studentId, classroom_id: classroomId }
+    });
+    return !!enrollment;
+  }
+
+  static async removeStudentFromClassroom(studentId, classroomId) {
+    return await StudentClassroom.destroy({
+      where: { student_id: studentId, classroom_id: classroomId }
+    });
+  }
+
+  static async archiveClassroom(classroom) {
+    return await classroom.update({ archived_at: new Date() });
+  }
+
+  static async unarchiveClassroom(classroom) {
+    return await classroom.update({ archived_at: null });
+  }
+
+  // Soft delete a classroom together with its assignments and their submissions. Everything deleted here
+  // shares one deletion_batch; assignments deleted earlier on their own keep theirs.
+  static async softDeleteClassroom(classroom) {
+    const batch = uuidv4();
+    return await sequelize.transaction(async (transaction) => {
+      const assignments = await Assignment.findAll({
+        where: { classroom_id: classroom.id },
+        attributes: ['id'],
+        transaction
+      });
+      const assignmentIds = assignments.map(assignment => assignment.id);
+      await classroom.update({ deletion_batch: batch }, { transaction });
+      await classroom.destroy({ transaction });
+      await DatabaseHelpers.softDeleteAssignmentSubmissions(assignmentIds, batch, transaction);
+      await Assignment.update({ deletion_batch: batch }, { where: { id: assignmentIds }, transaction });
+      await Assignment.destroy({ where: { id: assignmentIds }, transaction });
+    });
+  }
+
+  // Restore a classroom and only what was deleted along with it
+  static async restoreClassroom(classroom) {
+    const batch = classroom.deletion_batch;
+    return await sequelize.transaction(async (transaction) => {
+      const assignments = batch ? await Assignment.findAll({
+        where: { classroom_id: classroom.id, deletion_batch: batch },
+        attributes: ['id'],
+        paranoid: false,
+        transaction
+      }) : [];
+      const assignmentIds = assignments.map(assignment => assignment.id);
+      await classroom.restore({ transaction });
+      await classroom.update({ deletion_batch: null }, { transaction });
+      await DatabaseHelpers.restoreBatch(Assignment, { id: assignmentIds }, batch, transaction);
+      await DatabaseHelpers.restoreBatch(AssignmentSubmission, { assignment_id: assignmentIds }, batch, transaction);
+    });
+  }
+
+  // Soft delete an assignment together with its submissions
+  static async softDeleteAssignment(assignment) {
+    const batch = uuidv4();
+    return await sequelize.transaction(async (transaction) => {
+      await assignment.update({ deletion_batch: batch }, { transaction });
+      await assignment.destroy({ transaction });
+      await DatabaseHelpers.softDeleteAssignmentSubmissions([assignment.id], batch, transaction);
+    });
+  }
+
+  // Restore an assignment and only the submissions deleted along with it
+  static async restoreAssignment(assignment) {
+    const batch = assignment.deletion_batch;
+    return await sequelize.transaction(async (transaction) => {
+      await assignment.restore({ transaction });
+      await assignment.update({ deletion_batch: null }, { transaction });
+      await DatabaseHelpers.restoreBatch(AssignmentSubmission, { assignment_id: assignment.id }, batch, transaction);
+    });
+  }
+
+  // Restore the records of one deletion batch; records deleted before batches existed have none and stay deleted
+  static async restoreBatch(model, where, batch, transaction) {
+    if (!batch) {
+      return;
+    }
+    await model.restore({ where: { ...where, deletion_batch: batch }, transaction });
+    await model.update({ deletion_batch: null }, { where: { ...where, deletion_batch: batch }, transaction });
+  }
+
+  // Deleted submissions are not graded: their queued and running grading jobs are cancelled
+  static async softDeleteAssignmentSubmissions(assignmentIds, batch, transaction) {
+    if (assignmentIds.length === 0) {
+      return;
+    }
+    const submissions = await AssignmentSubmission.findAll({
+      where: { assignment_id: assignmentIds },
+      attributes: ['id'],
+      transaction
+    });
+    const submissionIds = submissions.map(submission => submission.id);
+    await GradingJob.update(
+      { status: 'cancelled', last_error: 'Submission was deleted.', finished_at: new Date() },
+      { where: { submission_id: submissionIds, status: { [Op.in]: ['queued', 'running'] } }, transaction }
+    );
+    await AssignmentSubmission.update({ deletion_batch: batch }, { where: { id: submissionIds }, transaction });
+    await AssignmentSubmission.destroy({ where: { id: submissionIds }, transaction });
+  }
+
   // Assignment helpers
   static async createAssignment(data) {
     return await Assignment.create(data);